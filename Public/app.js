@@ -4,6 +4,7 @@ const form = document.getElementById("detect-form");
 const input = document.getElementById("detector-input");
 const fileInput = document.getElementById("file-input");
 const contextInput = document.getElementById("context-input");
+const redactInput = document.getElementById("redact-input");
 const result = document.getElementById("result");
 const runBtn = document.getElementById("run-btn");
 const themeBtn = document.getElementById("theme-toggle");
@@ -12,15 +13,35 @@ const toast = document.getElementById("toast");
 /* Helpers */
 const esc = (s) =>
   String(s ?? "").replace(
-    /[&<>]/g,
-    (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;" }[c])
+    /[&<>"]/g,
+    (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c])
   );
-const pillClass = (v) =>
-  v?.includes?.("likely") || v === "flagged"
-    ? "bad"
-    : v?.includes?.("suspicious")
-    ? "warn"
-    : "ok";
+// Verdicts come from a fixed server-side enum (lib/verdict.js)
+const VERDICT_CLASS = {
+  safe: "ok",
+  "likely true": "ok",
+  clear: "ok",
+  suspicious: "warn",
+  misleading: "warn",
+  unverified: "warn",
+  disabled: "warn",
+  "likely scam": "bad",
+  "likely false": "bad",
+  flagged: "bad",
+};
+const pillClass = (v) => VERDICT_CLASS[v] || "warn";
+const verdictLine = (data) =>
+  `<p>Verdict: <span class="pill ${pillClass(data.verdict)}">${esc(
+    data.verdict || "unverified"
+  )}</span>${
+    data.confidence != null
+      ? ` <span class="muted">${esc(
+          Math.round(data.confidence * 100)
+        )}% confidence</span>`
+      : ""
+  }</p>`;
+const severityClass = (s) =>
+  s === "high" ? "bad" : s === "medium" ? "warn" : "ok";
 const show = (html) => {
   result.innerHTML = html;
 };
@@ -54,37 +75,61 @@ themeBtn.addEventListener("click", () => {
   setTheme(next);
 });
 
-/* Drag & drop */
+/* Drag & drop (detector page only; /r/:id has no form) */
 ["dragenter", "dragover"].forEach((ev) =>
-  form.addEventListener(ev, (e) => {
+  form?.addEventListener(ev, (e) => {
     e.preventDefault();
     e.stopPropagation();
     form.classList.add("drag");
   })
 );
 ["dragleave", "drop"].forEach((ev) =>
-  form.addEventListener(ev, (e) => {
+  form?.addEventListener(ev, (e) => {
     e.preventDefault();
     e.stopPropagation();
     form.classList.remove("drag");
   })
 );
-form.addEventListener("drop", (e) => {
+form?.addEventListener("drop", (e) => {
   if (e.dataTransfer.files?.[0]) fileInput.files = e.dataTransfer.files;
 });
 
 /* Shortcut */
-input.addEventListener("keydown", (e) => {
+input?.addEventListener("keydown", (e) => {
   if ((e.metaKey || e.ctrlKey) && e.key === "Enter") form.requestSubmit();
 });
 
 /* Renderers (simplified: no raw JSON, no technical details) */
+function renderKnownMatch(m) {
+  if (!m) return "";
+  return `
+    <p><span class="pill bad">known scam image</span> <b>${esc(
+      m.label
+    )}</b> <span class="muted">${esc(
+    Math.round(m.similarity * 100)
+  )}% similar</span></p>
+    ${m.notes ? `<p class="muted">${esc(m.notes)}</p>` : ""}
+  `;
+}
 function renderImageUrl(data) {
   return `
     <p>Detected: <span class="pill ok">image URL</span></p>
-    <p>Verdict: <span class="pill ${pillClass(data.verdict)}">${esc(
-    data.verdict
-  )}</span></p>
+    ${verdictLine(data)}
+    ${renderKnownMatch(data.knownMatch)}
+    ${
+      data.image?.error || data.image?.blocked
+        ? `<p class="muted">Could not fetch image: ${esc(
+            data.image.error || data.image.blocked.reason
+          )}</p>`
+        : ""
+    }
+    ${
+      data.contentTypeMismatch
+        ? `<p><span class="pill warn">content-type mismatch</span> <span class="muted">served as ${esc(
+            data.contentTypeMismatch.declared || "(none)"
+          )}, bytes are ${esc(data.contentTypeMismatch.detected)}</span></p>`
+        : ""
+    }
     ${
       data.ai && !data.ai._error
         ? `
@@ -105,11 +150,37 @@ function renderImageUrl(data) {
             (data.ai && data.ai._error) || "No AI verdict"
           )}</p>`
     }
+    ${renderForensics(data.forensics)}
   `;
 }
-function renderVideoUrl(data) {
+function renderVideo(data) {
+  const v = data.video || {};
+  const m = v.metadata || {};
+  const p = data.platform;
+  const meta = data.metadata || {};
+  const signals = data.metadataSignals || v.signals || [];
   return `
-    <p>Detected: <span class="pill ok">video URL</span></p>
+    <p>Detected: <span class="pill ok">${
+      data.detected === "video_upload" ? "uploaded video" : "video URL"
+    }</span>${
+    p ? ` <span class="muted">${esc(p.name)} · ${esc(p.kind)}</span>` : ""
+  }</p>
+    ${verdictLine(data)}
+    ${renderKnownMatch(data.knownMatch)}
+    ${
+      meta.title || meta.author
+        ? `<p><b>${esc(meta.title || "(untitled)")}</b>${
+            meta.author
+              ? ` <span class="muted">by ${esc(meta.author)}</span>`
+              : ""
+          }</p>`
+        : ""
+    }
+    ${
+      meta.text || meta.description
+        ? `<p class="muted">${esc(meta.text || meta.description)}</p>`
+        : ""
+    }
     ${
       data.thumbnailUrl
         ? `<div style="margin:.2rem 0 .8rem"><img class="thumb" src="${esc(
@@ -117,15 +188,51 @@ function renderVideoUrl(data) {
           )}" alt="Thumbnail" /></div>`
         : ""
     }
+    ${
+      v.error || v.blocked
+        ? `<p class="muted">Could not fetch video: ${esc(
+            v.error || v.blocked.reason
+          )}</p>`
+        : ""
+    }
+    ${
+      m.error
+        ? `<p class="muted">Container metadata unavailable: ${esc(m.error)}</p>`
+        : data.video
+        ? `<p class="muted">${esc(
+            [
+              m.container,
+              m.duration && `${Math.round(m.duration)}s`,
+              m.video && `${m.video.width}×${m.video.height} ${m.video.codec}`,
+              m.encoder && `encoder ${m.encoder}`,
+              m.creationTime && `created ${m.creationTime}`,
+              (m.make || m.model) &&
+                [m.make, m.model].filter(Boolean).join(" "),
+            ]
+              .filter(Boolean)
+              .join(" · ")
+          )}</p>`
+        : ""
+    }
+    ${signals.length ? renderSignals(signals) : ""}
+    ${
+      (v.frames || []).length
+        ? `<div>${v.frames
+            .map(
+              (f) =>
+                `<img class="thumb" style="max-width:24%" alt="Frame at ${esc(
+                  f.time
+                )}s" src="${esc(f.dataUrl)}" />`
+            )
+            .join("")}</div>`
+        : ""
+    }
     ${
       data.ai && !data.ai._error
         ? `
-      <p>Risk: <span class="pill ${pillClass(data.ai.risk)}">${esc(
-            data.ai.risk
-          )}</span></p>
       ${
         (data.ai.signals || []).length
-          ? `<p><b>Signals</b></p><ul>${data.ai.signals
+          ? `<p><b>AI signals</b></p><ul>${data.ai.signals
               .map((s) => `<li>${esc(s)}</li>`)
               .join("")}</ul>`
           : ""
@@ -136,23 +243,149 @@ function renderVideoUrl(data) {
           : ""
       }
     `
+        : data.knownMatch
+        ? ""
         : `<p class="muted">${esc(
             (data.ai && data.ai._error) || "No AI verdict"
           )}</p>`
     }
   `;
 }
+const LIST_ON = {
+  url: "URL",
+  final_url: "redirect target",
+  favicon: "favicon",
+};
+const renderListMatch = (m) =>
+  m
+    ? `<p>Reason: <span class="pill ${m.list === "block" ? "bad" : "ok"}">${
+        m.list === "block" ? "blocklisted" : "allowlisted"
+      }</span> ${esc(m.kind)} <code>${esc(
+        m.value
+      )}</code> <span class="muted">(matched on ${esc(LIST_ON[m.on] || m.on)}${
+        m.source === "community" ? ", confirmed community report" : ""
+      })${m.note ? ` — ${esc(m.note)}` : ""}</span></p>`
+    : "";
+const KIT_SHARED = {
+  favicon: "favicon",
+  dom: "page structure",
+  title: "title",
+  scripts: "scripts",
+};
+const renderCluster = (c) =>
+  c
+    ? `<p>Kit: <span class="pill ${c.scamDomains ? "bad" : "warn"}">${esc(
+        c.label || "unnamed cluster"
+      )}</span> <span class="muted">same ${esc(
+        c.shared.map((f) => KIT_SHARED[f] || f).join(", ")
+      )} as other scanned sites — ${esc(c.domainCount)} domains, ${esc(
+        c.scamDomains
+      )} judged scams</span></p>`
+    : "";
 function renderLink(data) {
   return `
     <p>Detected: <span class="pill ok">link</span> — <code>${esc(
       data.url
     )}</code></p>
-    <p>Verdict: <span class="pill ${pillClass(data.verdict)}">${esc(
-    data.verdict
-  )}</span></p>
-    <p>Safe Browsing: <span class="pill ${pillClass(data.safeBrowsing)}">${esc(
-    data.safeBrowsing
-  )}</span></p>
+    ${verdictLine(data)}
+    ${renderListMatch(data.listMatch)}
+    ${renderCluster(data.cluster)}
+    ${
+      data.safeBrowsing
+        ? `<p>Safe Browsing: <span class="pill ${pillClass(
+            data.safeBrowsing
+          )}">${esc(data.safeBrowsing)}</span></p>`
+        : ""
+    }
+    ${
+      data.details?.brand?.matches?.length
+        ? `<p>Impersonates: ${data.details.brand.matches
+            .map(
+              (m) =>
+                `<span class="pill bad">${esc(
+                  m.brand
+                )}</span> <span class="muted">${esc(m.evidence)}</span>`
+            )
+            .join("<br>")}</p>`
+        : ""
+    }
+    ${
+      data.details?.domainAge?.ageDays != null
+        ? `<p>Domain age: <b>${esc(data.details.domainAge.ageDays)}</b> days${
+            data.details.domainAge.registrar
+              ? ` <span class="muted">(${esc(
+                  data.details.domainAge.registrar
+                )})</span>`
+              : ""
+          }</p>`
+        : ""
+    }
+    ${
+      data.details?.tls && !data.details.tls.error
+        ? `<p>Certificate: ${esc(data.details.tls.issuer)} — issued ${esc(
+            data.details.tls.daysSinceIssued
+          )} days ago${
+            data.details.tls.sanMatchesHost
+              ? ""
+              : ` <span class="pill bad">host not covered</span>`
+          }${
+            data.details.tls.trusted
+              ? ""
+              : ` <span class="pill warn">untrusted</span>`
+          }</p>`
+        : ""
+    }
+    ${
+      data.details?.htmlFindings?.length
+        ? `<p><b>Page findings</b></p><ul>${data.details.htmlFindings
+            .map(
+              (f) =>
+                `<li><span class="pill ${severityClass(f.severity)}">${esc(
+                  f.severity
+                )}</span> ${esc(f.title)} <span class="muted">${esc(
+                  f.evidence
+                )}</span></li>`
+            )
+            .join("")}</ul>`
+        : ""
+    }
+    ${
+      data.details?.redirects?.count
+        ? `<p><b>Redirect chain</b> <span class="muted">(${esc(
+            data.details.redirects.count
+          )} hops)</span></p><ol>${data.details.redirects.hops
+            .map(
+              (h) =>
+                `<li><code>${esc(h.host)}</code> <span class="muted">${esc(
+                  h.via === "http" ? h.status : h.via
+                )}</span></li>`
+            )
+            .join("")}</ol>`
+        : ""
+    }
+    ${
+      data.risk
+        ? `<p>Risk score: <b>${esc(data.risk.score)}</b>/100${
+            data.risk.aiAdjustment
+              ? ` <span class="muted">(AI ${
+                  data.risk.aiAdjustment > 0 ? "+" : ""
+                }${esc(data.risk.aiAdjustment)})</span>`
+              : ""
+          }</p>
+      ${
+        (data.risk.contributions || []).length
+          ? `<p><b>Why</b></p><ul>${data.risk.contributions
+              .map(
+                (c) =>
+                  `<li>${esc(c.label)} <span class="muted">+${esc(
+                    c.points
+                  )}</span></li>`
+              )
+              .join("")}</ul>`
+          : ""
+      }`
+        : ""
+    }
     ${
       data.ai && !data.ai._error
         ? `
@@ -169,6 +402,8 @@ function renderLink(data) {
           : ""
       }
     `
+        : data.listMatch
+        ? ""
         : `<p class="muted">${esc(
             (data.ai && data.ai._error) || "No AI verdict"
           )}</p>`
@@ -178,12 +413,11 @@ function renderLink(data) {
 function renderFile(data) {
   return `
     <p>Detected: <span class="pill warn">uploaded image</span></p>
+    ${verdictLine(data)}
+    ${renderKnownMatch(data.knownMatch)}
     ${
       data.ai && !data.ai._error
         ? `
-      <p>Verdict: <span class="pill ${pillClass(data.ai.verdict)}">${esc(
-            data.ai.verdict
-          )}</span></p>
       ${
         (data.ai.indicators || []).length
           ? `<p><b>Indicators</b></p><ul>${data.ai.indicators
@@ -197,18 +431,234 @@ function renderFile(data) {
           : ""
       }
     `
+        : data.knownMatch
+        ? ""
         : `<p class="muted">${esc(
             (data.ai && data.ai._error) || "No AI verdict"
           )}</p>`
     }
+    ${renderForensics(data.forensics)}
+  `;
+}
+const renderSignals = (list) =>
+  `<ul>${list
+    .map(
+      (s) =>
+        `<li><span class="pill ${severityClass(s.severity)}">${esc(
+          s.severity
+        )}</span> ${esc(s.title)} <span class="muted">${esc(
+          s.evidence
+        )}</span></li>`
+    )
+    .join("")}</ul>`;
+function renderForensics(f) {
+  if (!f || f.error) return "";
+  const q = f.jpeg?.quantization?.luma;
+  return `
+    <p><b>Forensics</b> <span class="muted">${esc(
+      [
+        f.format,
+        f.width && `${f.width}×${f.height}`,
+        q && `JPEG q≈${q.quality}${q.standard ? "" : " (custom tables)"}`,
+        f.phash && `pHash ${f.phash}`,
+      ]
+        .filter(Boolean)
+        .join(" · ")
+    )}</span></p>
+    ${
+      f.signals?.length
+        ? renderSignals(f.signals)
+        : `<p class="muted">No forensic anomalies found.</p>`
+    }
+    ${
+      f.ela?.imageDataUrl
+        ? `<p class="muted">Error level analysis (bright = recompresses differently)</p>
+      <img class="thumb" alt="ELA map" src="${esc(f.ela.imageDataUrl)}" />`
+        : ""
+    }
   `;
 }
+function renderEmail(data) {
+  const e = data.email || {};
+  const authPill = (v) =>
+    `<span class="pill ${
+      v === "pass" ? "ok" : v && v !== "none" ? "bad" : "warn"
+    }">${esc(v || "missing")}</span>`;
+  return `
+    <p>Detected: <span class="pill ok">email</span>${
+      e.subject ? ` — <b>${esc(e.subject)}</b>` : ""
+    }</p>
+    ${verdictLine(data)}${
+    data.risk
+      ? `<p class="muted">Risk score ${esc(data.risk.score)}/100</p>`
+      : ""
+  }
+    <p>From: <code>${esc(
+      e.from ? `${e.from.name} <${e.from.address}>` : "unknown"
+    )}</code>${
+    e.replyTo ? `<br>Reply-To: <code>${esc(e.replyTo.address)}</code>` : ""
+  }</p>
+    <p>SPF ${authPill(e.auth?.spf)} DKIM ${authPill(
+    e.auth?.dkim
+  )} DMARC ${authPill(e.auth?.dmarc)}</p>
+    ${
+      (e.flags || []).length
+        ? `<p><b>Warning signs</b></p><ul>${e.flags
+            .map((f) => `<li>${esc(f.detail)}</li>`)
+            .join("")}</ul>`
+        : ""
+    }
+    ${
+      (data.links || []).length
+        ? `<p><b>Links</b></p><ul>${data.links
+            .map(
+              (l) =>
+                `<li><span class="pill ${pillClass(l.verdict)}">${esc(
+                  l.verdict
+                )}</span> <code>${esc(l.url)}</code></li>`
+            )
+            .join("")}</ul>`
+        : ""
+    }
+    ${
+      (e.attachments || []).length
+        ? `<p><b>Attachments</b></p><ul>${e.attachments
+            .map(
+              (a) =>
+                `<li><span class="pill ${severityClass(a.risk)}">${esc(
+                  a.risk
+                )}</span> ${esc(a.filename || "(unnamed)")}</li>`
+            )
+            .join("")}</ul>`
+        : ""
+    }
+    ${
+      (e.received || []).length
+        ? `<p class="muted">Passed through ${esc(
+            e.received.length
+          )} mail servers: ${e.received
+            .map((h) => esc(h.by || "?"))
+            .join(" ← ")}</p>`
+        : ""
+    }
+  `;
+}
+function renderMessage(data) {
+  const items = data.items || {};
+  const groups = [
+    ["Phone numbers", items.phones || []],
+    ["Email addresses", items.emails || []],
+    [
+      "Crypto wallets",
+      (items.wallets || []).map((w) => `${w.chain}: ${w.address}`),
+    ],
+    [
+      "Payment handles",
+      (items.paymentHandles || []).map((h) => `${h.service}: ${h.handle}`),
+    ],
+  ].filter(([, list]) => list.length);
+  return `
+    <p>Detected: <span class="pill ok">message</span></p>
+    ${verdictLine(data)}${
+    data.risk
+      ? `<p class="muted">Risk score ${esc(data.risk.score)}/100</p>`
+      : ""
+  }
+    ${
+      (data.findings || []).length
+        ? `<p><b>Warning signs</b></p>${renderSignals(data.findings)}`
+        : ""
+    }
+    ${
+      (data.links || []).length
+        ? `<p><b>Links</b></p><ul>${data.links
+            .map(
+              (l) =>
+                `<li><span class="pill ${pillClass(l.verdict)}">${esc(
+                  l.verdict
+                )}</span> <code>${esc(l.url)}</code></li>`
+            )
+            .join("")}</ul>`
+        : ""
+    }
+    ${groups
+      .map(
+        ([label, list]) =>
+          `<p><b>${esc(label)}</b></p><ul>${list
+            .map((v) => `<li><code>${esc(v)}</code></li>`)
+            .join("")}</ul>`
+      )
+      .join("")}
+  `;
+}
+const ASSESSMENT_CLASS = {
+  supported: "ok",
+  refuted: "bad",
+  disputed: "warn",
+  unverified: "warn",
+};
+function renderStatements(statements) {
+  return statements
+    .map(
+      (st) => `
+    <div style="margin:.6rem 0">
+      <p><span class="pill ${ASSESSMENT_CLASS[st.assessment] || "warn"}">${esc(
+        st.assessment
+      )}</span> ${esc(st.text)} <span class="muted">(${esc(
+        st.level
+      )} confidence, ${esc(Math.round(st.confidence * 100))}%)</span></p>
+      ${
+        [...st.entities, ...st.dates, ...st.numbers.map((n) => n.raw)].length
+          ? `<p class="muted">${esc(
+              [
+                ...st.entities,
+                ...st.dates,
+                ...st.numbers.map((n) => n.raw),
+              ].join(" · ")
+            )}</p>`
+          : ""
+      }
+      ${
+        st.sources.length
+          ? `<ul>${st.sources
+              .map(
+                (src) =>
+                  `<li><span class="pill ${
+                    src.stance === "supports"
+                      ? "ok"
+                      : src.stance === "refutes"
+                      ? "bad"
+                      : "warn"
+                  }">${esc(src.stance)}</span> ${
+                    src.url
+                      ? `<a href="${esc(
+                          src.url
+                        )}" target="_blank" rel="noopener noreferrer">${esc(
+                          src.title
+                        )}</a>`
+                      : esc(src.title)
+                  } <span class="muted">${esc(
+                    [src.publisher, src.rating, src.date]
+                      .filter(Boolean)
+                      .join(" · ")
+                  )}</span></li>`
+              )
+              .join("")}</ul>`
+          : `<p class="muted">No sources found.</p>`
+      }
+    </div>`
+    )
+    .join("");
+}
 function renderClaim(data) {
   return `
     <p>Detected: <span class="pill ok">claim / text</span></p>
-    <p>Verdict: <span class="pill ${pillClass(data.verdict)}">${esc(
-    data.verdict || "unverified"
-  )}</span></p>
+    ${verdictLine(data)}
+    ${
+      (data.statements || []).length
+        ? `<p><b>Statements checked</b></p>${renderStatements(data.statements)}`
+        : ""
+    }
     ${
       data.ai && !data.ai._error
         ? `
@@ -244,8 +694,174 @@ function renderClaim(data) {
   `;
 }
 
-/* Run detection */
+function renderResult(data) {
+  if (data.detected === "video_upload") return renderVideo(data);
+  if (data.mode === "file") return renderFile(data);
+  if (data.mode === "email") return renderEmail(data);
+  if (data.mode === "message") return renderMessage(data);
+  if (data.mode === "url") {
+    if (data.type === "image_url") return renderImageUrl(data);
+    if (data.type === "video_url") return renderVideo(data);
+    return renderLink(data);
+  }
+  return renderClaim(data);
+}
+const showError = (err) =>
+  showCard(
+    `<p class="pill bad">Error</p><p class="muted">${esc(err.message)}</p>`
+  );
+
+/* Shareable reports */
+const expiryNote = (expiresAt) =>
+  expiresAt
+    ? ` <span class="muted">(until ${esc(
+        new Date(expiresAt).toLocaleDateString()
+      )})</span>`
+    : "";
+const renderShare = (report) =>
+  report
+    ? `<p class="muted">Share this result: <a href="${esc(report.url)}">${esc(
+        location.origin + report.url
+      )}</a>${expiryNote(
+        report.expiresAt
+      )} <button type="button" class="ghost" data-copy="${esc(
+        location.origin + report.url
+      )}">Copy link</button></p>`
+    : "";
+// Wrong verdict? Link results can be reported for moderation
+const renderCommunity = (data, reportId) =>
+  data.mode === "url" && data.type === "link" && !data.listMatch
+    ? `<p class="muted">Wrong verdict? ${["scam", "safe"]
+        .map(
+          (v) =>
+            `<button type="button" class="ghost" data-community="${v}" data-url="${esc(
+              data.url
+            )}" data-report="${esc(reportId || "")}">Report as ${v}</button>`
+        )
+        .join(" ")}</p>`
+    : "";
+async function sendCommunityReport(btn) {
+  btn.parentElement
+    .querySelectorAll("[data-community]")
+    .forEach((b) => (b.disabled = true));
+  try {
+    const r = await fetch("/api/community-reports", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        url: btn.dataset.url,
+        verdict: btn.dataset.community,
+        ...(btn.dataset.report ? { reportId: btn.dataset.report } : {}),
+      }),
+    });
+    const data = await r.json();
+    if (!r.ok) throw new Error(data.error || r.statusText);
+    showToast("Thanks — sent for review");
+  } catch (err) {
+    showToast(err.message);
+  }
+}
+function renderReportHeader(report) {
+  const { value, file, context } = report.input || {};
+  const what = report.redacted
+    ? "Input hidden by the sender"
+    : file
+    ? `File: ${esc(file.name || file.type || "upload")}`
+    : esc(value);
+  return `<p class="muted">Checked ${esc(
+    new Date(report.createdAt).toLocaleString()
+  )}${expiryNote(report.expiresAt)}</p>
+<p><strong>${what}</strong></p>${
+    context ? `<p class="muted">Context: ${esc(context)}</p>` : ""
+  }`;
+}
+result.addEventListener("click", (e) => {
+  if (e.target.closest("[data-cancel]")) return scan?.abort();
+  const report = e.target.closest("[data-community]");
+  if (report) return sendCommunityReport(report);
+  const btn = e.target.closest("[data-copy]");
+  if (!btn) return;
+  // navigator.clipboard is missing outside secure contexts
+  Promise.resolve()
+    .then(() => navigator.clipboard.writeText(btn.dataset.copy))
+    .then(() => showToast("Link copied"))
+    .catch(() => showToast("Copy failed"));
+});
+
+// Read-only report page: same renderers, data from the stored report
+async function loadReport(id) {
+  try {
+    const r = await fetch(`/api/reports/${encodeURIComponent(id)}`);
+    const data = await r.json();
+    if (!r.ok)
+      throw new Error(
+        r.status === 404
+          ? "This report doesn't exist or has expired."
+          : data.error || r.statusText
+      );
+    showCard(
+      renderReportHeader(data) +
+        renderResult(data.result) +
+        renderCommunity(data.result, data.id)
+    );
+  } catch (err) {
+    showError(err);
+  }
+}
+const REPORT_ID = location.pathname.match(/^\/r\/([\w-]+)$/)?.[1];
+if (REPORT_ID) loadReport(REPORT_ID);
+
+/* Run detection (streamed: progress events, then the result) */
+let scan = null; // AbortController of the scan in flight
+
+// Minimal Server-Sent Events reader for a fetch() response
+async function readEvents(r, onEvent) {
+  const reader = r.body.getReader();
+  const decoder = new TextDecoder();
+  let buf = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) return;
+    buf += decoder.decode(value, { stream: true });
+    let end;
+    while ((end = buf.indexOf("\n\n")) >= 0) {
+      const chunk = buf.slice(0, end);
+      buf = buf.slice(end + 2);
+      const event = chunk.match(/^event: (.*)$/m)?.[1];
+      const data = chunk.match(/^data: (.*)$/m)?.[1];
+      if (event && data) onEvent(event, JSON.parse(data));
+    }
+  }
+}
+
+const hostLabel = (u) => {
+  try {
+    return new URL(u).host;
+  } catch {
+    return "";
+  }
+};
+const renderProgress = (steps, signals) => `
+  <p><span class="loader"></span> Analyzing…</p>
+  <ul class="steps">${steps
+    .map(
+      (s) =>
+        `<li>${esc(s.label)}${
+          s.url ? ` <span class="muted">${esc(hostLabel(s.url))}</span>` : ""
+        }</li>`
+    )
+    .join("")}</ul>
+  ${
+    signals.length
+      ? `<p><b>Signals so far</b></p>${renderSignals(signals)}`
+      : ""
+  }
+  <button class="btn ghost" type="button" data-cancel>Cancel</button>
+`;
+
 async function runDetection() {
+  scan?.abort();
+  const ctrl = (scan = new AbortController());
   runBtn.disabled = true;
   runBtn.innerHTML = `<span class="loader"></span> Analyzing…`;
 
@@ -256,42 +872,67 @@ async function runDetection() {
       const fd = new FormData();
       fd.append("file", fileInput.files[0]);
       fd.append("context", contextInput.value.trim());
+      fd.append("redact", String(redactInput.checked));
       body = fd;
     } else {
       headers["Content-Type"] = "application/json";
       body = JSON.stringify({
         input: input.value,
         context: contextInput.value.trim(),
+        redact: redactInput.checked,
       });
     }
 
-    const r = await fetch("/api/detect", { method: "POST", headers, body });
-    const data = await r.json();
-    if (!r.ok) throw new Error(data.error || r.statusText);
-
-    let html = "";
-    if (data.mode === "file") html = renderFile(data);
-    else if (data.mode === "url") {
-      if (data.type === "image_url") html = renderImageUrl(data);
-      else if (data.type === "video_url") html = renderVideoUrl(data);
-      else html = renderLink(data);
-    } else {
-      html = renderClaim(data);
+    const steps = [];
+    // Later steps refine earlier ones (the rule score repeats page findings)
+    const signals = new Map();
+    let data = null;
+    let failure = null;
+    showCard(renderProgress(steps, []));
+    const r = await fetch("/api/detect/stream", {
+      method: "POST",
+      headers,
+      body,
+      signal: ctrl.signal,
+    });
+    if (!r.ok) {
+      const d = await r.json().catch(() => ({}));
+      throw new Error(d.error || r.statusText);
     }
+    await readEvents(r, (event, payload) => {
+      if (event === "progress") {
+        steps.push(payload);
+        for (const s of payload.signals || [])
+          signals.set(`${payload.url || ""} ${s.id}`, s);
+        showCard(renderProgress(steps, [...signals.values()]));
+      } else if (event === "result") data = payload;
+      else if (event === "error") failure = new Error(payload.error);
+    });
+    if (failure) throw failure;
+    if (!data) throw new Error("The scan ended without a result.");
 
-    showCard(html);
-  } catch (err) {
     showCard(
-      `<p class="pill bad">Error</p><p class="muted">${esc(err.message)}</p>`
+      renderResult(data) +
+        renderShare(data.report) +
+        renderCommunity(data, data.report?.id)
     );
+  } catch (err) {
+    // A newer scan has taken over the result card
+    if (scan !== ctrl) return;
+    if (err.name === "AbortError")
+      showCard(`<p class="muted">Scan cancelled.</p>`);
+    else showError(err);
   } finally {
-    runBtn.disabled = false;
-    runBtn.innerHTML = `<span class="btn-icon">▶</span> Run detection`;
+    if (scan === ctrl) {
+      scan = null;
+      runBtn.disabled = false;
+      runBtn.innerHTML = `<span class="btn-icon">▶</span> Run detection`;
+    }
   }
 }
 
 /* Events */
-form.addEventListener("submit", (e) => {
+form?.addEventListener("submit", (e) => {
   e.preventDefault();
   runDetection();
 });
@@ -0,0 +1,61 @@
+/* -------------------- TrueOrScam API client -------------------- */
+// Shared by the service worker and the extension pages. Talks to /api/v1
+// with the key from the options page.
+
+export const DEFAULTS = {
+  apiBase: "http://localhost:3000",
+  apiKey: "",
+  hoverChecks: true,
+};
+
+export const getSettings = () => chrome.storage.sync.get(DEFAULTS);
+
+// Same verdict vocabulary and pill colours as Public/app.js (lib/verdict.js)
+export const VERDICT_CLASS = {
+  safe: "ok",
+  "likely true": "ok",
+  clear: "ok",
+  suspicious: "warn",
+  misleading: "warn",
+  unverified: "warn",
+  disabled: "warn",
+  "likely scam": "bad",
+  "likely false": "bad",
+  flagged: "bad",
+};
+export const pillClass = (v) => VERDICT_CLASS[v] || "warn";
+
+export async function api(path, { method = "GET", body } = {}) {
+  const { apiBase, apiKey } = await getSettings();
+  if (!apiKey) throw new Error("Add your API key in the extension options.");
+  const r = await fetch(`${apiBase.replace(/\/+$/, "")}/api/v1${path}`, {
+    method,
+    headers: {
+      "X-API-Key": apiKey,
+      ...(body ? { "Content-Type": "application/json" } : {}),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  const data = await r.json().catch(() => ({}));
+  if (r.status === 429) throw new Error("Rate limit reached, try again soon.");
+  if (!r.ok) throw new Error(data.error || `HTTP ${r.status}`);
+  return data;
+}
+
+// Just what the badges and popup show
+export function summarize(data, apiBase = "") {
+  return {
+    url: data.url,
+    verdict: data.verdict || "unverified",
+    tone: pillClass(data.verdict),
+    confidence: data.confidence ?? null,
+    advice: data.ai?.advice || "",
+    signals: (data.signals || [])
+      .filter((s) => s.severity !== "low")
+      .slice(0, 4)
+      .map((s) => s.title),
+    reportUrl: data.report
+      ? apiBase.replace(/\/+$/, "") + data.report.url
+      : null,
+  };
+}
@@ -0,0 +1,84 @@
+/* -------------------- service worker -------------------- */
+// Hover checks use the fast, rules-only /check; context-menu checks run the
+// full /detect (AI advice, shareable report) and show the result in the page.
+import { api, getSettings, summarize } from "./api.js";
+
+const HOVER_TTL = 10 * 60_000;
+const HOVER_MAX = 500;
+const hoverCache = new Map();
+
+const BADGE = {
+  ok: { text: "OK", color: "#16a34a" },
+  warn: { text: "?", color: "#d97706" },
+  bad: { text: "!", color: "#dc2626" },
+};
+
+async function checkHover(url) {
+  const hit = hoverCache.get(url);
+  if (hit && Date.now() - hit.at < HOVER_TTL) return hit.result;
+  const result = summarize(
+    await api("/check", { method: "POST", body: { url } })
+  );
+  hoverCache.set(url, { at: Date.now(), result });
+  if (hoverCache.size > HOVER_MAX)
+    hoverCache.delete(hoverCache.keys().next().value);
+  return result;
+}
+
+async function checkFull(url) {
+  const { apiBase } = await getSettings();
+  const data = await api("/detect", { method: "POST", body: { input: url } });
+  return summarize({ url, ...data }, apiBase);
+}
+
+async function setBadge(tabId, result) {
+  const b = BADGE[result.tone] || BADGE.warn;
+  await chrome.action.setBadgeText({ tabId, text: b.text });
+  await chrome.action.setBadgeBackgroundColor({ tabId, color: b.color });
+}
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.create({
+    id: "tos-link",
+    title: "Check link with TrueOrScam",
+    contexts: ["link"],
+  });
+  chrome.contextMenus.create({
+    id: "tos-page",
+    title: "Check this page with TrueOrScam",
+    contexts: ["page"],
+  });
+});
+
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  const url = info.menuItemId === "tos-link" ? info.linkUrl : tab?.url;
+  if (!url || !tab?.id) return;
+  const show = (msg) => chrome.tabs.sendMessage(tab.id, msg).catch(() => {});
+  show({ type: "tos:pending", url });
+  try {
+    const result = await checkFull(url);
+    if (info.menuItemId === "tos-page") await setBadge(tab.id, result);
+    show({ type: "tos:result", result });
+  } catch (e) {
+    show({ type: "tos:error", url, error: e.message });
+  }
+});
+
+// tos:hover from content.js, tos:tab from the popup
+chrome.runtime.onMessage.addListener((msg, _sender, reply) => {
+  let work;
+  if (msg?.type === "tos:hover")
+    work = getSettings().then(({ hoverChecks, apiKey }) =>
+      hoverChecks && apiKey ? checkHover(msg.url) : null
+    );
+  else if (msg?.type === "tos:tab")
+    work = checkFull(msg.url).then(async (result) => {
+      await setBadge(msg.tabId, result);
+      return result;
+    });
+  else return false;
+  work
+    .then((result) => reply({ result }))
+    .catch((e) => reply({ error: e.message }));
+  return true; // reply is async
+});
@@ -0,0 +1,117 @@
+/* -------------------- in-page badges -------------------- */
+// Hovering a link for a moment shows its verdict next to the cursor;
+// context-menu results appear as a card in the corner. Content scripts
+// can't import modules, so the service worker sends the pill class (tone).
+(() => {
+  const HOVER_DELAY = 700;
+  let timer = null;
+  let tip = null;
+  let card = null;
+
+  const el = (tag, cls, text) => {
+    const n = document.createElement(tag);
+    n.className = cls;
+    if (text != null) n.textContent = text;
+    return n;
+  };
+  const pill = (result) =>
+    el("span", `tos-pill tos-${result.tone}`, result.verdict);
+
+  function hideTip() {
+    tip?.remove();
+    tip = null;
+  }
+
+  function showTip(x, y, children) {
+    hideTip();
+    tip = el("div", "tos-tip");
+    tip.append(...children);
+    tip.style.left = `${x + 12}px`;
+    tip.style.top = `${y + 16}px`;
+    document.documentElement.append(tip);
+  }
+
+  // Links to the page's own site aren't worth a request
+  function checkableUrl(a) {
+    try {
+      const u = new URL(a.href, location.href);
+      return /^https?:$/.test(u.protocol) && u.host !== location.host
+        ? u.href
+        : null;
+    } catch {
+      return null;
+    }
+  }
+
+  document.addEventListener("mouseover", (e) => {
+    const a = e.target.closest?.("a[href]");
+    if (!a) return;
+    const url = checkableUrl(a);
+    if (!url) return;
+    clearTimeout(timer);
+    const { pageX, pageY } = e;
+    timer = setTimeout(() => {
+      chrome.runtime.sendMessage({ type: "tos:hover", url }, (res) => {
+        if (chrome.runtime.lastError || !res?.result) return;
+        const r = res.result;
+        showTip(pageX, pageY, [
+          pill(r),
+          ...r.signals.slice(0, 2).map((t) => el("div", "tos-muted", t)),
+        ]);
+      });
+    }, HOVER_DELAY);
+  });
+  document.addEventListener("mouseout", (e) => {
+    if (e.target.closest?.("a[href]")) {
+      clearTimeout(timer);
+      hideTip();
+    }
+  });
+
+  function showCard(children) {
+    card?.remove();
+    card = el("div", "tos-card");
+    const close = el("button", "tos-close", "×");
+    close.addEventListener("click", () => card.remove());
+    card.append(close, el("div", "tos-title", "TrueOrScam"), ...children);
+    document.documentElement.append(card);
+  }
+
+  chrome.runtime.onMessage.addListener((msg) => {
+    if (msg?.type === "tos:pending")
+      showCard([el("div", "tos-muted", `Checking ${msg.url}…`)]);
+    else if (msg?.type === "tos:error")
+      showCard([el("div", "tos-muted", msg.error)]);
+    else if (msg?.type === "tos:result") {
+      const r = msg.result;
+      const children = [
+        el("div", "tos-url", r.url),
+        el("div", "tos-line"),
+        ...(r.signals.length ? [el("ul", "tos-signals")] : []),
+      ];
+      children[1].append(
+        pill(r),
+        ...(r.confidence != null
+          ? [
+              el(
+                "span",
+                "tos-muted",
+                ` ${Math.round(r.confidence * 100)}% confidence`
+              ),
+            ]
+          : [])
+      );
+      if (r.signals.length)
+        children[2].append(...r.signals.map((t) => el("li", "", t)));
+      if (r.advice) children.push(el("p", "tos-advice", r.advice));
+      if (r.reportUrl) {
+        const a = el("a", "tos-link", "Open full report");
+        a.href = r.reportUrl;
+        a.target = "_blank";
+        a.rel = "noopener";
+        children.push(a);
+      }
+      showCard(children);
+    }
+  });
+})();
@@ -0,0 +1,33 @@
+/* -------------------- options -------------------- */
+import { api, getSettings } from "./api.js";
+
+const form = document.getElementById("form");
+const status = document.getElementById("status");
+const fields = ["apiBase", "apiKey", "hoverChecks"].map((id) =>
+  document.getElementById(id)
+);
+
+getSettings().then((s) => {
+  for (const f of fields)
+    f.type === "checkbox" ? (f.checked = s[f.id]) : (f.value = s[f.id]);
+});
+
+// Saving also calls /api/v1/key, so a wrong server or key shows up right away
+form.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  await chrome.storage.sync.set(
+    Object.fromEntries(
+      fields.map((f) => [
+        f.id,
+        f.type === "checkbox" ? f.checked : f.value.trim(),
+      ])
+    )
+  );
+  status.textContent = "Saved, testing…";
+  try {
+    const key = await api("/key");
+    status.textContent = `Connected as "${key.name}" (${key.rateLimit} requests/minute).`;
+  } catch (err) {
+    status.textContent = `Saved, but the test failed: ${err.message}`;
+  }
+});
@@ -0,0 +1,54 @@
+/* -------------------- popup: current tab -------------------- */
+const out = document.getElementById("out");
+
+const el = (tag, cls, text) => {
+  const n = document.createElement(tag);
+  n.className = cls;
+  if (text != null) n.textContent = text;
+  return n;
+};
+
+function render(r) {
+  out.className = "";
+  out.replaceChildren(el("div", "tos-url", r.url));
+  const line = el("div", "tos-line");
+  line.append(el("span", `tos-pill tos-${r.tone}`, r.verdict));
+  if (r.confidence != null)
+    line.append(
+      el("span", "tos-muted", ` ${Math.round(r.confidence * 100)}% confidence`)
+    );
+  out.append(line);
+  if (r.signals.length) {
+    const ul = el("ul", "tos-signals");
+    ul.append(...r.signals.map((t) => el("li", "", t)));
+    out.append(ul);
+  }
+  if (r.advice) out.append(el("p", "tos-advice", r.advice));
+  if (r.reportUrl) {
+    const a = el("a", "tos-link", "Open full report");
+    a.href = r.reportUrl;
+    a.target = "_blank";
+    a.rel = "noopener";
+    out.append(a);
+  }
+}
+
+document.getElementById("options").addEventListener("click", (e) => {
+  e.preventDefault();
+  chrome.runtime.openOptionsPage();
+});
+
+(async () => {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab?.url || !/^https?:/.test(tab.url)) {
+    out.textContent = "Only web pages (http/https) can be checked.";
+    return;
+  }
+  const res = await chrome.runtime.sendMessage({
+    type: "tos:tab",
+    url: tab.url,
+    tabId: tab.id,
+  });
+  if (res?.error) out.textContent = res.error;
+  else render(res.result);
+})();
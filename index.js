@@ -6,29 +6,126 @@ import multer from "multer";
 import path from "path";
 import fs from "fs";
 import crypto from "crypto";
+import { Transform, pipeline } from "stream";
+import { AsyncLocalStorage } from "async_hooks";
 import helmet from "helmet";
 import rateLimit from "express-rate-limit";
 import { z } from "zod";
 import exifr from "exifr";
 import "dotenv/config";
+import {
+  assessLinkRisk,
+  bandFor,
+  scoreSignals,
+  scoringConfigFromEnv,
+} from "./lib/scoring.js";
+import { brandSignals, loadBrands } from "./lib/brands.js";
+import { hostOf, registrableDomain } from "./lib/domain.js";
+import { FetchBlockedError, readBody, safeFetch } from "./lib/fetcher.js";
+import { analyzeHtml } from "./lib/html.js";
+import { inspectCertificate } from "./lib/tls.js";
+import { domainAge, domainAgeProviderFromEnv } from "./lib/domainAge.js";
+import { cacheFromEnv, cacheTtl, sha256 } from "./lib/cache.js";
+import {
+  createItemBudget,
+  createJobStore,
+  jobStatus,
+  mapLimit,
+  toCsv,
+} from "./lib/batch.js";
+import { EMAIL_RULES, analyzeEmail, isEmailUpload } from "./lib/email.js";
+import {
+  MESSAGE_RULES,
+  extractMessageItems,
+  looksLikeMessage,
+  messageFindings,
+} from "./lib/message.js";
+import { evidenceProvidersFromEnv, verifyClaim } from "./lib/claims.js";
+import { analyzeImageForensics } from "./lib/forensics.js";
+import { decodeImage, phash, sniffImageType } from "./lib/imaging.js";
+import { imageLibraryFromEnv, isPhash } from "./lib/scamImages.js";
+import { fingerprintStoreFromEnv } from "./lib/fingerprint.js";
+import { llmFromEnv } from "./lib/llm.js";
+import {
+  AI_SCHEMAS,
+  envelope,
+  floorVerdict,
+  signalsOf,
+} from "./lib/verdict.js";
+import { UNTRUSTED_NOTE, dataBlock, detectInjection } from "./lib/prompt.js";
+import { reportStoreFromEnv } from "./lib/reports.js";
+import { apiKeyOf, apiKeyStoreFromEnv } from "./lib/apiKeys.js";
+import { formatReply, webhooksFromEnv } from "./lib/webhooks.js";
+import { LISTS, LIST_KINDS, listStoreFromEnv } from "./lib/lists.js";
+import {
+  COMMUNITY_VERDICTS,
+  MODERATION_STATUSES,
+  communityQueueFromEnv,
+} from "./lib/community.js";
+import {
+  VIDEO_FORMATS,
+  VIDEO_MAX_BYTES,
+  analyzeVideoFile,
+  downloadVideo,
+  isDirectVideoUrl,
+  isVideoUpload,
+  platformMetadata,
+  platformOf,
+  sniffVideoType,
+  videoSignals,
+} from "./lib/video.js";
+import {
+  analyzeChain,
+  findJsRedirect,
+  findMetaRefresh,
+} from "./lib/redirects.js";
 
 /* -------------------- app + middleware -------------------- */
 const app = express();
 app.set("trust proxy", 1);
 app.use(helmet({ crossOriginResourcePolicy: { policy: "cross-origin" } }));
 app.use(cors({ origin: true }));
-app.use(express.json({ limit: "2mb" }));
+app.use(
+  express.json({
+    limit: "2mb",
+    // Webhook signatures are computed over the exact bytes received
+    verify: (req, _res, buf) => {
+      if (req.originalUrl.startsWith("/api/webhooks/")) req.rawBody = buf;
+    },
+  })
+);
 app.use(morgan("tiny"));
 app.use("/public", express.static("public"));
 
+/* -------------------- API keys + rate limits -------------------- */
+// Requests with a key are limited per key (its own rateLimit per minute);
+// keyless requests from the web UI are limited per IP. /api/v1 needs a key.
+const API_KEYS = apiKeyStoreFromEnv();
+const ANON_RATE_LIMIT = Number(process.env.RATE_LIMIT_ANON) || 120;
+
+app.use("/api", (req, res, next) => {
+  const key = apiKeyOf(req);
+  if (!key) return next();
+  req.apiKey = API_KEYS.find(key);
+  if (!req.apiKey) return res.status(401).json({ error: "Invalid API key" });
+  next();
+});
 app.use(
+  "/api",
   rateLimit({
     windowMs: 60_000,
-    max: 120,
+    max: (req) => req.apiKey?.rateLimit ?? ANON_RATE_LIMIT,
+    keyGenerator: (req) => (req.apiKey ? `key:${req.apiKey.id}` : req.ip),
+    // Platforms post from a few shared IPs; webhooks have their own limits
+    skip: (req) => req.path.startsWith("/webhooks/"),
+    message: { error: "Too many requests" },
     standardHeaders: true,
     legacyHeaders: false,
   })
 );
+app.use("/api/v1", (req, res, next) =>
+  req.apiKey ? next() : res.status(401).json({ error: "API key required" })
+);
 
 /* -------------------- utils -------------------- */
 const normalizeUrl = (u) => {
@@ -42,70 +139,134 @@ const normalizeUrl = (u) => {
 };
 const isLikelyImageUrl = (u) =>
   /\.(png|jpe?g|gif|webp|bmp|tiff?)(\?|#|$)/i.test(u);
-const isLikelyVideoUrl = (u) =>
-  /(youtube\.com|youtu\.be|vimeo\.com|\.mp4(\?|#|$))/i.test(u);
-
-function ytId(u) {
-  try {
-    const url = new URL(u);
-    if (url.hostname.includes("youtube.com")) return url.searchParams.get("v");
-    if (url.hostname === "youtu.be") return url.pathname.slice(1);
-  } catch {}
-  return null;
-}
-const ytThumb = (id) =>
-  id ? `https://img.youtube.com/vi/${id}/hqdefault.jpg` : null;
-
-const upload = multer({
-  dest: "uploads/",
-  limits: { fileSize: 5 * 1024 * 1024 },
-});
 
-const DEFAULT_TIMEOUT = 10_000;
-async function safeFetch(url, opts = {}) {
-  const controller = new AbortController();
-  const id = setTimeout(
-    () => controller.abort(),
-    opts.timeout ?? DEFAULT_TIMEOUT
-  );
-  try {
-    const res = await fetch(url, {
-      headers: {
-        "User-Agent": "TrueOrScamBot/2.0 (+https://example.com)",
-        Accept:
-          "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
+// Videos may be up to VIDEO_MAX_BYTES; images and .eml files keep the 5 MB
+// cap. The type is known before the body arrives, so the cap is enforced
+// while the upload streams to disk rather than after it's stored.
+const UPLOAD_IMAGE_MAX = 5 * 1024 * 1024;
+const UPLOAD_DIR = "uploads";
+fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+const uploadCapOf = (file) =>
+  isVideoUpload(file) ? VIDEO_MAX_BYTES : UPLOAD_IMAGE_MAX;
+const cappedDiskStorage = {
+  _handleFile(req, file, cb) {
+    const max = uploadCapOf(file);
+    const filename = crypto.randomBytes(16).toString("hex");
+    const filePath = path.join(UPLOAD_DIR, filename);
+    let size = 0;
+    const cap = new Transform({
+      transform(chunk, _enc, next) {
+        size += chunk.length;
+        if (size > max)
+          return next(
+            new multer.MulterError("LIMIT_FILE_SIZE", file.fieldname)
+          );
+        next(null, chunk);
       },
-      redirect: "follow",
-      ...opts,
-      signal: controller.signal,
     });
-    return res;
-  } finally {
-    clearTimeout(id);
-  }
-}
-
-const cache = new Map();
-const setCache = (k, d, ttl = 10 * 60_000) =>
-  cache.set(k, { d, t: Date.now() + ttl });
-const getCache = (k) => {
-  const v = cache.get(k);
-  if (!v) return null;
-  if (Date.now() > v.t) {
-    cache.delete(k);
-    return null;
-  }
-  return v.d;
+    pipeline(file.stream, cap, fs.createWriteStream(filePath), (err) => {
+      if (err) {
+        fs.unlink(filePath, () => {});
+        return cb(err);
+      }
+      cb(null, { destination: UPLOAD_DIR, filename, path: filePath, size });
+    });
+  },
+  _removeFile: (req, file, cb) => fs.unlink(file.path, cb),
 };
+const upload = multer({
+  storage: cappedDiskStorage,
+  limits: { fileSize: Math.max(UPLOAD_IMAGE_MAX, VIDEO_MAX_BYTES) },
+});
+
+const cache = cacheFromEnv();
+const cacheKey = (type, id, context) =>
+  `${type}:${id}:${sha256(context || "").slice(0, 16)}`;
 
 function sha1(buf) {
   return crypto.createHash("sha1").update(buf).digest("hex");
 }
 
+const SCORING = scoringConfigFromEnv();
+const BRANDS = loadBrands();
+const DOMAIN_AGE = domainAgeProviderFromEnv();
+const SCAM_IMAGES = imageLibraryFromEnv();
+const LIST = listStoreFromEnv();
+const FINGERPRINTS = fingerprintStoreFromEnv(process.env, {
+  brands: BRANDS,
+  isBlocked: (url) => LIST.match({ url })?.entry.list === "block",
+});
+const COMMUNITY = communityQueueFromEnv();
+const EVIDENCE = evidenceProvidersFromEnv();
+const REPORTS = reportStoreFromEnv();
+
 /* -------------------- validation -------------------- */
+const BATCH_MAX_ITEMS = Number(process.env.BATCH_MAX_ITEMS) || 1000;
+const BATCH_SYNC_MAX = Number(process.env.BATCH_SYNC_MAX) || 50;
+const BATCH_CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || 4;
+
 const DetectBody = z.object({
   input: z.string().optional(),
   context: z.string().max(4000).optional(),
+  mode: z.enum(["auto", "message", "claim"]).optional(),
+  redact: z.boolean().optional(),
+});
+const CheckBody = z.object({
+  url: z.string().min(1),
+  context: z.string().max(4000).optional(),
+});
+const BatchItem = z.union([
+  z.string().min(1).max(4000),
+  z.object({
+    input: z.string().min(1).max(4000),
+    context: z.string().max(4000).optional(),
+  }),
+]);
+const BatchBody = z.object({
+  items: z.array(BatchItem).min(1).max(BATCH_MAX_ITEMS),
+  context: z.string().max(4000).optional(),
+  concurrency: z.number().int().min(1).optional(),
+  job: z.boolean().optional(),
+});
+const ListEntryBody = z.object({
+  list: z.enum(LISTS),
+  kind: z.enum(LIST_KINDS),
+  value: z.string().min(1).max(2000),
+  note: z.string().max(2000).optional(),
+});
+const CommunityReportBody = z.object({
+  url: z.string().min(1).max(2000),
+  verdict: z.enum(COMMUNITY_VERDICTS),
+  note: z.string().max(1000).optional(),
+  reportId: z.string().max(40).optional(),
+});
+const ModerationBody = z.object({
+  action: z.enum(["confirm", "reject"]),
+  kind: z.enum(["domain", "url"]).optional(),
+  value: z.string().min(1).max(2000).optional(),
+  note: z.string().max(2000).optional(),
+});
+const ClusterBody = z.object({
+  label: z.string().max(200).optional(),
+  note: z.string().max(2000).optional(),
+  confirmed: z.boolean().optional(),
+});
+const ScamImageBody = z.object({
+  label: z.string().min(1).max(200),
+  notes: z.string().max(2000).optional(),
+  phash: z
+    .string()
+    .regex(/^[0-9a-fA-F]{16}$/)
+    .optional(),
+  url: z.string().url().optional(),
+});
+const ApiKeyBody = z.object({
+  name: z.string().min(1).max(200),
+  rateLimit: z.number().int().min(1).max(100_000).optional(),
+});
+const ExplainBody = z.object({
+  text: z.string().min(1).max(8000),
+  url: z.string().optional(),
 });
 
 /* -------------------- Safe Browsing -------------------- */
@@ -176,56 +337,174 @@ function basicUrlSignals(u) {
   }
 }
 
-function htmlRedFlags(html = "") {
-  const flags = [];
-  if (/onload\s*=|onclick\s*=|eval\(/i.test(html))
-    flags.push("Inline handlers or eval");
-  if (/bitcoin|crypto\s*wallet|seed\s*phrase/i.test(html))
-    flags.push("Crypto wallet bait");
-  if (/giveaway/i.test(html)) flags.push("Giveaway bait");
-  if (/login/i.test(html) && /verify/i.test(html))
-    flags.push("Login + verification combo");
-  if (/blur\(|filter:.*blur/i.test(html)) flags.push("CSS blur trick");
-  return flags;
-}
+const MAX_REDIRECTS = Number(process.env.MAX_REDIRECTS) || 8;
 
-async function inspectPage(url) {
+// Follows HTTP and meta-refresh redirects by hand so every hop is visible. A
+// script redirect is only recorded on its hop: the page carrying it is the
+// one analyzed, so a button or script pointing at a real brand site can't
+// swap a phishing page for that site.
+async function inspectPage(url, { maxRedirects = MAX_REDIRECTS } = {}) {
+  const hops = [];
   try {
-    let r = await safeFetch(url, { method: "HEAD" });
-    const finalUrl = r.url || url;
-    const headers = Object.fromEntries([...r.headers.entries()]);
-    const contentType = headers["content-type"] || "";
-    const isHtml = contentType.includes("text/html") || contentType === "";
-
+    let current = url;
+    let via = "http";
+    let r;
+    let contentType = "";
     let html = "";
-    if (isHtml) {
-      r = await safeFetch(finalUrl, { method: "GET" });
-      const buf = Buffer.from(await r.arrayBuffer());
-      html = buf.toString("utf8").slice(0, 250_000);
+    let truncated = false;
+
+    for (;;) {
+      r = await safeFetch(current, { method: "GET", redirect: "manual" });
+      const hop = {
+        url: current,
+        status: r.status,
+        location: r.headers.get("location"),
+        host: hostOf(current),
+        via,
+        metaRefresh: null,
+        jsRedirect: null,
+      };
+      hops.push(hop);
+
+      let next = null;
+      if (r.status >= 300 && r.status < 400 && hop.location) {
+        r.body?.resume?.();
+        next = new URL(hop.location, current).toString();
+        via = "http";
+      } else {
+        contentType = r.headers.get("content-type") || "";
+        const isHtml = contentType.includes("text/html") || contentType === "";
+        html = "";
+        if (isHtml) {
+          const { buffer } = await readBody(r, 250_000);
+          html = buffer.toString("utf8");
+          hop.metaRefresh = findMetaRefresh(html, current);
+          hop.jsRedirect = findJsRedirect(html, current);
+        } else {
+          r.body?.resume?.();
+        }
+        next = hop.metaRefresh;
+        via = "meta";
+        // Don't loop on a page that refreshes itself
+        if (next === current) next = null;
+      }
+
+      if (!next) break;
+      if (hops.length > maxRedirects) {
+        truncated = true;
+        break;
+      }
+      current = next;
     }
 
+    const finalUrl = current;
     let faviconHash = null;
     try {
       const origin = new URL(finalUrl).origin;
       const fav = await safeFetch(origin + "/favicon.ico", { timeout: 5000 });
       if (fav.ok) {
-        const b = Buffer.from(await fav.arrayBuffer());
-        faviconHash = sha1(b);
+        const { buffer } = await readBody(fav, 256_000);
+        faviconHash = sha1(buffer);
       }
     } catch {}
 
+    const htmlAnalysis = analyzeHtml(html, finalUrl, { brands: BRANDS });
     return {
       finalUrl,
       status: r.status,
       contentType,
-      htmlSnippet: html.slice(0, 5000),
+      htmlAnalysis,
       faviconHash,
+      fingerprint: htmlAnalysis.fingerprint && {
+        ...htmlAnalysis.fingerprint,
+        favicon: faviconHash,
+      },
+      redirects: analyzeChain(hops, { maxRedirects, truncated }),
     };
   } catch (e) {
-    return { error: String(e) };
+    if (e instanceof FetchBlockedError)
+      return { blocked: e.blocked, redirects: analyzeChain(hops) };
+    return { error: String(e), redirects: analyzeChain(hops) };
   }
 }
 
+// Each lookup reports its step as soon as it settles
+const pageLabel = (page) =>
+  page.blocked
+    ? "Page fetch blocked"
+    : page.error
+    ? "Page fetch failed"
+    : `Page fetched (HTTP ${page.status}${
+        page.redirects?.hops?.length > 1
+          ? `, ${page.redirects.hops.length - 1} redirects`
+          : ""
+      })`;
+
+// Everything the rule engine and the prompt need about a link, no AI
+async function collectLinkSignals(url) {
+  const { protocol, hostname } = new URL(url);
+  const [sb, page, tls, age] = await Promise.all([
+    checkSafeBrowsing(url).then((sb) => {
+      progress(
+        "safe_browsing",
+        sb.raw?.disabled
+          ? "Safe Browsing not configured"
+          : sb.flagged
+          ? "Flagged by Safe Browsing"
+          : "Safe Browsing checked",
+        { url, signals: signalsOf({ safeBrowsing: sb }) }
+      );
+      return sb;
+    }),
+    inspectPage(url).then((page) => {
+      progress("page", pageLabel(page), {
+        url,
+        finalUrl: page.finalUrl || null,
+        signals: signalsOf({ findings: page.htmlAnalysis?.findings }),
+      });
+      return page;
+    }),
+    protocol === "https:"
+      ? inspectCertificate(hostname)
+          .catch((e) => ({
+            host: hostname,
+            error: e.blocked ? "blocked" : String(e),
+          }))
+          .then((tls) => {
+            progress(
+              "tls",
+              tls.error ? "Certificate check failed" : "Certificate checked",
+              { url }
+            );
+            return tls;
+          })
+      : null,
+    domainAge(registrableDomain(hostname), DOMAIN_AGE).then((age) => {
+      progress(
+        "domain_age",
+        age?.ageDays != null
+          ? `Domain registered ${age.ageDays} days ago`
+          : "Domain age unknown",
+        { url }
+      );
+      return age;
+    }),
+  ]);
+  const urlSignals = basicUrlSignals(url);
+  const htmlFindings = page.htmlAnalysis?.findings || [];
+  const brand = brandSignals(url, BRANDS);
+  const facts = {
+    safeBrowsingFlagged: sb.flagged,
+    urlSignals,
+    htmlFindings,
+    brand,
+    redirects: page.redirects,
+    tls,
+    domainAge: age,
+  };
+  return { sb, page, urlSignals, htmlFindings, brand, tls, age, facts };
+}
+
 /* -------------------- EXIF -------------------- */
 async function parseExifFromDataUrl(dataUrl) {
   try {
@@ -256,299 +535,1480 @@ async function parseExifFromDataUrl(dataUrl) {
   }
 }
 
-/* -------------------- Gemini with retry + mock fallback -------------------- */
-const GEMINI_KEY = process.env.GEMINI_API_KEY;
-const GEMINI_MODEL = process.env.GEMINI_MODEL || "gemini-1.5-flash";
-
-function mockFromPrompt(prompt) {
-  const p = (prompt || "").toLowerCase();
-  if (p.includes("verify this claim") || p.includes("headline")) {
-    return {
-      verdict: "unverified",
-      checks: [
-        {
-          step: "Find primary source",
-          why: "Confirm original speaker/publication",
-        },
-        {
-          step: "Check date/location",
-          why: "Spot recycled or out-of-context claims",
-        },
-      ],
-      what_to_collect: ["source URL", "publication date", "speaker identity"],
-      advice: "Cross-check with at least two reputable outlets.",
-    };
-  }
-  if (p.includes("video url")) {
-    return {
-      risk: "suspicious",
-      signals: ["Clickbait title pattern", "Unknown channel"],
-      advice: "Verify channel history and corroborating sources.",
-    };
+/* -------------------- scan progress (streamed over SSE) -------------------- */
+// Detection steps call progress(step, label, data) as they finish; only a
+// /api/detect/stream request listens (every other caller gets a no-op). Once
+// the client has gone away the next step throws ScanCancelled, which stops
+// the scan without caching or reporting anything.
+class ScanCancelled extends Error {
+  constructor() {
+    super("Scan cancelled");
+    this.name = "ScanCancelled";
   }
-  if (p.includes("image")) {
+}
+const PROGRESS = new AsyncLocalStorage();
+const progress = (step, label, data = {}) =>
+  PROGRESS.getStore()?.({ step, label, ...data });
+
+/* -------------------- LLM (provider chain, see lib/llm.js) -------------------- */
+const LLM = llmFromEnv();
+
+const attemptLabel = ({ provider, attempt, after, repair }) =>
+  repair
+    ? `Asking ${provider} again for a valid reply`
+    : attempt > 1
+    ? `AI attempt ${attempt} after ${after}`
+    : `Asking ${provider}`;
+
+async function askLlm(req) {
+  const ai = await LLM.json({
+    ...req,
+    // Only the provider and a short reason reach stream clients
+    onAttempt: (a) =>
+      progress("ai_attempt", attemptLabel(a), {
+        provider: a.provider,
+        attempt: a.attempt,
+        ...(a.after ? { after: a.after } : {}),
+      }),
+  });
+  progress("ai", ai._error ? "No AI verdict" : `AI replied (${ai._provider})`, {
+    signals: signalsOf({ ai }),
+  });
+  return ai;
+}
+
+// Text-only wrapper; `expect` is an AI_SCHEMAS entry the reply must match
+async function llmText(prompt, expect) {
+  return askLlm({ text: prompt, expect });
+}
+
+// Vision wrapper (expects data URLs; several images, e.g. video frames, via
+// imageDataUrls)
+async function llmVision({
+  prompt,
+  imageDataUrl,
+  imageDataUrls = [imageDataUrl],
+  expect,
+}) {
+  return askLlm({
+    text: prompt,
+    images: imageDataUrls.filter(Boolean),
+    expect,
+  });
+}
+
+// Same { verdict, confidence, signals[] } envelope on every result
+const withEnvelope = (out) => envelope(out, SCORING);
+
+/* -------------------- image download -------------------- */
+const IMAGE_MAX_BYTES =
+  Number(process.env.IMAGE_URL_MAX_BYTES) || 5 * 1024 * 1024;
+const IMAGE_MIME = {
+  jpeg: "image/jpeg",
+  png: "image/png",
+  gif: "image/gif",
+  webp: "image/webp",
+  bmp: "image/bmp",
+  tiff: "image/tiff",
+  heif: "image/heic",
+};
+const MIME_ALIASES = { jpg: "jpeg", pjpeg: "jpeg", heic: "heif", avif: "heif" };
+const mimeFormat = (mime) => {
+  const sub = mime.replace(/^image\/(x-)?/, "");
+  return MIME_ALIASES[sub] || sub;
+};
+
+// Downloads an image URL through the SSRF-safe fetcher. The bytes decide
+// what it is; a page behind an image-looking URL comes back as notImage.
+async function fetchImage(url) {
+  try {
+    const r = await safeFetch(url, {
+      redirect: "follow",
+      maxBytes: IMAGE_MAX_BYTES,
+    });
+    if (!r.ok) return { error: `HTTP ${r.status}` };
+    const contentType = (r.headers.get("content-type") || "")
+      .split(";")[0]
+      .trim()
+      .toLowerCase();
+    const declaredImage =
+      !contentType ||
+      contentType.startsWith("image/") ||
+      contentType === "application/octet-stream";
+    const { buffer, truncated } = await readBody(r, IMAGE_MAX_BYTES);
+    const format = sniffImageType(buffer);
+    if (!format) return { notImage: true, contentType };
+    if (truncated) return { error: "Image too large", contentType };
+    const mismatch = contentType.startsWith("image/")
+      ? mimeFormat(contentType) !== format
+      : !declaredImage;
     return {
-      verdict: "uncertain",
-      indicators: ["No EXIF metadata", "Slight edge artifacts"],
-      advice: "Seek original upload; reverse image search.",
+      buffer,
+      contentType,
+      format,
+      mime: IMAGE_MIME[format],
+      ...(mismatch
+        ? { contentTypeMismatch: { declared: contentType, detected: format } }
+        : {}),
     };
+  } catch (e) {
+    if (e instanceof FetchBlockedError)
+      return e.blocked.reason === "body_too_large"
+        ? { error: "Image too large" }
+        : { blocked: e.blocked };
+    return { error: String(e) };
   }
-  return {
-    risk: "suspicious",
-    signals: ["Obscure domain TLD"],
-    advice: "Avoid entering credentials or payment details.",
-  };
 }
 
-async function geminiCallJSON({ parts }, { retries = 3 } = {}) {
-  // Mock mode or no key -> immediate mock
-  if (!GEMINI_KEY || GEMINI_KEY === "MOCK") {
-    const text = parts?.map((p) => p.text).join("\n") || "";
-    return { ...mockFromPrompt(text), _mock: true };
-  }
-
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent?key=${GEMINI_KEY}`;
+/* -------------------- known scam images -------------------- */
 
-  for (let i = 0; i < retries; i++) {
-    try {
-      const resp = await fetch(url, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ contents: [{ parts }] }),
-      });
+const phashOf = (buf) => {
+  const img = decodeImage(buf);
+  return img ? phash(img) : null;
+};
 
-      const bodyText = await resp.text();
-      let data;
-      try {
-        data = JSON.parse(bodyText);
-      } catch {
-        data = {};
+function matchKnownImage(hash) {
+  const m = SCAM_IMAGES.match(hash);
+  return m
+    ? {
+        id: m.entry.id,
+        label: m.entry.label,
+        notes: m.entry.notes,
+        distance: m.distance,
+        similarity: m.similarity,
       }
+    : null;
+}
 
-      // If overloaded -> exponential backoff, then final fallback to mock
-      if (resp.status === 503) {
-        if (i < retries - 1) {
-          const wait = (i + 1) * 1000;
-          await new Promise((r) => setTimeout(r, wait));
-          continue;
-        }
-        const text = parts?.map((p) => p.text).join("\n") || "";
-        return { ...mockFromPrompt(text), _fallback: "gemini_503" };
-      }
+// A library hit overrides the model verdict (also re-checked on cache hits,
+// so newly added entries apply immediately)
+const withKnownMatch = (out, hash) => {
+  const knownMatch = matchKnownImage(hash);
+  return knownMatch ? { ...out, verdict: "likely scam", knownMatch } : out;
+};
 
-      if (!resp.ok) {
-        const msg = data?.error?.message || bodyText || "unknown";
-        return { _error: `Gemini error ${resp.status}: ${msg}` };
-      }
+/* -------------------- core detection -------------------- */
+// EXIF + forensics + library match + vision; shared by uploads and image URLs
+async function analyzeImage(buffer, mime, context) {
+  const dataUrl = `data:${mime};base64,` + buffer.toString("base64");
+  const [exif, forensics] = await Promise.all([
+    parseExifFromDataUrl(dataUrl),
+    analyzeImageForensics(buffer).catch((e) => ({ error: String(e) })),
+  ]);
+  progress("forensics", "Image forensics done", {
+    signals: signalsOf({ forensics }),
+  });
+  // Known scam image → skip the model
+  const knownMatch = matchKnownImage(forensics.phash);
+  if (knownMatch)
+    return { verdict: "likely scam", knownMatch, exif, forensics, ai: null };
+  const ai = await llmVision({
+    prompt: `
+Analyze image for manipulation/deepfake, weighing the EXIF fields, the local
+forensics summary and the user's context. Return JSON:
+${AI_SCHEMAS.image.shape}
+${UNTRUSTED_NOTE}
 
-      const text = data.candidates?.[0]?.content?.parts?.[0]?.text || "";
-      const m = text.match(/\{[\s\S]*\}/);
-      if (m) {
-        try {
-          return JSON.parse(m[0]);
-        } catch {}
-      }
-      // If model returned prose, degrade gracefully
-      return { _error: "Bad/empty JSON from Gemini", raw: text };
-    } catch (e) {
-      // Network errors -> retry, then mock at the end
-      if (i < retries - 1) {
-        await new Promise((r) => setTimeout(r, 500));
-        continue;
-      }
-      const text = parts?.map((p) => p.text).join("\n") || "";
-      return { ...mockFromPrompt(text), _fallback: "network_error" };
-    }
-  }
-  // Shouldn't reach here
-  const text = parts?.map((p) => p.text).join("\n") || "";
-  return { ...mockFromPrompt(text), _fallback: "unknown" };
+${dataBlock("exif", exif)}
+${dataBlock("forensics", describeForensics(forensics))}
+${dataBlock("user_context", context)}
+`.trim(),
+    imageDataUrl: dataUrl,
+    expect: AI_SCHEMAS.image,
+  });
+  return {
+    verdict: floorVerdict(ai?.verdict, forensics.signals),
+    exif,
+    forensics,
+    ai,
+  };
 }
 
-// Text-only wrapper
-async function geminiText(prompt) {
-  return geminiCallJSON({ parts: [{ text: prompt }] });
+// ffprobe metadata + sampled frames through the library and vision
+async function analyzeVideo(file, context, source = {}) {
+  const { metadata, signals, frames } = await analyzeVideoFile(file);
+  progress("video_frames", `${frames.length} frame(s) sampled`, {
+    signals: signalsOf({ metadataSignals: signals }),
+  });
+  const video = { ...source, metadata, signals, frames };
+  const knownMatch =
+    frames.map((f) => matchKnownImage(f.phash)).find(Boolean) || null;
+  if (knownMatch)
+    return { verdict: "likely scam", knownMatch, video, ai: null };
+  const prompt = `
+Analyze these video frames for scam/deepfake risk (face swaps, lip-sync,
+synthetic presenters, fake endorsements). Return JSON:
+${AI_SCHEMAS.video.shape}
+Frames sampled at: ${
+    frames.map((f) => `${f.time}s`).join(", ") || "(none — frames unavailable)"
+  }
+${UNTRUSTED_NOTE}
+
+${dataBlock("container_metadata", metadata)}
+${dataBlock(
+  "metadata_signals",
+  signals.map((s) => `${s.severity}: ${s.title} (${s.evidence})`)
+)}
+${dataBlock("user_context", context)}
+`.trim();
+  const ai = frames.length
+    ? await llmVision({
+        prompt,
+        imageDataUrls: frames.map((f) => f.dataUrl),
+        expect: AI_SCHEMAS.video,
+      })
+    : await llmText(prompt, AI_SCHEMAS.video);
+  return { verdict: floorVerdict(ai?.risk, signals), video, ai };
 }
 
-// Vision wrapper (expects data URL; converts to inlineData)
-async function geminiVision({ prompt, imageDataUrl }) {
-  if (!GEMINI_KEY || GEMINI_KEY === "MOCK") {
-    return { ...mockFromPrompt("image " + prompt), _mock: true };
-  }
-  const base64 = imageDataUrl.split(",")[1] || "";
-  const mime =
-    (imageDataUrl.match(/^data:(.*?);base64,/) || [])[1] || "image/jpeg";
-  return geminiCallJSON({
-    parts: [{ text: prompt }, { inlineData: { mimeType: mime, data: base64 } }],
-  });
+// Shorts / embed / TikTok / X links: oEmbed + page metadata + thumbnail
+async function detectPlatformVideo(url, platform, context) {
+  const metadata = await platformMetadata(url, platform);
+  const signals = videoSignals({ platform: metadata });
+  const thumb = metadata.thumbnailUrl
+    ? await fetchImage(metadata.thumbnailUrl)
+    : null;
+  const out = {
+    type: "video_url",
+    platform: {
+      name: platform.platform,
+      id: platform.id,
+      kind: platform.kind,
+      canonicalUrl: platform.canonicalUrl,
+    },
+    metadata,
+    metadataSignals: signals,
+    thumbnailUrl: metadata.thumbnailUrl,
+  };
+  const knownMatch = matchKnownImage(
+    thumb?.buffer ? phashOf(thumb.buffer) : null
+  );
+  if (knownMatch)
+    return { ...out, verdict: "likely scam", knownMatch, ai: null };
+
+  const prompt = `
+Analyze this video URL for scam/deepfake risk from its platform metadata and
+the signals below. ${
+    thumb?.buffer
+      ? "The attached image is the video thumbnail."
+      : "Thumbnail: unavailable"
+  } Return JSON:
+${AI_SCHEMAS.video.shape}
+Platform: ${out.platform.name} (${out.platform.kind})
+${UNTRUSTED_NOTE}
+
+${dataBlock("url", url)}
+${dataBlock("metadata", {
+  title: metadata.title,
+  author: metadata.author,
+  authorUrl: metadata.authorUrl,
+  description: metadata.description,
+  text: metadata.text,
+})}
+${dataBlock(
+  "signals",
+  signals.map((s) => `${s.severity}: ${s.title} (${s.evidence})`)
+)}
+${dataBlock("user_context", context)}
+`.trim();
+  const ai = thumb?.buffer
+    ? await llmVision({
+        prompt,
+        imageDataUrl: `data:${thumb.mime};base64,${thumb.buffer.toString(
+          "base64"
+        )}`,
+        expect: AI_SCHEMAS.video,
+      })
+    : await llmText(prompt, AI_SCHEMAS.video);
+  return { ...out, verdict: floorVerdict(ai?.risk, signals), ai };
 }
 
-/* -------------------- core detection -------------------- */
-async function detectByUrl(url, context) {
-  if (isLikelyImageUrl(url)) {
-    // Text-only prompt about an image URL (Gemini vision prefers inline data)
-    const ai = await geminiText(
-      `
-Analyze this image URL for manipulation/deepfake/fraud:
-${url}
-Return JSON: {"verdict":"authentic|edited|uncertain","indicators":["..."],"advice":"..."}
-Context: ${context || "(none)"}.
-`.trim()
-    );
+async function detectImageUrl(img, context) {
+  const image = {
+    contentType: img.contentType || null,
+    format: img.format || null,
+    bytes: img.buffer?.length || 0,
+  };
+  if (!img.buffer)
     return {
       type: "image_url",
-      verdict: ai?.verdict || "unverified",
+      verdict: "unverified",
       safeBrowsing: "n/a",
-      ai,
+      image: {
+        ...image,
+        error: img.error || null,
+        blocked: img.blocked || null,
+      },
+      ai: null,
+    };
+  return {
+    type: "image_url",
+    safeBrowsing: "n/a",
+    image,
+    ...(img.contentTypeMismatch
+      ? { contentTypeMismatch: img.contentTypeMismatch }
+      : {}),
+    ...(await analyzeImage(img.buffer, img.mime, context)),
+  };
+}
+
+// Compact forensics summary for prompts (the ELA image stays out)
+const describeForensics = (f) =>
+  f?.error
+    ? "(unavailable)"
+    : JSON.stringify({
+        signals: f.signals.map(
+          (s) => `${s.severity}: ${s.title} (${s.evidence})`
+        ),
+        quantization: f.jpeg?.quantization,
+        doubleCompression: f.jpeg?.doubleCompression,
+        ela: f.ela && {
+          meanError: f.ela.meanError,
+          hotspotRatio: f.ela.hotspotRatio,
+        },
+        c2pa: f.provenance?.c2pa,
+      });
+
+const describeChain = (chain) =>
+  chain?.hops?.length > 1 || chain?.flags?.length
+    ? chain.hops.map((h) => `${h.status} ${h.url} (${h.via})`).join(" -> ") +
+      ` | flags: ${JSON.stringify(chain.flags)}`
+    : "(no redirects)";
+
+// A confirmed list entry is the verdict; nothing else is analyzed
+const listedResult = ({ entry, on }, extra = {}) => ({
+  type: "link",
+  verdict: entry.list === "block" ? "likely scam" : "safe",
+  listMatch: {
+    id: entry.id,
+    list: entry.list,
+    kind: entry.kind,
+    value: entry.value,
+    note: entry.note,
+    source: entry.source,
+    on,
+  },
+  ai: null,
+  ...extra,
+});
+
+// Stores the page's fingerprint under the URL it landed on; returns the kit
+// cluster it joined, if any
+const recordKit = (url, page, verdict, listed = false) =>
+  FINGERPRINTS.record({
+    url: page.finalUrl || url,
+    verdict,
+    listed,
+    fingerprint: page.fingerprint,
+  });
+
+async function detectByUrl(url, context) {
+  const listed = LIST.match({ url });
+  if (listed) return listedResult(listed);
+
+  let contentTypeMismatch = null;
+  if (isLikelyImageUrl(url)) {
+    const img = await fetchImage(url);
+    if (!img.notImage) return detectImageUrl(img, context);
+    // Image-looking URL that serves something else: analyze it as a link
+    contentTypeMismatch = {
+      expected: "image",
+      declared: img.contentType || null,
+      detected: null,
     };
   }
 
-  if (isLikelyVideoUrl(url)) {
-    const id = ytId(url);
-    const thumb = ytThumb(id);
-    const ai = await geminiText(
-      `
-Analyze this video URL for scam/deepfake risk:
-${url}
-Thumbnail: ${thumb || "none"}
-Return JSON: {"risk":"safe|suspicious|likely scam","signals":["..."],"advice":"..."}
-Context: ${context || "(none)"}.
-`.trim()
-    );
-    return {
-      type: "video_url",
-      verdict: ai?.risk || "unverified",
-      thumbnailUrl: thumb || null,
-      ai,
+  const platform = platformOf(url);
+  if (platform) return detectPlatformVideo(url, platform, context);
+
+  if (isDirectVideoUrl(url)) {
+    const dl = await downloadVideo(url);
+    if (dl.file) {
+      try {
+        const source = {
+          contentType: dl.contentType,
+          format: dl.format,
+          bytes: dl.bytes,
+        };
+        return {
+          type: "video_url",
+          ...(await analyzeVideo(dl.file, context, source)),
+        };
+      } finally {
+        fs.rmSync(dl.dir, { recursive: true, force: true });
+      }
+    }
+    if (!dl.notVideo)
+      return {
+        type: "video_url",
+        verdict: "unverified",
+        video: { error: dl.error || null, blocked: dl.blocked || null },
+        ai: null,
+      };
+    contentTypeMismatch = {
+      expected: "video",
+      declared: dl.contentType || null,
+      detected: null,
     };
   }
 
   // generic link with heuristics
-  const sb = await checkSafeBrowsing(url);
-  const urlSignals = basicUrlSignals(url);
-  const page = await inspectPage(url);
-  const redFlags = htmlRedFlags(page.htmlSnippet || "");
+  const { sb, page, urlSignals, htmlFindings, brand, tls, age, facts } =
+    await collectLinkSignals(url);
+  // Redirect targets and favicons are only known after the fetch
+  const listedPage = LIST.match({
+    finalUrl: page.finalUrl,
+    faviconHash: page.faviconHash,
+  });
+  if (listedPage) {
+    const out = listedResult(listedPage, {
+      details: { urlSignals, redirects: page.redirects },
+    });
+    // Allowlisted pages are never kit members
+    return listedPage.entry.list === "block"
+      ? { ...out, cluster: recordKit(url, page, out.verdict, true) }
+      : out;
+  }
+  facts.contentTypeMismatch = contentTypeMismatch;
+  facts.kitCluster = FINGERPRINTS.match(page.fingerprint, {
+    url: page.finalUrl || url,
+  });
+  const base = assessLinkRisk(facts, null, SCORING);
+  progress("heuristics", `Rule score ${base.score}/100 (${base.band})`, {
+    url,
+    score: base.score,
+    band: base.band,
+    signals: signalsOf({ risk: base }),
+  });
 
   const prompt = `
-You are a fraud-risk assistant. Given structured signals + optional HTML snippet,
-classify the URL: "safe" | "suspicious" | "likely scam". Return JSON:
-{"risk":"...","signals":["..."],"advice":"..."}
-
-URL: ${url}
+You are a fraud-risk assistant. Given structured signals and the page's visible
+text, classify the URL: "safe" | "suspicious" | "likely scam". A rule engine
+already scored the signals (RuleScore); your label can only nudge that score a
+little and can never lower it below its band. Return JSON:
+${AI_SCHEMAS.link.shape}
+RuleScore: ${base.score}/100 (${base.band})
 SafeBrowsingFlagged: ${sb.flagged}
-URLSignals: ${JSON.stringify(urlSignals)}
-PageMeta: ${JSON.stringify({
-    status: page.status,
-    contentType: page.contentType,
-    faviconHash: page.faviconHash,
-  })}
-HeuristicFlags: ${JSON.stringify(redFlags)}
-HTML (snippet): ${page.htmlSnippet || "(none)"}
-Context: ${context || "(none)"}.
+${UNTRUSTED_NOTE}
+
+${dataBlock("url", url)}
+${dataBlock(
+  "signals",
+  {
+    urlSignals,
+    page: {
+      blocked: page.blocked,
+      status: page.status,
+      contentType: page.contentType,
+      faviconHash: page.faviconHash,
+    },
+    htmlFindings: htmlFindings.map(({ id, severity, evidence }) => ({
+      id,
+      severity,
+      evidence,
+    })),
+    tls: tls && {
+      issuer: tls.issuer,
+      daysSinceIssued: tls.daysSinceIssued,
+      sanMatchesHost: tls.sanMatchesHost,
+      trusted: tls.trusted,
+      error: tls.error,
+    },
+    domainAge: age && {
+      domain: age.domain,
+      ageDays: age.ageDays,
+      registrar: age.registrar,
+    },
+    redirectChain: describeChain(page.redirects),
+    brandImpersonation: brand.matches.map(({ brand, technique, evidence }) => ({
+      brand,
+      technique,
+      evidence,
+    })),
+    contentTypeMismatch,
+    kitCluster: facts.kitCluster && {
+      shared: facts.kitCluster.shared,
+      domainCount: facts.kitCluster.domainCount,
+      scamDomains: facts.kitCluster.scamDomains,
+    },
+  },
+  8000
+)}
+${dataBlock("page_text", page.htmlAnalysis?.text, 3000)}
+${dataBlock("user_context", context)}
 `.trim();
 
-  const ai = await geminiText(prompt);
+  const ai = await llmText(prompt, AI_SCHEMAS.link);
+  const risk = assessLinkRisk(facts, ai, SCORING);
+  const verdict = sb.flagged ? "likely scam" : risk.band;
 
   return {
     type: "link",
-    verdict: sb.flagged ? "likely scam" : ai?.risk || "clear",
+    verdict,
+    risk,
+    cluster: recordKit(url, page, verdict),
     safeBrowsing: sb?.raw?.disabled
       ? "disabled"
       : sb.flagged
       ? "flagged"
       : "clear",
-    signals: {
+    details: {
       urlSignals,
-      redFlags,
-      page: { status: page.status, contentType: page.contentType },
+      htmlFindings,
+      forms: page.htmlAnalysis?.forms || [],
+      brand,
+      redirects: page.redirects,
+      tls,
+      domainAge: age,
+      contentTypeMismatch,
+      page: {
+        blocked: page.blocked || null,
+        status: page.status,
+        contentType: page.contentType,
+        finalUrl: page.finalUrl,
+      },
     },
     ai,
   };
 }
 
+// URL, pasted message or plain-text claim → cached result; shared by
+// /api/detect and batches
+async function detectText(trimmed, context, { mode = "auto" } = {}) {
+  const url = mode === "auto" ? normalizeUrl(trimmed) : null;
+  if (url) {
+    const key = cacheKey("url", url, context);
+    const cached = await cache.get(key);
+    if (cached) return { cached: true, ...cached };
+    const out = withEnvelope({
+      mode: "url",
+      url,
+      ...(await detectByUrl(url, context)),
+    });
+    await cache.set(key, out, cacheTtl("url"));
+    return out;
+  }
+
+  if (mode === "message") return detectMessage(trimmed, context);
+  if (mode === "auto") {
+    const items = extractMessageItems(trimmed);
+    const findings = messageFindings(trimmed, { brands: BRANDS, items });
+    if (looksLikeMessage(items, findings))
+      return detectMessage(trimmed, context);
+  }
+
+  const key = cacheKey("claim", sha256(trimmed), context);
+  const cached = await cache.get(key);
+  if (cached) return { cached: true, ...cached };
+  // Verdict comes from the evidence lookup; the model adds how-to-verify steps
+  const check = await verifyClaim(trimmed, { providers: EVIDENCE });
+  progress(
+    "evidence",
+    `Evidence searched for ${check.statements.length} statement(s)`,
+    { signals: signalsOf({ statements: check.statements }) }
+  );
+  const ai = await llmText(
+    `
+Verify this claim/headline using the evidence found per statement. Return JSON:
+${AI_SCHEMAS.claim.shape}
+${UNTRUSTED_NOTE}
+
+${dataBlock("claim", trimmed)}
+${dataBlock(
+  "evidence",
+  check.statements.map((s) => ({
+    statement: s.text,
+    assessment: s.assessment,
+    sources: s.sources
+      .slice(0, 3)
+      .map((x) => `${x.publisher || x.provider}: ${x.rating || x.stance}`),
+  })),
+  8000
+)}
+${dataBlock("user_context", context)}
+`.trim(),
+    AI_SCHEMAS.claim
+  );
+  const out = withEnvelope({
+    mode: "text",
+    detected: "claim",
+    ...check,
+    ai,
+  });
+  await cache.set(key, out, cacheTtl("claim"));
+  return out;
+}
+
+// Every link through detectText (cached detectByUrl); shared by emails and messages
+const checkLinks = (urls, context) =>
+  mapLimit(urls, 3, async (url) => {
+    const clean = normalizeUrl(url);
+    if (!clean) return { url, verdict: "unverified", error: "Invalid URL" };
+    try {
+      const r = await detectText(clean, context);
+      return {
+        url: clean,
+        type: r.type,
+        verdict: r.verdict,
+        score: r.risk?.score ?? null,
+      };
+    } catch (e) {
+      if (e instanceof ScanCancelled) throw e;
+      return {
+        url: clean,
+        verdict: "unverified",
+        error: String(e.message || e),
+      };
+    }
+  });
+
+// Receiving servers whose Authentication-Results are trusted; empty → topmost
+const EMAIL_AUTHSERV_IDS = (process.env.EMAIL_AUTHSERV_IDS || "")
+  .split(",")
+  .map((s) => s.trim().toLowerCase())
+  .filter(Boolean);
+
+async function detectEmail(buffer, context) {
+  const key = cacheKey("email", sha256(buffer), context);
+  const cached = await cache.get(key);
+  if (cached) return { cached: true, ...cached };
+
+  const email = await analyzeEmail(buffer, {
+    brands: BRANDS,
+    authservIds: EMAIL_AUTHSERV_IDS,
+  });
+  progress(
+    "email_headers",
+    `Headers checked, ${email.links.length} link(s) to scan`,
+    {
+      signals: signalsOf({
+        risk: scoreSignals(
+          { email, links: [] },
+          { rules: EMAIL_RULES, weights: SCORING.weights }
+        ),
+      }),
+    }
+  );
+  const links = await checkLinks(email.links, context);
+  const { score, contributions } = scoreSignals(
+    { email, links },
+    { rules: EMAIL_RULES, weights: SCORING.weights }
+  );
+  const { text, ...summary } = email;
+  const out = withEnvelope({
+    mode: "email",
+    detected: "email",
+    verdict: bandFor(score, SCORING),
+    risk: { score, band: bandFor(score, SCORING), contributions },
+    email: { ...summary, bodyPreview: text.slice(0, 500) },
+    links,
+  });
+  await cache.set(key, out, cacheTtl("email"));
+  return out;
+}
+
+const MESSAGE_MAX_LINKS = Number(process.env.MESSAGE_MAX_LINKS) || 10;
+
+// Pasted SMS/chat text → items found + every link checked + text patterns
+async function detectMessage(text, context) {
+  const key = cacheKey("message", sha256(text), context);
+  const cached = await cache.get(key);
+  if (cached) return { cached: true, ...cached };
+
+  const items = extractMessageItems(text);
+  const findings = messageFindings(text, { brands: BRANDS, items });
+  progress(
+    "message_items",
+    `Message checked, ${Math.min(
+      items.urls.length,
+      MESSAGE_MAX_LINKS
+    )} link(s) to scan`,
+    {
+      signals: signalsOf({
+        risk: scoreSignals(
+          { message: { items, findings }, links: [] },
+          { rules: MESSAGE_RULES, weights: SCORING.weights }
+        ),
+      }),
+    }
+  );
+  const links = await checkLinks(
+    items.urls.slice(0, MESSAGE_MAX_LINKS),
+    context
+  );
+  const { score, contributions } = scoreSignals(
+    { message: { items, findings }, links },
+    { rules: MESSAGE_RULES, weights: SCORING.weights }
+  );
+  const out = withEnvelope({
+    mode: "message",
+    detected: "message",
+    verdict: bandFor(score, SCORING),
+    risk: { score, band: bandFor(score, SCORING), contributions },
+    items,
+    findings,
+    links,
+  });
+  await cache.set(key, out, cacheTtl("message"));
+  return out;
+}
+
 /* -------------------- routes -------------------- */
 app.get("/health", (_req, res) =>
   res.json({ ok: true, time: new Date().toISOString() })
 );
 
+// Keeps the scan as a shareable report; the response gains
+// report: { id, url, expiresAt, redacted }. A failed write never fails the scan.
+async function withReport(out, source) {
+  if (!REPORTS) return out;
+  try {
+    const report = await REPORTS.save(out, source);
+    return {
+      ...out,
+      report: {
+        id: report.id,
+        url: `/r/${report.id}`,
+        expiresAt: report.expiresAt,
+        redacted: report.redacted,
+      },
+    };
+  } catch (e) {
+    console.warn(`report not saved: ${e.message}`);
+    return out;
+  }
+}
+
 const uploadSingle = upload.single("file");
-app.post("/api/detect", (req, res) =>
+const badRequest = (error) => ({ status: 400, body: { error } });
+
+// Shared by /api/detect and /api/detect/stream: the parsed request (after
+// multer) → { status?, body } for the response
+async function detectRequest(req) {
+  if (!req.file) {
+    const parsed = DetectBody.safeParse(req.body || {});
+    if (!parsed.success) return badRequest("Bad request");
+  }
+
+  const { input, context, mode } = req.body || {};
+  const trimmed = (input || "").trim();
+  const send = async (out, secrets) => ({
+    body: await withReport(out, {
+      input: req.file ? null : trimmed,
+      file: req.file
+        ? { name: req.file.originalname || null, type: req.file.mimetype }
+        : null,
+      context,
+      redact: req.body?.redact === true || req.body?.redact === "true",
+      secrets,
+    }),
+  });
+
+  // .eml upload → header checks + every link through detectByUrl
+  if (isEmailUpload(req.file)) {
+    const b = fs.readFileSync(req.file.path);
+    fs.unlink(req.file.path, () => {});
+    return send(await detectEmail(b, context), [b.toString("utf8")]);
+  }
+
+  // Video upload → ffprobe + frames through vision
+  if (isVideoUpload(req.file)) {
+    try {
+      const b = fs.readFileSync(req.file.path);
+      if (!VIDEO_FORMATS.includes(sniffVideoType(b)))
+        return badRequest("Unsupported video format (mp4, webm or mov only)");
+      const key = cacheKey("video", sha256(b), context);
+      const cached = await cache.get(key);
+      if (cached) return send({ cached: true, ...cached });
+      const out = withEnvelope({
+        mode: "file",
+        detected: "video_upload",
+        ...(await analyzeVideo(req.file.path, context, {
+          contentType: req.file.mimetype,
+          bytes: req.file.size,
+        })),
+      });
+      if (!out.knownMatch) await cache.set(key, out, cacheTtl("video"));
+      return send(out);
+    } finally {
+      fs.unlink(req.file.path, () => {});
+    }
+  }
+
+  // File upload → vision + EXIF
+  if (req.file) {
+    const b = fs.readFileSync(req.file.path);
+    fs.unlink(req.file.path, () => {});
+    if (b.length > UPLOAD_IMAGE_MAX)
+      return badRequest("Image too large (max 5 MB)");
+    const key = cacheKey("image", sha256(b), context);
+    const cached = await cache.get(key);
+    if (cached)
+      return send({
+        cached: true,
+        ...withEnvelope(withKnownMatch(cached, cached.forensics?.phash)),
+      });
+    const out = withEnvelope({
+      mode: "file",
+      detected: "image_upload",
+      ...(await analyzeImage(b, req.file.mimetype, context)),
+    });
+    if (!out.knownMatch) await cache.set(key, out, cacheTtl("image"));
+    return send(out);
+  }
+
+  if (!trimmed) return badRequest("Provide URL, text, or image file.");
+  return send(await detectText(trimmed, context, { mode }));
+}
+
+app.post(["/api/detect", "/api/v1/detect"], (req, res) =>
   uploadSingle(req, res, async (err) => {
     if (err) return res.status(400).json({ error: err.message });
+    try {
+      const { status = 200, body } = await detectRequest(req);
+      res.status(status).json(body);
+    } catch (e) {
+      console.error(e);
+      res.status(500).json({ error: "Internal error" });
+    }
+  })
+);
 
+// The same scan as Server-Sent Events: `progress` events
+// ({ step, label, url?, signals?, ... }) as each step finishes, then one
+// `result` (the /api/detect body) or `error` ({ error, status }). Closing the
+// connection cancels the scan.
+app.post(["/api/detect/stream", "/api/v1/detect/stream"], (req, res) =>
+  uploadSingle(req, res, async (err) => {
+    if (err) return res.status(400).json({ error: err.message });
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      "X-Accel-Buffering": "no",
+    });
+    let closed = false;
+    res.on("close", () => {
+      closed = true;
+    });
+    const write = (chunk) => {
+      if (!closed) res.write(chunk);
+    };
+    const emit = (event, data) =>
+      write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    // Keeps proxies from timing out while the model is thinking
+    const heartbeat = setInterval(() => write(": ping\n\n"), 15_000);
     try {
-      if (!req.file) {
-        const parsed = DetectBody.safeParse(req.body || {});
-        if (!parsed.success)
-          return res.status(400).json({ error: "Bad request" });
+      const { status = 200, body } = await PROGRESS.run(
+        (step) => {
+          if (closed) throw new ScanCancelled();
+          emit("progress", step);
+        },
+        () => detectRequest(req)
+      );
+      if (status === 200) emit("result", body);
+      else emit("error", { ...body, status });
+    } catch (e) {
+      if (!(e instanceof ScanCancelled)) {
+        console.error(e);
+        emit("error", { error: "Internal error", status: 500 });
       }
+    } finally {
+      clearInterval(heartbeat);
+      res.end();
+    }
+  })
+);
 
-      const { input, context } = req.body || {};
-      const trimmed = (input || "").trim();
+// Raw link signals, no AI
+app.post(["/api/check", "/api/v1/check"], async (req, res) => {
+  const parsed = CheckBody.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: "Bad request" });
+  const url = normalizeUrl(parsed.data.url.trim());
+  if (!url) return res.status(400).json({ error: "Provide an http(s) URL." });
 
-      // File upload → vision + EXIF
-      if (req.file) {
-        const b = fs.readFileSync(req.file.path);
-        const dataUrl =
-          `data:${req.file.mimetype};base64,` + b.toString("base64");
-        const exif = await parseExifFromDataUrl(dataUrl);
-        const ai = await geminiVision({
-          prompt: `
-Analyze image for manipulation/deepfake. Return JSON:
-{"verdict":"authentic|edited|uncertain","indicators":["..."],"advice":"..."}
-Consider EXIF: ${JSON.stringify(exif)}.
-Context: ${context || "(none)"}.
+  try {
+    const { sb, page, urlSignals, htmlFindings, brand, tls, age, facts } =
+      await collectLinkSignals(url);
+    const risk = assessLinkRisk(facts, null, SCORING);
+    // Signals are still reported in full; a list entry only sets the verdict
+    const listed = LIST.match({
+      url,
+      finalUrl: page.finalUrl,
+      faviconHash: page.faviconHash,
+    });
+    return res.json(
+      withEnvelope({
+        url,
+        context: parsed.data.context || null,
+        verdict: listed
+          ? listedResult(listed).verdict
+          : sb.flagged
+          ? "likely scam"
+          : risk.band,
+        listMatch: listed ? listedResult(listed).listMatch : null,
+        safeBrowsing: sb,
+        urlSignals,
+        page,
+        htmlFindings,
+        brand,
+        tls,
+        domainAge: age,
+        risk,
+      })
+    );
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
+
+// Plain-language breakdown of manipulative phrasing in a message
+app.post(["/api/explain", "/api/v1/explain"], async (req, res) => {
+  const parsed = ExplainBody.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: "Bad request" });
+  const { text } = parsed.data;
+  const url = parsed.data.url ? normalizeUrl(parsed.data.url.trim()) : null;
+  if (parsed.data.url && !url)
+    return res.status(400).json({ error: "Provide an http(s) URL." });
+
+  try {
+    const ai = await llmText(
+      `
+Explain which phrases in this message are manipulative and why, in plain language
+a non-expert understands. Quote each phrase exactly as it appears in the
+decoded message text. Return JSON:
+${AI_SCHEMAS.explain.shape}
+${UNTRUSTED_NOTE}
+
+${dataBlock("message", text, 8000)}
+${dataBlock("linked_url", url)}
+${dataBlock("url_signals", url ? basicUrlSignals(url) : null)}
 `.trim(),
-          imageDataUrl: dataUrl,
-        });
-        fs.unlink(req.file.path, () => {});
-        return res.json({
-          mode: "file",
-          detected: "image_upload",
-          verdict: ai?.verdict || "unverified",
-          exif,
-          ai,
+      AI_SCHEMAS.explain
+    );
+    const findings = detectInjection(text);
+    const verdict = ai._error
+      ? "unverified"
+      : ai.phrases.length
+      ? "suspicious"
+      : "safe";
+    return res.json(
+      withEnvelope({
+        url,
+        verdict: floorVerdict(verdict, findings),
+        findings,
+        ai,
+      })
+    );
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
+
+/* -------------------- batch -------------------- */
+const batchJobs = createJobStore({
+  maxActive: Number(process.env.BATCH_MAX_JOBS) || 20,
+  maxPerOwner: Number(process.env.BATCH_MAX_JOBS_PER_KEY) || 2,
+});
+// Inline batches hold a request open, so they get their own slots, dropped
+// as soon as they finish
+const syncBatches = createJobStore({
+  ttlMs: 0,
+  maxActive: Number(process.env.BATCH_MAX_JOBS) || 20,
+  maxPerOwner: Number(process.env.BATCH_SYNC_PER_KEY) || 1,
+});
+// Each inline item spends one request of the key's per-minute limit; job
+// items are paced by the job caps and BATCH_CONCURRENCY instead
+const batchItems = createItemBudget();
+
+// Same URL + context is analyzed once per batch; every duplicate gets its result
+async function runBatch(items, concurrency, onProgress = () => {}) {
+  const keyed = items.map(({ input, context }) => {
+    const trimmed = input.trim();
+    const id = normalizeUrl(trimmed) || trimmed;
+    return { input: trimmed, context, key: `${id}\n${context || ""}` };
+  });
+  const unique = [...new Map(keyed.map((k) => [k.key, k])).values()];
+  const settled = new Map();
+  await mapLimit(unique, concurrency, async (item) => {
+    try {
+      if (!item.input) throw new Error("Provide a URL or text.");
+      settled.set(item.key, {
+        ok: true,
+        result: await detectText(item.input, item.context),
+      });
+    } catch (e) {
+      settled.set(item.key, { ok: false, error: String(e.message || e) });
+    }
+    onProgress(settled.get(item.key));
+  });
+  return keyed.map((k, index) => ({
+    index,
+    input: k.input,
+    context: k.context || null,
+    ...settled.get(k.key),
+  }));
+}
+
+const BATCH_CSV = [
+  ["index", (r) => r.index],
+  ["input", (r) => r.input],
+  ["context", (r) => r.context],
+  ["ok", (r) => r.ok],
+  ["mode", (r) => r.result?.mode],
+  ["type", (r) => r.result?.type || r.result?.detected],
+  ["verdict", (r) => r.result?.verdict],
+  ["score", (r) => r.result?.risk?.score],
+  ["error", (r) => r.error],
+];
+
+// Batches need an API key: one request can ask for many scans
+app.post(["/api/detect/batch", "/api/v1/detect/batch"], async (req, res) => {
+  if (!req.apiKey) return res.status(401).json({ error: "API key required" });
+  const owner = `key:${req.apiKey.id}`;
+  const parsed = BatchBody.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: "Bad request" });
+  const { items, context, job } = parsed.data;
+  const normalized = items.map((it) =>
+    typeof it === "string"
+      ? { input: it, context }
+      : { input: it.input, context: it.context ?? context }
+  );
+  const concurrency = Math.min(
+    parsed.data.concurrency || BATCH_CONCURRENCY,
+    BATCH_CONCURRENCY
+  );
+
+  if (!job) {
+    if (normalized.length > BATCH_SYNC_MAX)
+      return res.status(400).json({
+        error: `Batches over ${BATCH_SYNC_MAX} items must use job mode ("job": true).`,
+      });
+    if (!batchItems.take(owner, normalized.length, req.apiKey.rateLimit))
+      return res.status(429).json({ error: "Too many requests" });
+    const slot = syncBatches.create(normalized.length, owner);
+    if (!slot)
+      return res
+        .status(429)
+        .json({ error: "Too many batches running; try again later" });
+    try {
+      const results = await runBatch(normalized, concurrency);
+      return res.json({ total: results.length, results });
+    } catch (e) {
+      console.error(e);
+      return res.status(500).json({ error: "Internal error" });
+    } finally {
+      slot.finishedAt = Date.now();
+    }
+  }
+
+  const j = batchJobs.create(normalized.length, owner);
+  if (!j)
+    return res
+      .status(429)
+      .json({ error: "Too many batch jobs running; try again later" });
+  j.status = "running";
+  runBatch(normalized, concurrency, (r) => {
+    j.completed++;
+    if (!r.ok) j.failed++;
+  })
+    .then((results) => {
+      j.results = results;
+      j.status = "done";
+    })
+    .catch((e) => {
+      console.error(e);
+      j.status = "failed";
+    })
+    .finally(() => {
+      j.finishedAt = Date.now();
+    });
+  res
+    .status(202)
+    .location(`/api/detect/batch/${j.id}`)
+    .json({
+      ...jobStatus(j),
+      statusUrl: `/api/detect/batch/${j.id}`,
+      resultsUrl: `/api/detect/batch/${j.id}/results`,
+    });
+});
+
+app.get(["/api/detect/batch/:id", "/api/v1/detect/batch/:id"], (req, res) => {
+  const j = batchJobs.get(req.params.id);
+  if (!j) return res.status(404).json({ error: "Unknown job" });
+  res.json(jobStatus(j));
+});
+
+app.get(
+  ["/api/detect/batch/:id/results", "/api/v1/detect/batch/:id/results"],
+  (req, res) => {
+    const j = batchJobs.get(req.params.id);
+    if (!j) return res.status(404).json({ error: "Unknown job" });
+    if (j.status !== "done")
+      return res
+        .status(409)
+        .json({ error: "Job not finished", ...jobStatus(j) });
+    if (req.query.format === "csv") {
+      res.type("text/csv");
+      res.attachment(`batch-${j.id}.csv`);
+      return res.send(toCsv(j.results, BATCH_CSV));
+    }
+    res.json({ ...jobStatus(j), results: j.results });
+  }
+);
+
+/* -------------------- reports -------------------- */
+app.get(["/api/reports/:id", "/api/v1/reports/:id"], async (req, res) => {
+  try {
+    const report = await REPORTS?.get(req.params.id);
+    if (!report) return res.status(404).json({ error: "Not found" });
+    res.json(report);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: "Internal error" });
+  }
+});
+
+/* -------------------- public API (v1) -------------------- */
+// The calling key and its limit, e.g. for a client to validate its settings
+app.get("/api/v1/key", (req, res) => {
+  const { id, name, prefix, rateLimit } = req.apiKey;
+  res.json({ id, name, prefix, rateLimit });
+});
+
+/* -------------------- community reports -------------------- */
+// "Report as scam / safe": queued for moderation, never applied directly.
+// Besides the per-minute API limit, each key or IP gets a few per hour so one
+// sender can't flood the queue or pile up counts on a report.
+const communityLimit = rateLimit({
+  windowMs: 60 * 60_000,
+  max: Number(process.env.COMMUNITY_REPORTS_PER_HOUR) || 20,
+  keyGenerator: (req) => (req.apiKey ? `key:${req.apiKey.id}` : req.ip),
+  message: { error: "Too many reports; try again later" },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+app.post(
+  ["/api/community-reports", "/api/v1/community-reports"],
+  communityLimit,
+  (req, res) => {
+    const parsed = CommunityReportBody.safeParse(req.body || {});
+    if (!parsed.success) return res.status(400).json({ error: "Bad request" });
+    const url = normalizeUrl(parsed.data.url.trim());
+    if (!url) return res.status(400).json({ error: "Provide an http(s) URL." });
+    const { report } = COMMUNITY.add({ ...parsed.data, url });
+    res.status(202).json({ id: report.id, status: report.status });
+  }
+);
+
+/* -------------------- webhooks -------------------- */
+const WEBHOOKS = webhooksFromEnv();
+const WEBHOOK_MAX_TEXT = 8000;
+
+// Report links in chat replies need an absolute URL
+const publicOrigin = (req) =>
+  process.env.PUBLIC_URL?.replace(/\/+$/, "") ||
+  `${req.protocol}://${req.get("host")}`;
+
+// A forwarded message goes through the same text pipeline as /api/detect
+async function scanForwarded(text) {
+  const input = text.slice(0, WEBHOOK_MAX_TEXT);
+  return withReport(await detectText(input, null), { input });
+}
+
+// Own keys only: "constructor" or "__proto__" must not resolve to an adapter
+const webhookOf = (name) =>
+  Object.hasOwn(WEBHOOKS, name) ? WEBHOOKS[name] : null;
+
+// Unsigned or mis-signed requests are limited per IP; verified ones per
+// adapter, since a platform's deliveries all share its few addresses
+const webhookFailLimit = rateLimit({
+  windowMs: 60_000,
+  max: 30,
+  skipSuccessfulRequests: true,
+  message: { error: "Too many requests" },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+const webhookLimit = rateLimit({
+  windowMs: 60_000,
+  max: Number(process.env.WEBHOOK_RATE_LIMIT) || 600,
+  keyGenerator: (req) => `webhook:${req.params.adapter}`,
+  skipFailedRequests: true,
+  message: { error: "Too many requests" },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+const webhookLimits = [webhookFailLimit, webhookLimit];
+
+// WhatsApp's subscription handshake
+app.get("/api/webhooks/:adapter", webhookLimits, (req, res) => {
+  const hook = webhookOf(req.params.adapter);
+  if (!hook) return res.status(404).json({ error: "Not found" });
+  const challenge = hook.handshake?.(req);
+  if (challenge == null) return res.status(403).json({ error: "Forbidden" });
+  res.type("text/plain").send(challenge);
+});
+
+app.post("/api/webhooks/:adapter", webhookLimits, async (req, res) => {
+  const hook = webhookOf(req.params.adapter);
+  if (!hook) return res.status(404).json({ error: "Not found" });
+  try {
+    if (!hook.verify(req))
+      return res.status(401).json({ error: "Invalid signature" });
+    const { challenge, error, messages } = hook.parse(req.body || {}, req);
+    if (error) return res.status(400).json({ error });
+    if (challenge != null) return res.json({ challenge });
+    const origin = publicOrigin(req);
+    const reportUrl = (out) => (out.report ? origin + out.report.url : null);
+
+    // Generic webhooks get the verdicts in the response
+    if (!hook.send) {
+      if (!messages.length)
+        return res.status(400).json({ error: "Bad request" });
+      const results = [];
+      for (const m of messages) {
+        const out = await scanForwarded(m.text);
+        results.push({
+          id: m.target,
+          verdict: out.verdict,
+          reply: formatReply(out, { reportUrl: reportUrl(out) }),
+          result: out,
         });
       }
+      return res.json({ results });
+    }
 
-      // URL path
-      const url = normalizeUrl(trimmed);
-      if (url) {
-        const cached = getCache(`url:${url}:${context || ""}`);
-        if (cached) return res.json({ cached: true, ...cached });
-        const out = await detectByUrl(url, context);
-        setCache(`url:${url}:${context || ""}`, out);
-        return res.json({ mode: "url", url, ...out });
-      }
+    // Chat platforms retry slow webhooks, so acknowledge before scanning
+    res.json({ ok: true });
+    for (const m of messages)
+      scanForwarded(m.text)
+        .then((out) => hook.send(m.target, out, reportUrl(out)))
+        .catch((e) => console.error(`${hook.name} webhook: ${e.message}`));
+  } catch (e) {
+    console.error(e);
+    if (!res.headersSent) res.status(500).json({ error: "Internal error" });
+  }
+});
+
+/* -------------------- admin -------------------- */
+// Admin routes are off unless ADMIN_TOKEN is set; callers send it as a Bearer token
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) return res.status(404).json({ error: "Not found" });
+  const given = (req.get("authorization") || "").replace(/^Bearer\s+/i, "");
+  const a = Buffer.from(sha256(given));
+  const b = Buffer.from(sha256(token));
+  if (!crypto.timingSafeEqual(a, b))
+    return res.status(401).json({ error: "Unauthorized" });
+  next();
+}
+
+app.get("/api/cache", requireAdmin, async (req, res) => {
+  const prefix = String(req.query.prefix || "");
+  res.json({
+    stats: await cache.stats(),
+    entries: await cache.list(prefix),
+  });
+});
+
+app.delete("/api/cache", requireAdmin, async (req, res) => {
+  if (req.query.key)
+    return res.json({
+      deleted: (await cache.delete(String(req.query.key))) ? 1 : 0,
+    });
+  res.json({ deleted: await cache.purge(String(req.query.prefix || "")) });
+});
+
+app.get("/api/llm", requireAdmin, (_req, res) => res.json(LLM.stats()));
 
-      // Plain text claim
-      if (!trimmed)
+app.get("/api/scam-images", requireAdmin, (_req, res) =>
+  res.json({
+    maxDistance: SCAM_IMAGES.maxDistance,
+    entries: SCAM_IMAGES.list(),
+  })
+);
+
+// Reference image as multipart `file`, a `url` to download, or a known `phash`
+app.post("/api/scam-images", requireAdmin, (req, res) =>
+  uploadSingle(req, res, async (err) => {
+    if (err) return res.status(400).json({ error: err.message });
+    try {
+      const parsed = ScamImageBody.safeParse(req.body || {});
+      if (!parsed.success)
+        return res.status(400).json({ error: "Bad request" });
+      const { label, notes, url } = parsed.data;
+      let hash = parsed.data.phash?.toLowerCase() || null;
+      let source = null;
+      if (req.file) {
+        const b = fs.readFileSync(req.file.path);
+        fs.unlink(req.file.path, () => {});
+        hash = phashOf(b);
+        source = req.file.originalname || "upload";
+      } else if (url) {
+        const img = await fetchImage(url);
+        if (!img.buffer)
+          return res.status(400).json({
+            error:
+              img.error ||
+              (img.notImage ? "URL is not an image" : "Fetch blocked"),
+            blocked: img.blocked,
+          });
+        hash = phashOf(img.buffer);
+        source = url;
+      }
+      if (!isPhash(hash))
         return res
           .status(400)
-          .json({ error: "Provide URL, text, or image file." });
-      const ai = await geminiText(
-        `
-Verify this claim/headline: "${trimmed}"
-Return JSON: {"verdict":"unverified|likely true|likely false|misleading","checks":[{"step":"...","why":"..."}],"what_to_collect":["..."],"advice":"..."}
-Context: ${context || "(none)"}.
-`.trim()
-      );
-      return res.json({
-        mode: "text",
-        detected: "claim",
-        verdict: ai?.verdict || "unverified",
-        ai,
-      });
+          .json({ error: "Provide a JPEG/PNG file, image url, or phash." });
+      res
+        .status(201)
+        .json(SCAM_IMAGES.add({ phash: hash, label, notes, source }));
     } catch (e) {
       console.error(e);
-      return res.status(500).json({ error: "Internal error" });
+      res.status(500).json({ error: "Internal error" });
     }
   })
 );
 
+app.delete("/api/scam-images/:id", requireAdmin, (req, res) =>
+  res.json({ deleted: SCAM_IMAGES.remove(req.params.id) ? 1 : 0 })
+);
+
+// Kit clusters with their member domains; ?minDomains=1 includes clusters
+// whose other members have since been evicted
+app.get("/api/clusters", requireAdmin, (req, res) => {
+  const minDomains = Number(req.query.minDomains ?? 2);
+  if (!Number.isInteger(minDomains) || minDomains < 1)
+    return res.status(400).json({ error: "Bad request" });
+  res.json({ clusters: FINGERPRINTS.clusters({ minDomains }) });
+});
+
+app.get("/api/clusters/:id", requireAdmin, (req, res) => {
+  const cluster = FINGERPRINTS.get(req.params.id);
+  if (!cluster) return res.status(404).json({ error: "Not found" });
+  res.json(cluster);
+});
+
+// Name a cluster after the kit it turned out to be, or confirm it is one
+app.post("/api/clusters/:id", requireAdmin, (req, res) => {
+  const parsed = ClusterBody.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: "Bad request" });
+  const cluster = FINGERPRINTS.update(req.params.id, parsed.data);
+  if (!cluster) return res.status(404).json({ error: "Not found" });
+  res.json(cluster);
+});
+
+app.get("/api/keys", requireAdmin, (_req, res) =>
+  res.json({ defaultRateLimit: API_KEYS.defaultLimit, keys: API_KEYS.list() })
+);
+
+// The plaintext key is only in this response
+app.post("/api/keys", requireAdmin, (req, res) => {
+  const parsed = ApiKeyBody.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: "Bad request" });
+  res.status(201).json(API_KEYS.create(parsed.data));
+});
+
+app.delete("/api/keys/:id", requireAdmin, (req, res) =>
+  res.json({ deleted: API_KEYS.remove(req.params.id) ? 1 : 0 })
+);
+
+// Cached link verdicts (and messages/emails that embed them) predate the change
+const listsChanged = () =>
+  Promise.all(["url:", "message:", "email:"].map((p) => cache.purge(p)));
+
+app.get("/api/lists", requireAdmin, (req, res) =>
+  res.json({
+    entries: LIST.list({
+      list: req.query.list ? String(req.query.list) : undefined,
+      kind: req.query.kind ? String(req.query.kind) : undefined,
+    }),
+  })
+);
+
+app.post("/api/lists", requireAdmin, async (req, res) => {
+  const parsed = ListEntryBody.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: "Bad request" });
+  const { entry, existed, error } = LIST.add(parsed.data);
+  if (error) return res.status(400).json({ error });
+  await listsChanged();
+  res.status(existed ? 200 : 201).json(entry);
+});
+
+app.delete("/api/lists/:id", requireAdmin, async (req, res) => {
+  const deleted = LIST.remove(req.params.id);
+  if (deleted) await listsChanged();
+  res.json({ deleted: deleted ? 1 : 0 });
+});
+
+app.get("/api/moderation", requireAdmin, (req, res) => {
+  const status = String(req.query.status || "pending");
+  if (status !== "all" && !MODERATION_STATUSES.includes(status))
+    return res.status(400).json({ error: "Bad request" });
+  res.json({
+    reports: COMMUNITY.list({ status: status === "all" ? null : status }),
+  });
+});
+
+// Confirming adds a block (scam) or allow (safe) entry for the reported host,
+// or for `value` when given; kind "url" lists the exact URL instead
+app.post("/api/moderation/:id", requireAdmin, async (req, res) => {
+  const parsed = ModerationBody.safeParse(req.body || {});
+  if (!parsed.success) return res.status(400).json({ error: "Bad request" });
+  const report = COMMUNITY.get(req.params.id);
+  if (!report) return res.status(404).json({ error: "Not found" });
+  if (report.status !== "pending")
+    return res.status(409).json({ error: `Already ${report.status}` });
+
+  const { action, kind = "domain", value, note } = parsed.data;
+  if (action === "reject")
+    return res.json({
+      report: COMMUNITY.resolve(report.id, { status: "rejected" }),
+    });
+
+  const { entry, error } = LIST.add({
+    list: report.verdict === "scam" ? "block" : "allow",
+    kind,
+    value: value || (kind === "url" ? report.url : report.host),
+    note: note || `Community report (${report.count}×)`,
+    source: "community",
+    communityReports: [report.id],
+  });
+  if (error) return res.status(400).json({ error });
+  await listsChanged();
+  res.json({
+    report: COMMUNITY.resolve(report.id, {
+      status: "confirmed",
+      listEntryId: entry.id,
+    }),
+    entry,
+  });
+});
+
+// Takedown of a shared report before it expires
+app.delete("/api/reports/:id", requireAdmin, async (req, res) =>
+  res.json({ deleted: (await REPORTS?.remove(req.params.id)) ? 1 : 0 })
+);
+
 app.get("/", (_req, res) => res.sendFile(path.resolve("index.html")));
 
+// Read-only report page; app.js loads /api/reports/:id and renders it
+app.get("/r/:id", async (req, res) => {
+  const found = await REPORTS?.get(req.params.id).catch(() => null);
+  res.status(found ? 200 : 404).sendFile(path.resolve("report.html"));
+});
+
+// Exit through process.exit so "exit" hooks (cache flush) run
+for (const sig of ["SIGINT", "SIGTERM"])
+  process.once(sig, () => process.exit(0));
+
 const port = process.env.PORT || 3000;
 app.listen(port, () =>
-  console.log(`✓ TrueOrScam v2 (Gemini+Retry/Mock) http://localhost:${port}`)
+  console.log(
+    `✓ TrueOrScam v2 (LLM: ${LLM.providers.join(
+      " → "
+    )}) http://localhost:${port}`
+  )
 );
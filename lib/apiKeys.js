@@ -0,0 +1,88 @@
+/* -------------------- API keys -------------------- */
+// Keys for the public /api/v1 API, persisted as a JSON array. Only a SHA-256
+// of each key is stored; the key itself is shown once, when it's created.
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { sha256 } from "./cache.js";
+
+// Recognizable prefix, so a key can share the Authorization header with the
+// admin token without being mistaken for it
+export const KEY_PREFIX = "tos_";
+
+export function apiKeyOf(req) {
+  const header = req.get("x-api-key");
+  if (header) return header.trim();
+  const bearer = (req.get("authorization") || "").replace(/^Bearer\s+/i, "");
+  return bearer.startsWith(KEY_PREFIX) ? bearer : null;
+}
+
+export function createApiKeyStore({ file, defaultLimit = 60 }) {
+  let keys = [];
+  try {
+    keys = JSON.parse(fs.readFileSync(file, "utf8")).filter((k) => k?.hash);
+  } catch (e) {
+    if (e.code !== "ENOENT") console.warn(`API key file ignored: ${e.message}`);
+  }
+  // Request counts stay in memory; only key changes touch the file
+  const usage = new Map();
+
+  const save = () => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(keys, null, 2));
+    fs.renameSync(tmp, file);
+  };
+  const view = ({ hash, ...k }) => ({
+    ...k,
+    rateLimit: k.rateLimit ?? defaultLimit,
+    requests: usage.get(k.id)?.requests ?? 0,
+    lastUsedAt: usage.get(k.id)?.lastUsedAt ?? null,
+  });
+
+  return {
+    defaultLimit,
+    list: () => keys.map(view),
+    // Returns the plaintext key; it can't be recovered afterwards
+    create({ name, rateLimit = null }) {
+      const key = KEY_PREFIX + crypto.randomBytes(24).toString("base64url");
+      const entry = {
+        id: crypto.randomUUID(),
+        name,
+        prefix: key.slice(0, KEY_PREFIX.length + 6),
+        hash: sha256(key),
+        rateLimit,
+        createdAt: new Date().toISOString(),
+      };
+      keys.push(entry);
+      save();
+      return { ...view(entry), key };
+    },
+    remove(id) {
+      const before = keys.length;
+      keys = keys.filter((k) => k.id !== id);
+      if (keys.length === before) return false;
+      usage.delete(id);
+      save();
+      return true;
+    },
+    // Key entry (without its hash) for a plaintext key, counting the use
+    find(key) {
+      const hash = sha256(String(key));
+      const entry = keys.find((k) => k.hash === hash);
+      if (!entry) return null;
+      const u = usage.get(entry.id) || { requests: 0 };
+      usage.set(entry.id, {
+        requests: u.requests + 1,
+        lastUsedAt: new Date().toISOString(),
+      });
+      return view(entry);
+    },
+  };
+}
+
+export const apiKeyStoreFromEnv = (env = process.env) =>
+  createApiKeyStore({
+    file: env.API_KEYS_FILE || ".data/api-keys.json",
+    defaultLimit: Number(env.API_KEY_RATE_LIMIT) || 60,
+  });
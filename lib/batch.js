@@ -0,0 +1,105 @@
+/* -------------------- batch helpers -------------------- */
+import crypto from "crypto";
+
+// Runs fn over items with at most `limit` in flight; results keep input order
+export async function mapLimit(items, limit, fn) {
+  const out = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      out[i] = await fn(items[i], i);
+    }
+  };
+  const n = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: n }, worker));
+  return out;
+}
+
+// Cells a spreadsheet would run as a formula get a leading quote
+const csvCell = (v) => {
+  let s = v == null ? "" : String(v);
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export function toCsv(rows, columns) {
+  return [
+    columns.map(([name]) => csvCell(name)).join(","),
+    ...rows.map((r) => columns.map(([, get]) => csvCell(get(r))).join(",")),
+  ].join("\r\n");
+}
+
+// In-process job registry; finished jobs are dropped after ttlMs. At most
+// maxActive unfinished jobs overall and maxPerOwner per owner (API key or
+// IP); create() returns null beyond that.
+export function createJobStore({
+  ttlMs = 60 * 60_000,
+  maxActive = 20,
+  maxPerOwner = 2,
+} = {}) {
+  const jobs = new Map();
+
+  const sweep = () => {
+    const now = Date.now();
+    for (const [id, j] of jobs)
+      if (j.finishedAt && now - j.finishedAt > ttlMs) jobs.delete(id);
+  };
+
+  return {
+    create(total, owner = null) {
+      sweep();
+      const active = [...jobs.values()].filter((j) => !j.finishedAt);
+      if (
+        active.length >= maxActive ||
+        active.filter((j) => j.owner === owner).length >= maxPerOwner
+      )
+        return null;
+      const job = {
+        id: crypto.randomUUID(),
+        owner,
+        status: "queued",
+        total,
+        completed: 0,
+        failed: 0,
+        createdAt: Date.now(),
+        finishedAt: null,
+        results: null,
+      };
+      jobs.set(job.id, job);
+      return job;
+    },
+    get(id) {
+      sweep();
+      return jobs.get(id) || null;
+    },
+  };
+}
+
+// Per-owner fixed windows: take() spends n units of an owner's `max` per
+// window, or returns false and spends nothing
+export function createItemBudget({ windowMs = 60_000 } = {}) {
+  const windows = new Map();
+  return {
+    take(owner, n, max) {
+      const now = Date.now();
+      for (const [k, w] of windows)
+        if (now - w.start >= windowMs) windows.delete(k);
+      const w = windows.get(owner) || { start: now, used: 0 };
+      if (w.used + n > max) return false;
+      w.used += n;
+      windows.set(owner, w);
+      return true;
+    },
+  };
+}
+
+export const jobStatus = (job) => ({
+  id: job.id,
+  status: job.status,
+  total: job.total,
+  completed: job.completed,
+  failed: job.failed,
+  createdAt: new Date(job.createdAt).toISOString(),
+  finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+});
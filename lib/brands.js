@@ -0,0 +1,235 @@
+/* -------------------- brand impersonation -------------------- */
+import fs from "fs";
+import { domainToUnicode } from "url";
+import { hostMatches, isIpHost, registrableDomain } from "./domain.js";
+
+// Protected brands: name, official domains, and the tokens scammers reuse.
+// Override or extend with BRANDS_FILE (JSON array of the same shape).
+export const DEFAULT_BRANDS = [
+  { name: "PayPal", domains: ["paypal.com", "paypal.me"] },
+  { name: "Apple", domains: ["apple.com", "icloud.com"] },
+  {
+    name: "Microsoft",
+    domains: [
+      "microsoft.com",
+      "live.com",
+      "office.com",
+      "outlook.com",
+      "microsoftonline.com",
+    ],
+    keywords: ["microsoft", "office365", "outlook"],
+  },
+  { name: "Google", domains: ["google.com", "gmail.com", "youtube.com"] },
+  {
+    name: "Amazon",
+    domains: ["amazon.com", "amazon.co.uk", "amazon.de", "amazon.in"],
+  },
+  { name: "Netflix", domains: ["netflix.com"] },
+  {
+    name: "Facebook",
+    domains: ["facebook.com", "fb.com", "meta.com"],
+  },
+  { name: "Instagram", domains: ["instagram.com"] },
+  { name: "WhatsApp", domains: ["whatsapp.com", "whatsapp.net"] },
+  { name: "Coinbase", domains: ["coinbase.com"] },
+  { name: "Binance", domains: ["binance.com"] },
+  { name: "MetaMask", domains: ["metamask.io"] },
+  { name: "Chase", domains: ["chase.com"] },
+  { name: "Wells Fargo", domains: ["wellsfargo.com"] },
+  { name: "Bank of America", domains: ["bankofamerica.com"] },
+  { name: "DHL", domains: ["dhl.com"] },
+  { name: "USPS", domains: ["usps.com"] },
+  { name: "FedEx", domains: ["fedex.com"] },
+];
+
+// Characters that render like ASCII letters (Cyrillic, Greek, Latin ext.)
+const CONFUSABLE_FROM = "аɑαвсϲԁеёεɡһіıιјкκӏⅼмпոηоοσрρԛгѕтτцυѵνԝѡхχуүʐ";
+const CONFUSABLE_TO = "aaabccdeeeghiiijkkllmnnnoooppqrsttuuvvwwxxyyz";
+const CONFUSABLES = Object.fromEntries(
+  [...CONFUSABLE_FROM].map((c, i) => [c, CONFUSABLE_TO[i]])
+);
+// ASCII look-alike sequences, applied after confusables
+const ASCII_LOOKALIKES = [
+  [/rn/g, "m"],
+  [/vv/g, "w"],
+  [/0/g, "o"],
+  [/1/g, "l"],
+  [/3/g, "e"],
+  [/5/g, "s"],
+];
+
+export function loadBrands(env = process.env) {
+  if (!env.BRANDS_FILE) return DEFAULT_BRANDS;
+  try {
+    const list = JSON.parse(fs.readFileSync(env.BRANDS_FILE, "utf8"));
+    if (!Array.isArray(list)) throw new Error("expected an array");
+    return env.BRANDS_MODE === "extend" ? [...DEFAULT_BRANDS, ...list] : list;
+  } catch (e) {
+    console.warn(`BRANDS_FILE ignored: ${e.message}`);
+    return DEFAULT_BRANDS;
+  }
+}
+
+export const keywordsOf = (b) =>
+  (b.keywords?.length ? b.keywords : [b.name])
+    .map((k) => k.toLowerCase().replace(/[^a-z0-9]/g, ""))
+    .filter(Boolean);
+
+// The keyword a text names as a whole word, or null. Multi-word names allow
+// any separator ("Wells Fargo", "wells-fargo"); "Purchase" is not Chase.
+export function brandMention(text = "", b) {
+  const lower = String(text).toLowerCase();
+  for (const k of b.keywords?.length ? b.keywords : [b.name]) {
+    const words = k
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(Boolean);
+    if (!words.length) continue;
+    const re = new RegExp(
+      `(?<![a-z0-9])${words.join("[^a-z0-9]*")}(?![a-z0-9])`
+    );
+    if (re.test(lower)) return words.join("");
+  }
+  return null;
+}
+
+export function skeleton(s = "") {
+  let out = [...s.toLowerCase()].map((c) => CONFUSABLES[c] ?? c).join("");
+  for (const [re, to] of ASCII_LOOKALIKES) out = out.replace(re, to);
+  return out;
+}
+
+// Short tokens ("dhl", "usps") only count as whole words, longer ones as substrings
+const containsKeyword = (text, tokens, kw) =>
+  kw.length >= 6 ? text.includes(kw) : tokens.includes(kw);
+
+/* ---------- typosquats ---------- */
+// Only the slips people actually make or can't see, one per label: swapped
+// neighbours, a doubled or dropped repeated letter, or a look-alike glyph.
+// Generic edit distance flags too many real words ("finance", "coinage").
+const VISUAL_SWAPS = [
+  ["rn", "m"],
+  ["nn", "m"],
+  ["vv", "w"],
+  ["cl", "d"],
+  ["0", "o"],
+  ["1", "l"],
+  ["1", "i"],
+  ["i", "l"],
+  ["5", "s"],
+  ["3", "e"],
+];
+// Swaps and doubled letters need a keyword this long; shorter brands
+// ("chase", "apple") sit next to too many dictionary words
+const MIN_TYPO_LENGTH = 6;
+
+const swapsNeighbours = (label, kw) => {
+  if (label.length !== kw.length) return false;
+  const i = [...label].findIndex((c, n) => c !== kw[n]);
+  return (
+    i >= 0 &&
+    label[i] === kw[i + 1] &&
+    label[i + 1] === kw[i] &&
+    label.slice(i + 2) === kw.slice(i + 2)
+  );
+};
+
+// `long` is `short` with one of its letters repeated
+const doublesLetter = (long, short) =>
+  long.length === short.length + 1 &&
+  [...long].some(
+    (c, i) =>
+      i > 0 &&
+      c === long[i - 1] &&
+      long.slice(0, i) + long.slice(i + 1) === short
+  );
+
+const swapsGlyph = (label, kw) =>
+  VISUAL_SWAPS.some(([a, b]) =>
+    [
+      [a, b],
+      [b, a],
+    ].some(([from, to]) => {
+      for (let i = label.indexOf(from); i >= 0; i = label.indexOf(from, i + 1))
+        if (label.slice(0, i) + to + label.slice(i + from.length) === kw)
+          return true;
+      return false;
+    })
+  );
+
+// How the whole registrable label misspells the keyword, or null
+export function typoOf(label, kw) {
+  if (label === kw) return null;
+  if (swapsGlyph(label, kw)) return "look-alike character";
+  if (kw.length < MIN_TYPO_LENGTH) return null;
+  if (swapsNeighbours(label, kw)) return "swapped letters";
+  if (doublesLetter(label, kw) || doublesLetter(kw, label))
+    return "doubled or dropped letter";
+  return null;
+}
+
+export function brandSignals(u, brands = DEFAULT_BRANDS) {
+  let url;
+  try {
+    url = new URL(u);
+  } catch {
+    return { registrableDomain: null, matches: [] };
+  }
+  const host = url.hostname.toLowerCase();
+  const regDomain = registrableDomain(host);
+  if (!host || isIpHost(host))
+    return { registrableDomain: regDomain, matches: [] };
+
+  const unicodeHost = domainToUnicode(host) || host;
+  const isPunycode = host.split(".").some((l) => l.startsWith("xn--"));
+  const regLabel = regDomain.split(".")[0];
+  const unicodeRegLabel = (domainToUnicode(regDomain) || regDomain).split(
+    "."
+  )[0];
+  const subdomain = host.slice(0, -regDomain.length).replace(/\.$/, "");
+  // Paths and queries name brands legitimately (/compare/paypal-vs-stripe);
+  // only subdomain labels are scored
+  const outside = subdomain.toLowerCase();
+  const outsideTokens = outside.split(/[^a-z0-9]+/).filter(Boolean);
+  const regTokens = regLabel.split(/[^a-z0-9]+/).filter(Boolean);
+
+  const matches = [];
+  for (const brand of brands) {
+    if (brand.domains.some((d) => hostMatches(host, d))) continue;
+    const add = (technique, evidence) =>
+      matches.push({
+        brand: brand.name,
+        technique,
+        evidence,
+        officialDomains: brand.domains,
+      });
+
+    for (const kw of keywordsOf(brand)) {
+      if (isPunycode && skeleton(unicodeRegLabel).includes(kw)) {
+        add("homoglyph", `${unicodeHost} (${host}) renders like "${kw}"`);
+        break;
+      }
+      if (regTokens.some((t) => t !== kw && skeleton(t) === kw)) {
+        add("lookalike_characters", `"${regLabel}" reads as "${kw}"`);
+        break;
+      }
+      if (containsKeyword(regLabel, regTokens, kw)) {
+        add("brand_in_domain", `"${kw}" inside unrelated domain ${regDomain}`);
+        break;
+      }
+      if (containsKeyword(outside, outsideTokens, kw)) {
+        add(
+          "brand_outside_domain",
+          `"${kw}" appears outside the registrable domain ${regDomain}`
+        );
+        break;
+      }
+      const typo = typoOf(regLabel, kw);
+      if (typo) {
+        add("typosquat", `"${regLabel}" is "${kw}" with a ${typo}`);
+        break;
+      }
+    }
+  }
+  return { registrableDomain: regDomain, matches };
+}
@@ -0,0 +1,286 @@
+/* -------------------- result cache -------------------- */
+// Backends share one async shape so callers don't care where entries live:
+//   get(key) · set(key, value, ttlMs) · delete(key) · list(prefix) · purge(prefix) · stats()
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+export const sha256 = (data) =>
+  crypto.createHash("sha256").update(data).digest("hex");
+
+// Per-result-type TTLs in seconds, overridable via CACHE_TTL_<TYPE>
+const DEFAULT_TTLS = {
+  url: 600,
+  image: 86_400,
+  video: 86_400,
+  claim: 3_600,
+  email: 3_600,
+  message: 3_600,
+};
+
+export function cacheTtl(type, env = process.env) {
+  const v = Number(env[`CACHE_TTL_${type.toUpperCase()}`]);
+  return (v > 0 ? v : DEFAULT_TTLS[type] ?? 600) * 1000;
+}
+
+// data: URLs (ELA maps, video frames) are most of a result's bytes and are
+// rebuilt on a fresh scan; cached copies carry null in their place
+const DATA_URL_RE = /^\s*data:/i;
+export const withoutDataUrls = (v) =>
+  typeof v === "string"
+    ? DATA_URL_RE.test(v)
+      ? null
+      : v
+    : Array.isArray(v)
+    ? v.map(withoutDataUrls)
+    : v && typeof v === "object"
+    ? Object.fromEntries(
+        Object.entries(v).map(([k, x]) => [k, withoutDataUrls(x)])
+      )
+    : v;
+
+// Map keeps insertion order; re-inserting on read makes it an LRU
+export function createMemoryCache({ maxEntries = 1000 } = {}) {
+  const entries = new Map();
+  let hits = 0;
+  let misses = 0;
+
+  const live = (key) => {
+    const e = entries.get(key);
+    if (!e) return null;
+    if (Date.now() > e.expiresAt) {
+      entries.delete(key);
+      return null;
+    }
+    return e;
+  };
+
+  const sweep = () => {
+    const now = Date.now();
+    for (const [k, e] of entries) if (now > e.expiresAt) entries.delete(k);
+    while (entries.size > maxEntries)
+      entries.delete(entries.keys().next().value);
+  };
+
+  return {
+    backend: "memory",
+    async get(key) {
+      const e = live(key);
+      if (!e) {
+        misses++;
+        return null;
+      }
+      hits++;
+      entries.delete(key);
+      entries.set(key, e);
+      return e.value;
+    },
+    async set(key, value, ttl = 600_000) {
+      entries.delete(key);
+      entries.set(key, {
+        value: withoutDataUrls(value),
+        createdAt: Date.now(),
+        expiresAt: Date.now() + ttl,
+      });
+      sweep();
+    },
+    async delete(key) {
+      return entries.delete(key);
+    },
+    async list(prefix = "") {
+      sweep();
+      return [...entries]
+        .filter(([k]) => k.startsWith(prefix))
+        .map(([key, e]) => ({
+          key,
+          createdAt: new Date(e.createdAt).toISOString(),
+          expiresAt: new Date(e.expiresAt).toISOString(),
+          bytes: Buffer.byteLength(JSON.stringify(e.value)),
+        }));
+    },
+    async purge(prefix = "") {
+      let n = 0;
+      for (const k of [...entries.keys()])
+        if (k.startsWith(prefix)) n += entries.delete(k) ? 1 : 0;
+      return n;
+    },
+    async stats() {
+      sweep();
+      return {
+        backend: this.backend,
+        size: entries.size,
+        maxEntries,
+        hits,
+        misses,
+      };
+    },
+  };
+}
+
+// One JSON file per key in a directory, so replicas sharing a volume see each
+// other's writes, deletes and purges straight away. Files are written to a
+// temp name and renamed, all through fs.promises, so no request waits on a
+// large write. A background trim (at most every trimMs) drops expired files,
+// then the oldest ones until the directory is under maxEntries and maxBytes.
+export function createFileCache({
+  dir,
+  maxEntries = 5000,
+  maxBytes = 200 * 1024 * 1024,
+  trimMs = 10_000,
+}) {
+  const fsp = fs.promises;
+  let hits = 0;
+  let misses = 0;
+  let lastTrim = 0;
+  let trimming = null;
+
+  const fileOf = (key) => path.join(dir, `${sha256(key)}.json`);
+  const read = async (file) => {
+    try {
+      return JSON.parse(await fsp.readFile(file, "utf8"));
+    } catch {
+      return null;
+    }
+  };
+  const unlink = (file) => fsp.rm(file, { force: true });
+
+  // [{ file, bytes, mtimeMs, entry }] for every entry file; a file another
+  // replica removes mid-scan is skipped
+  async function scan({ parse = true } = {}) {
+    let names;
+    try {
+      names = await fsp.readdir(dir);
+    } catch {
+      return [];
+    }
+    const out = [];
+    for (const name of names) {
+      const file = path.join(dir, name);
+      try {
+        const st = await fsp.stat(file);
+        // Temp files left behind by a crashed writer
+        if (name.endsWith(".tmp")) {
+          if (Date.now() - st.mtimeMs > 60_000) await unlink(file);
+          continue;
+        }
+        if (!name.endsWith(".json")) continue;
+        const entry = parse ? await read(file) : null;
+        out.push({ file, bytes: st.size, mtimeMs: st.mtimeMs, entry });
+      } catch {}
+    }
+    return out;
+  }
+
+  async function trim() {
+    const now = Date.now();
+    const files = [];
+    for (const f of await scan())
+      if (f.entry?.expiresAt > now) files.push(f);
+      else await unlink(f.file);
+    files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    let bytes = files.reduce((n, f) => n + f.bytes, 0);
+    let count = files.length;
+    for (const f of files) {
+      if (count <= maxEntries && bytes <= maxBytes) break;
+      await unlink(f.file);
+      count--;
+      bytes -= f.bytes;
+    }
+  }
+  const scheduleTrim = () => {
+    if (trimming || Date.now() - lastTrim < trimMs) return;
+    lastTrim = Date.now();
+    trimming = trim()
+      .catch((e) => console.warn(`cache trim failed: ${e.message}`))
+      .finally(() => {
+        trimming = null;
+      });
+  };
+
+  scheduleTrim();
+  return {
+    backend: "file",
+    async get(key) {
+      const file = fileOf(key);
+      const e = await read(file);
+      if (!e || e.key !== key || Date.now() > e.expiresAt) {
+        if (e) await unlink(file);
+        misses++;
+        return null;
+      }
+      hits++;
+      return e.value;
+    },
+    async set(key, value, ttl = 600_000) {
+      const file = fileOf(key);
+      const tmp = `${file}.${process.pid}.${crypto.randomUUID()}.tmp`;
+      const entry = {
+        key,
+        value: withoutDataUrls(value),
+        createdAt: Date.now(),
+        expiresAt: Date.now() + ttl,
+      };
+      try {
+        await fsp.mkdir(dir, { recursive: true });
+        await fsp.writeFile(tmp, JSON.stringify(entry));
+        await fsp.rename(tmp, file);
+      } catch (e) {
+        console.warn(`cache write failed: ${e.message}`);
+        await unlink(tmp);
+      }
+      scheduleTrim();
+    },
+    async delete(key) {
+      const had = !!(await read(fileOf(key)));
+      await unlink(fileOf(key));
+      return had;
+    },
+    async list(prefix = "") {
+      const now = Date.now();
+      return (await scan())
+        .filter(
+          ({ entry }) => entry?.expiresAt > now && entry.key.startsWith(prefix)
+        )
+        .map(({ entry, bytes }) => ({
+          key: entry.key,
+          createdAt: new Date(entry.createdAt).toISOString(),
+          expiresAt: new Date(entry.expiresAt).toISOString(),
+          bytes,
+        }));
+    },
+    async purge(prefix = "") {
+      let n = 0;
+      for (const { file, entry } of await scan())
+        if (entry?.key?.startsWith(prefix)) {
+          await unlink(file);
+          n++;
+        }
+      return n;
+    },
+    async stats() {
+      const files = await scan({ parse: false });
+      return {
+        backend: "file",
+        size: files.length,
+        bytes: files.reduce((n, f) => n + f.bytes, 0),
+        maxEntries,
+        maxBytes,
+        hits,
+        misses,
+      };
+    },
+    // Resolves once a running trim is done (tests, shutdown)
+    settled: () => trimming || Promise.resolve(),
+  };
+}
+
+export function cacheFromEnv(env = process.env) {
+  const maxEntries = Number(env.CACHE_MAX_ENTRIES) || undefined;
+  if ((env.CACHE_BACKEND || "memory").toLowerCase() === "file")
+    return createFileCache({
+      dir: env.CACHE_DIR || ".cache/results",
+      maxEntries,
+      maxBytes: Number(env.CACHE_MAX_MB) * 1024 * 1024 || undefined,
+    });
+  return createMemoryCache({ maxEntries });
+}
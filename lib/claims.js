@@ -0,0 +1,407 @@
+/* -------------------- claim verification -------------------- */
+// extract checkable statements → query evidence providers → per-statement
+// assessment. Providers share one shape: { name, search(statement) -> [source] }
+// where source = { title, url, publisher, date, rating, stance, relevance }.
+// Pick them with EVIDENCE_PROVIDERS=factcheck,corpus,fixture.
+import fs from "fs";
+import { FetchBlockedError, readBody, safeFetch } from "./fetcher.js";
+
+const MAX_STATEMENTS = 5;
+
+/* ---------- extraction ---------- */
+const MONTHS =
+  "jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?";
+const DATE_RE = new RegExp(
+  [
+    "\\d{4}-\\d{2}-\\d{2}",
+    `(?:${MONTHS})\\.? \\d{1,2}(?:st|nd|rd|th)?,? \\d{4}`,
+    `\\d{1,2}(?:st|nd|rd|th)? (?:${MONTHS})\\.?,? \\d{4}`,
+    `(?:${MONTHS})\\.? \\d{4}`,
+    "(?:in|since|by|from|until|before|after) (?:1[89]|20)\\d{2}",
+  ]
+    .map((p) => `\\b${p}\\b`)
+    .join("|"),
+  "gi"
+);
+const NUMBER_RE =
+  /([$€£]\s?)?(\d[\d,]*(?:\.\d+)?)(\s?(?:%|percent\b|million\b|billion\b|trillion\b|thousand\b|bn\b|k\b))?/gi;
+const MULTIPLIERS = {
+  thousand: 1e3,
+  k: 1e3,
+  million: 1e6,
+  billion: 1e9,
+  bn: 1e9,
+  trillion: 1e12,
+};
+const ENTITY_RE =
+  /\b(?:[A-Z][\w'’-]*|[A-Z]{2,})(?:\s+(?:of|the|de|for|and)?\s*(?:[A-Z][\w'’-]*|[A-Z]{2,}))*/g;
+const STOPWORDS = new Set(
+  `a an and are as at be been but by for from has have he her his i in is it its
+   of on or our she that the their them they this to was we were will with you
+   your not no yes do does did can could would should may might than then there
+   these those what when where which who why how all any some more most very just
+   also into over after before about said says`.split(/\s+/)
+);
+// Capitalized for reasons other than being a name
+const NOT_ENTITIES = new RegExp(
+  `^(?:${MONTHS}|monday|tuesday|wednesday|thursday|friday|saturday|sunday|breaking|urgent|update|new|watch|exclusive|send|click|get|buy|share|call|act)$`,
+  "i"
+);
+const CLAIM_VERB_RE =
+  /\b(is|are|was|were|has|have|had|will|causes?|caused|cures?|cured|kills?|killed|prevents?|contains?|announc\w*|confirm\w*|bann?\w*|launch\w*|found|discover\w*|died|won|lost|approved|proves?|proven)\b/i;
+const OPINION_RE =
+  /^(i think|i believe|i feel|in my opinion|imo\b|personally|maybe|perhaps)/i;
+
+export function splitSentences(text) {
+  return (text || "")
+    .replace(/\s+/g, " ")
+    .split(/(?<=[.!?])\s+(?=[A-Z0-9"“'])/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+export function extractDates(s) {
+  return [...s.matchAll(DATE_RE)].map((m) => m[0]);
+}
+
+export function extractNumbers(s) {
+  const withoutDates = s.replace(DATE_RE, " ");
+  return [...withoutDates.matchAll(NUMBER_RE)].map((m) => {
+    const unitWord = (m[3] || "").trim().toLowerCase();
+    const base = Number(m[2].replace(/,/g, ""));
+    return {
+      raw: m[0].trim(),
+      value: base * (MULTIPLIERS[unitWord] || 1),
+      unit: m[1]
+        ? m[1].trim()
+        : unitWord === "%" || unitWord === "percent"
+        ? "%"
+        : null,
+    };
+  });
+}
+
+export function extractEntities(s) {
+  const out = [];
+  for (const m of s.matchAll(ENTITY_RE)) {
+    const raw = m[0].trim();
+    if (!raw.includes(" ")) {
+      if (NOT_ENTITIES.test(raw)) continue;
+      // A capitalized sentence opener ("The", "Drinking") is not an entity
+      if (
+        m.index === 0 &&
+        (STOPWORDS.has(raw.toLowerCase()) || /ing$/.test(raw))
+      )
+        continue;
+    }
+    const e = raw.replace(/^The\s+(?=[A-Z])/, "");
+    if (e.length > 1 && !out.includes(e)) out.push(e);
+  }
+  return out;
+}
+
+// Statements worth checking: declarative, with something concrete in them
+export function extractClaims(text, max = MAX_STATEMENTS) {
+  const statements = [];
+  for (const sentence of splitSentences(text)) {
+    if (sentence.endsWith("?") || OPINION_RE.test(sentence)) continue;
+    if (sentence.split(" ").length < 4) continue;
+    const dates = extractDates(sentence);
+    const numbers = extractNumbers(sentence);
+    const entities = extractEntities(sentence);
+    if (
+      !dates.length &&
+      !numbers.length &&
+      !entities.length &&
+      !CLAIM_VERB_RE.test(sentence)
+    )
+      continue;
+    statements.push({
+      id: `s${statements.length + 1}`,
+      text: sentence,
+      entities,
+      dates,
+      numbers,
+    });
+    if (statements.length >= max) break;
+  }
+  // A short headline with no sentence punctuation is one statement
+  if (!statements.length && text.trim().split(/\s+/).length >= 3)
+    statements.push({
+      id: "s1",
+      text: text.trim().slice(0, 500),
+      entities: extractEntities(text),
+      dates: extractDates(text),
+      numbers: extractNumbers(text),
+    });
+  return statements;
+}
+
+/* ---------- matching helpers ---------- */
+export const tokens = (s) =>
+  (s || "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((w) => w.length > 2 && !STOPWORDS.has(w));
+
+// Share of the statement's content words found in the candidate text
+export function relevance(statement, text) {
+  const a = new Set(tokens(statement));
+  if (!a.size) return 0;
+  const b = new Set(tokens(text));
+  let hit = 0;
+  for (const w of a) if (b.has(w)) hit++;
+  return +(hit / a.size).toFixed(2);
+}
+
+// Fact-check ratings are free text ("Mostly False", "Pants on Fire", ...)
+export function stanceFromRating(rating) {
+  const r = String(rating || "").toLowerCase();
+  if (!r) return "related";
+  if (/mostly false|mostly fake/.test(r)) return "refutes";
+  if (
+    /mix|half|partly|partial|misleading|missing context|out of context|exaggerat|needs context|unsupported/.test(
+      r
+    )
+  )
+    return "mixed";
+  if (
+    /false|fake|pants on fire|incorrect|hoax|fabricat|scam|not true|no evidence|debunk|wrong|satire/.test(
+      r
+    )
+  )
+    return "refutes";
+  if (/true|correct|accurate|confirmed|legit|verified/.test(r))
+    return "supports";
+  return "related";
+}
+
+/* ---------- providers ---------- */
+// Google Fact Check Tools claims:search
+export function factCheckProvider({
+  apiKey,
+  baseUrl = "https://factchecktools.googleapis.com/v1alpha1/claims:search",
+  timeout = 6000,
+  minRelevance = 0.5,
+} = {}) {
+  return {
+    name: "factcheck",
+    disabled: !apiKey,
+    async search(statement) {
+      const q = new URLSearchParams({
+        query: statement.text.slice(0, 300),
+        pageSize: "10",
+      });
+      // Key in a header, so it never appears in a URL or a fetch error
+      const r = await safeFetch(`${baseUrl}?${q}`, {
+        timeout,
+        headers: { "x-goog-api-key": apiKey },
+      });
+      if (!r.ok)
+        throw Object.assign(new Error(`Fact Check API ${r.status}`), {
+          status: r.status,
+        });
+      const { buffer } = await readBody(r, 512_000);
+      const data = JSON.parse(buffer.toString("utf8"));
+      // The API matches loosely; a "False" on a different claim is no evidence
+      return (data.claims || [])
+        .map((c) => ({ c, relevance: relevance(statement.text, c.text) }))
+        .filter((x) => x.relevance >= minRelevance)
+        .flatMap(({ c, relevance }) =>
+          (c.claimReview || []).map((rv) => ({
+            title: rv.title || c.text,
+            url: rv.url,
+            publisher: rv.publisher?.name || rv.publisher?.site || null,
+            date: rv.reviewDate || c.claimDate || null,
+            rating: rv.textualRating || null,
+            stance: stanceFromRating(rv.textualRating),
+            relevance,
+          }))
+        );
+    },
+  };
+}
+
+const readJsonArray = (file, label) => {
+  try {
+    const data = JSON.parse(fs.readFileSync(file, "utf8"));
+    return Array.isArray(data) ? data : [];
+  } catch (e) {
+    console.warn(`${label} unreadable: ${e.message}`);
+    return [];
+  }
+};
+
+const localSearch = (entries, textOf, statement, minRelevance) =>
+  entries
+    .map((e) => ({ e, relevance: relevance(statement.text, textOf(e)) }))
+    .filter((x) => x.relevance >= minRelevance)
+    .sort((a, b) => b.relevance - a.relevance)
+    .slice(0, 5);
+
+// Vetted articles: [{ title, url, publisher, publishedAt, text, rating? }]
+export function corpusProvider(file, { minRelevance = 0.5 } = {}) {
+  const articles = readJsonArray(file, "EVIDENCE_CORPUS");
+  return {
+    name: "corpus",
+    async search(statement) {
+      return localSearch(
+        articles,
+        (a) => `${a.title} ${a.text || ""}`,
+        statement,
+        minRelevance
+      ).map(({ e, relevance }) => ({
+        title: e.title,
+        url: e.url || null,
+        publisher: e.publisher || null,
+        date: e.publishedAt || null,
+        rating: e.rating || null,
+        stance: stanceFromRating(e.rating),
+        relevance,
+      }));
+    },
+  };
+}
+
+// Canned fact-checks for offline runs: [{ claim, rating, title, url, publisher, date }]
+export function fixtureProvider(file, { minRelevance = 0.5 } = {}) {
+  const checks = readJsonArray(file, "EVIDENCE_FIXTURE");
+  return {
+    name: "fixture",
+    async search(statement) {
+      return localSearch(checks, (c) => c.claim, statement, minRelevance).map(
+        ({ e, relevance }) => ({
+          title: e.title || e.claim,
+          url: e.url || null,
+          publisher: e.publisher || null,
+          date: e.date || null,
+          rating: e.rating || null,
+          stance: stanceFromRating(e.rating),
+          relevance,
+        })
+      );
+    },
+  };
+}
+
+export function evidenceProvidersFromEnv(env = process.env) {
+  return (env.EVIDENCE_PROVIDERS || "factcheck")
+    .split(",")
+    .map((n) => n.trim().toLowerCase())
+    .filter(Boolean)
+    .map((name) => {
+      switch (name) {
+        case "factcheck":
+          return factCheckProvider({
+            apiKey: env.GOOGLE_FACTCHECK_KEY,
+            baseUrl: env.FACTCHECK_BASE_URL || undefined,
+          });
+        case "corpus":
+          return corpusProvider(env.EVIDENCE_CORPUS || "data/corpus.json");
+        case "fixture":
+          return fixtureProvider(
+            env.EVIDENCE_FIXTURE || "fixtures/evidence.json"
+          );
+        default:
+          console.warn(`unknown evidence provider: ${name}`);
+          return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/* ---------- assessment ---------- */
+// Weighted stance tally → supported | refuted | disputed | unverified
+export function assessStatement(sources) {
+  const weight = { supports: 0, refutes: 0, mixed: 0 };
+  for (const s of sources)
+    if (s.stance in weight) weight[s.stance] += s.relevance;
+  const { supports: yes, refutes: no, mixed } = weight;
+  const total = yes + no + mixed;
+  if (!total) return { assessment: "unverified", confidence: 0 };
+  const assessment =
+    mixed >= Math.max(yes, no) ||
+    (yes && no && Math.min(yes, no) / Math.max(yes, no) > 0.5)
+      ? "disputed"
+      : yes > no
+      ? "supported"
+      : "refuted";
+  // Agreement between sources × amount of evidence
+  const agreement =
+    assessment === "disputed"
+      ? (mixed + 2 * Math.min(yes, no)) / total
+      : Math.abs(yes - no) / total;
+  const confidence = +(agreement * (1 - Math.exp(-2 * total))).toFixed(2);
+  return { assessment, confidence };
+}
+
+export const confidenceLevel = (c) =>
+  c >= 0.7 ? "high" : c >= 0.4 ? "medium" : "low";
+
+// "likely false" and "likely true" need medium or high confidence; one weak
+// rating is not enough to call a claim either way
+export function claimVerdict(statements) {
+  const sure = (s, assessment) =>
+    s.assessment === assessment && confidenceLevel(s.confidence) !== "low";
+  if (statements.some((s) => sure(s, "refuted"))) return "likely false";
+  if (statements.some((s) => s.assessment === "disputed")) return "misleading";
+  if (statements.length && statements.every((s) => sure(s, "supported")))
+    return "likely true";
+  return "unverified";
+}
+
+// Short, fixed status for a failed search; raw messages can carry URLs
+const errorStatus = (e) =>
+  e?.status
+    ? `error: HTTP ${e.status}`
+    : e?.name === "AbortError"
+    ? "error: timeout"
+    : e instanceof FetchBlockedError
+    ? `error: blocked (${e.blocked.reason})`
+    : e instanceof SyntaxError
+    ? "error: invalid response"
+    : `error: ${e?.code || "unavailable"}`;
+
+export async function verifyClaim(
+  text,
+  { providers = [], maxStatements } = {}
+) {
+  const statements = extractClaims(text, maxStatements);
+  const status = Object.fromEntries(
+    providers.map((p) => [p.name, p.disabled ? "disabled" : "ok"])
+  );
+  const active = providers.filter((p) => !p.disabled);
+
+  for (const st of statements) {
+    const found = await Promise.all(
+      active.map((p) =>
+        p.search(st).then(
+          (list) => list.map((s) => ({ provider: p.name, ...s })),
+          (e) => {
+            status[p.name] = errorStatus(e);
+            return [];
+          }
+        )
+      )
+    );
+    st.sources = found
+      .flat()
+      .filter((s) => s.relevance > 0)
+      .sort((a, b) => b.relevance - a.relevance)
+      .slice(0, 8);
+    Object.assign(st, assessStatement(st.sources));
+    st.level = confidenceLevel(st.confidence);
+  }
+
+  return {
+    verdict: claimVerdict(statements),
+    statements,
+    entities: [...new Set(statements.flatMap((s) => s.entities))],
+    dates: [...new Set(statements.flatMap((s) => s.dates))],
+    numbers: statements.flatMap((s) => s.numbers),
+    providers: Object.entries(status).map(([name, state]) => ({
+      name,
+      status: state,
+    })),
+  };
+}
@@ -0,0 +1,97 @@
+/* -------------------- community reports -------------------- */
+// Users flag a link as scam or safe; reports wait in a moderation queue until
+// an operator confirms them (which adds a list entry) or rejects them.
+// Repeat reports of the same URL and verdict are counted on one entry. When
+// the queue is full, the least-reported, longest-idle pending report makes room.
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { hostOf } from "./domain.js";
+
+export const COMMUNITY_VERDICTS = ["scam", "safe"];
+export const MODERATION_STATUSES = ["pending", "confirmed", "rejected"];
+
+export function createCommunityQueue({ file, maxPending = 1000 }) {
+  let reports = [];
+  try {
+    reports = JSON.parse(fs.readFileSync(file, "utf8")).filter((r) => r?.id);
+  } catch (e) {
+    if (e.code !== "ENOENT")
+      console.warn(`community reports ignored: ${e.message}`);
+  }
+
+  const save = () => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(reports, null, 2));
+    fs.renameSync(tmp, file);
+  };
+  const pending = () => reports.filter((r) => r.status === "pending");
+
+  return {
+    list: ({ status } = {}) =>
+      reports
+        .filter((r) => !status || r.status === status)
+        .sort(
+          (a, b) => b.count - a.count || a.createdAt.localeCompare(b.createdAt)
+        ),
+    get: (id) => reports.find((r) => r.id === id) || null,
+    add({ url, verdict, note = "", reportId = null }) {
+      const same = pending().find(
+        (r) => r.url === url && r.verdict === verdict
+      );
+      if (same) {
+        same.count += 1;
+        same.lastReportedAt = new Date().toISOString();
+        if (note && same.notes.length < 20) same.notes.push(note);
+        if (reportId && !same.reportIds.includes(reportId))
+          same.reportIds.push(reportId);
+        save();
+        return { report: same };
+      }
+      const queue = pending();
+      if (queue.length >= maxPending) {
+        const [drop] = queue.sort(
+          (a, b) =>
+            a.count - b.count ||
+            a.lastReportedAt.localeCompare(b.lastReportedAt)
+        );
+        reports = reports.filter((r) => r !== drop);
+      }
+      const report = {
+        id: crypto.randomUUID(),
+        url,
+        host: hostOf(url),
+        verdict,
+        notes: note ? [note] : [],
+        reportIds: reportId ? [reportId] : [],
+        count: 1,
+        status: "pending",
+        createdAt: new Date().toISOString(),
+        lastReportedAt: new Date().toISOString(),
+        reviewedAt: null,
+        listEntryId: null,
+      };
+      reports.push(report);
+      save();
+      return { report };
+    },
+    resolve(id, { status, listEntryId = null }) {
+      const report = reports.find((r) => r.id === id);
+      if (!report) return null;
+      Object.assign(report, {
+        status,
+        listEntryId,
+        reviewedAt: new Date().toISOString(),
+      });
+      save();
+      return report;
+    },
+  };
+}
+
+export const communityQueueFromEnv = (env = process.env) =>
+  createCommunityQueue({
+    file: env.COMMUNITY_REPORTS_FILE || ".data/community-reports.json",
+    maxPending: Number(env.COMMUNITY_MAX_PENDING) || 1000,
+  });
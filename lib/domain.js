@@ -0,0 +1,66 @@
+/* -------------------- hostname helpers -------------------- */
+// Small stand-in for the Public Suffix List: the multi-label suffixes we see
+// most in scam traffic. Anything else is treated as a single-label TLD.
+const MULTI_LABEL_SUFFIXES = new Set([
+  "co.uk",
+  "org.uk",
+  "gov.uk",
+  "ac.uk",
+  "me.uk",
+  "com.au",
+  "net.au",
+  "org.au",
+  "co.nz",
+  "co.jp",
+  "ne.jp",
+  "co.kr",
+  "co.in",
+  "co.za",
+  "com.br",
+  "com.cn",
+  "com.hk",
+  "com.mx",
+  "com.sg",
+  "com.tr",
+  "com.ng",
+  "github.io",
+  "herokuapp.com",
+  "netlify.app",
+  "vercel.app",
+  "pages.dev",
+  "web.app",
+  "firebaseapp.com",
+  "blogspot.com",
+  "000webhostapp.com",
+]);
+
+export const isIpHost = (host = "") =>
+  /^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.includes(":");
+
+export function registrableDomain(host = "") {
+  const h = host.toLowerCase().replace(/\.$/, "");
+  if (!h || isIpHost(h)) return h;
+  const labels = h.split(".");
+  if (labels.length <= 2) return h;
+  const lastTwo = labels.slice(-2).join(".");
+  const n = MULTI_LABEL_SUFFIXES.has(lastTwo) ? 3 : 2;
+  return labels.slice(-n).join(".");
+}
+
+// host is `domain` itself or one of its subdomains
+export const hostMatches = (host = "", domain = "") => {
+  const h = host.toLowerCase();
+  const d = domain.toLowerCase();
+  return h === d || h.endsWith("." + d);
+};
+
+export const sameSite = (a, b) =>
+  Boolean(a && b) && registrableDomain(a) === registrableDomain(b);
+
+export function hostOf(u) {
+  try {
+    return new URL(u).hostname.toLowerCase();
+  } catch {
+    return "";
+  }
+}
@@ -0,0 +1,95 @@
+/* -------------------- domain registration age -------------------- */
+// Providers share one shape: { name, lookup(domain) -> { registered, registrar } }.
+// Pick one with DOMAIN_AGE_PROVIDER=rdap|fixture|none.
+import fs from "fs";
+import { safeFetch, readBody } from "./fetcher.js";
+
+const DAY = 86_400_000;
+
+export function rdapProvider({
+  baseUrl = "https://rdap.org/domain/",
+  timeout = 6000,
+} = {}) {
+  return {
+    name: "rdap",
+    async lookup(domain) {
+      const r = await safeFetch(baseUrl + encodeURIComponent(domain), {
+        timeout,
+        headers: { Accept: "application/rdap+json, application/json" },
+      });
+      if (r.status === 404) return { registered: null, registrar: null };
+      if (!r.ok) throw new Error(`RDAP ${r.status}`);
+      const { buffer } = await readBody(r, 512_000);
+      const data = JSON.parse(buffer.toString("utf8"));
+      const reg = (data.events || []).find(
+        (e) => e.eventAction === "registration"
+      );
+      const registrar = (data.entities || []).find((e) =>
+        e.roles?.includes("registrar")
+      );
+      const fn = registrar?.vcardArray?.[1]?.find((x) => x[0] === "fn");
+      return {
+        registered: reg?.eventDate || null,
+        registrar: fn?.[3] || registrar?.handle || null,
+      };
+    },
+  };
+}
+
+// JSON file: { "example.com": { "registered": "1995-08-14", "registrar": "..." } }
+export function fixtureProvider(file) {
+  let data = {};
+  try {
+    data = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    console.warn(`DOMAIN_AGE_FIXTURE unreadable: ${e.message}`);
+  }
+  return {
+    name: "fixture",
+    async lookup(domain) {
+      const hit = data[domain.toLowerCase()];
+      return {
+        registered: hit?.registered || null,
+        registrar: hit?.registrar || null,
+      };
+    },
+  };
+}
+
+export const noneProvider = {
+  name: "none",
+  async lookup() {
+    return { registered: null, registrar: null, disabled: true };
+  },
+};
+
+export function domainAgeProviderFromEnv(env = process.env) {
+  switch ((env.DOMAIN_AGE_PROVIDER || "rdap").toLowerCase()) {
+    case "none":
+      return noneProvider;
+    case "fixture":
+      return fixtureProvider(
+        env.DOMAIN_AGE_FIXTURE || "fixtures/domain-age.json"
+      );
+    default:
+      return rdapProvider({ baseUrl: env.RDAP_BASE_URL || undefined });
+  }
+}
+
+export async function domainAge(domain, provider) {
+  if (!domain) return null;
+  try {
+    const { registered, registrar, disabled } = await provider.lookup(domain);
+    const t = registered ? Date.parse(registered) : NaN;
+    return {
+      domain,
+      registered: isNaN(t) ? null : new Date(t).toISOString(),
+      ageDays: isNaN(t) ? null : Math.floor((Date.now() - t) / DAY),
+      registrar: registrar || null,
+      source: provider.name,
+      ...(disabled ? { disabled } : {}),
+    };
+  } catch (e) {
+    return { domain, error: String(e), source: provider.name };
+  }
+}
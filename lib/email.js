@@ -0,0 +1,306 @@
+/* -------------------- email (.eml) analysis -------------------- */
+import { simpleParser } from "mailparser";
+import { parse as parseHtml } from "node-html-parser";
+import { hostMatches, registrableDomain } from "./domain.js";
+import { brandMention } from "./brands.js";
+
+export const RISKY_EXTENSIONS = new Set(
+  `exe scr com pif bat cmd ps1 vbs vbe js jse wsf hta jar msi lnk apk
+   iso img vhd html htm shtml svg docm xlsm pptm one`.split(/\s+/)
+);
+const ARCHIVE_EXTENSIONS = new Set(["zip", "rar", "7z", "gz", "tar", "cab"]);
+
+export const isEmailUpload = (file) =>
+  Boolean(file) &&
+  (file.mimetype === "message/rfc822" ||
+    /\.eml$/i.test(file.originalname || ""));
+
+const domainOf = (address) =>
+  address?.includes("@") ? address.split("@").pop().toLowerCase() : null;
+
+const firstAddress = (field) => {
+  const a = field?.value?.[0];
+  return a
+    ? { name: a.name || "", address: (a.address || "").toLowerCase() }
+    : null;
+};
+
+// "Authentication-Results: mx.example; spf=pass ...; dkim=fail ...; dmarc=none"
+// Only one header counts: the first from a trusted authserv-id, or without a
+// list the topmost, which our own receiving server added. Headers further down
+// came with the message and can say anything.
+export function parseAuthResults(values = [], { authservIds = [] } = {}) {
+  const out = { spf: null, dkim: null, dmarc: null, authservId: null };
+  const headers = values.map((v) => {
+    const body = String(v).replace(/^authentication-results\s*:/i, "");
+    return {
+      body,
+      id: body.split(";")[0].trim().split(/\s+/)[0].toLowerCase(),
+    };
+  });
+  const trusted = authservIds.length
+    ? headers.find((h) => authservIds.includes(h.id))
+    : headers[0];
+  if (!trusted) return out;
+  out.authservId = trusted.id || null;
+  for (const mech of ["spf", "dkim", "dmarc"]) {
+    const m = trusted.body.match(
+      new RegExp(`\\b${mech}\\s*=\\s*([a-z]+)`, "i")
+    );
+    if (m) out[mech] = m[1].toLowerCase();
+  }
+  return out;
+}
+
+// "from a.example ([203.0.113.9]) by mx.b.example with ESMTPS id ...; <date>"
+export function parseReceived(values = []) {
+  return values.map((raw) => {
+    const line = String(raw).replace(/\s+/g, " ").trim();
+    const part = (re) => (line.match(re) || [])[1] || null;
+    const dateStr = line.includes(";") ? line.split(";").pop().trim() : null;
+    const t = dateStr ? Date.parse(dateStr) : NaN;
+    return {
+      from: part(/\bfrom\s+(\S+)/i),
+      by: part(/\bby\s+(\S+)/i),
+      with: part(/\bwith\s+(\S+)/i),
+      ip: part(/\[((?:\d{1,3}\.){3}\d{1,3}|[0-9a-f:]+)\]/i),
+      date: isNaN(t) ? null : new Date(t).toISOString(),
+    };
+  });
+}
+
+const URL_RE = /\bhttps?:\/\/[^\s<>"')\]]+/gi;
+
+export function extractLinks(parsed, max = 10) {
+  const found = new Set();
+  for (const m of (parsed.html || "").matchAll(/href\s*=\s*["']([^"']+)["']/gi))
+    if (/^https?:/i.test(m[1])) found.add(m[1].trim());
+  for (const m of (parsed.text || "").matchAll(URL_RE))
+    found.add(m[0].replace(/[.,;:!?]+$/, ""));
+  return { links: [...found].slice(0, max), total: found.size };
+}
+
+export async function analyzeEmail(
+  buffer,
+  { brands = [], maxLinks = 10, authservIds = [] } = {}
+) {
+  const parsed = await simpleParser(buffer, { skipImageLinks: true });
+  // HTML-only mail has no text part; fall back to the rendered HTML text
+  const text =
+    parsed.text || (parsed.html ? parseHtml(parsed.html).structuredText : "");
+  const header = (name) => {
+    const v = parsed.headers.get(name);
+    return v == null ? [] : Array.isArray(v) ? v : [v];
+  };
+  const from = firstAddress(parsed.from);
+  const replyTo = firstAddress(parsed.replyTo);
+  const returnPath =
+    firstAddress(parsed.headers.get("return-path"))?.address || null;
+  const fromDomain = domainOf(from?.address);
+
+  const flags = [];
+  const auth = parseAuthResults(
+    parsed.headerLines
+      .filter((h) => h.key === "authentication-results")
+      .map((h) => h.line),
+    { authservIds }
+  );
+  for (const mech of ["spf", "dkim", "dmarc"])
+    if (auth[mech] && !["pass", "none", "neutral"].includes(auth[mech]))
+      flags.push({ id: `${mech}_fail`, detail: `${mech}=${auth[mech]}` });
+  if (!auth.spf && !auth.dkim && !auth.dmarc)
+    flags.push({
+      id: "no_auth_results",
+      detail: authservIds.length
+        ? `No Authentication-Results header from ${authservIds.join(", ")}`
+        : "No Authentication-Results header",
+    });
+
+  const replyDomain = domainOf(replyTo?.address);
+  if (
+    replyDomain &&
+    fromDomain &&
+    registrableDomain(replyDomain) !== registrableDomain(fromDomain)
+  )
+    flags.push({
+      id: "reply_to_mismatch",
+      detail: `Reply-To ${replyTo.address} ≠ From ${from.address}`,
+    });
+  const rpDomain = domainOf(returnPath);
+  if (
+    rpDomain &&
+    fromDomain &&
+    registrableDomain(rpDomain) !== registrableDomain(fromDomain)
+  )
+    flags.push({
+      id: "return_path_mismatch",
+      detail: `Return-Path ${returnPath} ≠ From ${from.address}`,
+    });
+
+  // Display name carrying a different address, or a brand the domain doesn't own
+  const name = (from?.name || "").toLowerCase();
+  const nameAddr = (name.match(/[\w.+-]+@[\w-]+(\.[\w-]+)+/) || [])[0];
+  if (nameAddr && nameAddr !== from.address)
+    flags.push({
+      id: "display_name_spoof",
+      detail: `Display name shows ${nameAddr} but mail is from ${from.address}`,
+    });
+  else if (fromDomain) {
+    const brand = brands.find(
+      (b) =>
+        !b.domains.some((d) => hostMatches(fromDomain, d)) &&
+        brandMention(name, b)
+    );
+    if (brand)
+      flags.push({
+        id: "display_name_spoof",
+        detail: `"${from.name}" sent from ${fromDomain}, not ${brand.domains[0]}`,
+        brand: brand.name,
+      });
+  }
+
+  const received = parseReceived(header("received").map((h) => h?.text ?? h));
+  for (let i = 1; i < received.length; i++) {
+    // Received headers are newest-first; an older hop with a later date is odd
+    const newer = received[i - 1].date;
+    const older = received[i].date;
+    if (newer && older && Date.parse(older) - Date.parse(newer) > 5 * 60_000) {
+      flags.push({
+        id: "received_out_of_order",
+        detail: `Hop ${i + 1} is dated after hop ${i}`,
+      });
+      break;
+    }
+  }
+
+  const attachments = (parsed.attachments || []).map((a) => {
+    const ext = (a.filename || "").split(".").pop().toLowerCase();
+    const doubleExt = /\.(pdf|docx?|xlsx?|jpe?g|png|txt)\.[a-z0-9]+$/i.test(
+      a.filename || ""
+    );
+    const risk =
+      RISKY_EXTENSIONS.has(ext) || doubleExt
+        ? "high"
+        : ARCHIVE_EXTENSIONS.has(ext)
+        ? "medium"
+        : "low";
+    return {
+      filename: a.filename || null,
+      contentType: a.contentType,
+      size: a.size,
+      risk,
+      ...(doubleExt ? { note: "double extension" } : {}),
+    };
+  });
+  if (attachments.some((a) => a.risk === "high"))
+    flags.push({
+      id: "risky_attachment",
+      detail: attachments
+        .filter((a) => a.risk === "high")
+        .map((a) => a.filename)
+        .join(", "),
+    });
+  else if (attachments.some((a) => a.risk === "medium"))
+    flags.push({
+      id: "archive_attachment",
+      detail: attachments
+        .filter((a) => a.risk === "medium")
+        .map((a) => a.filename)
+        .join(", "),
+    });
+
+  const { links, total: linkCount } = extractLinks(parsed, maxLinks);
+
+  return {
+    subject: parsed.subject || null,
+    date: parsed.date ? parsed.date.toISOString() : null,
+    from,
+    replyTo,
+    returnPath,
+    auth,
+    received,
+    attachments,
+    links,
+    linkCount,
+    flags,
+    text: text.slice(0, 4000),
+  };
+}
+
+const hasFlag = (f, id) => f.email.flags.some((x) => x.id === id);
+const linkVerdicts = (f) => f.links.map((l) => l.verdict);
+
+export const EMAIL_RULES = [
+  {
+    id: "dmarc_fail",
+    weight: 25,
+    label: "DMARC check failed",
+    test: (f) => hasFlag(f, "dmarc_fail"),
+  },
+  {
+    id: "spf_fail",
+    weight: 15,
+    label: "SPF check failed",
+    test: (f) => hasFlag(f, "spf_fail"),
+  },
+  {
+    id: "dkim_fail",
+    weight: 15,
+    label: "DKIM signature failed",
+    test: (f) => hasFlag(f, "dkim_fail"),
+  },
+  {
+    id: "no_auth_results",
+    weight: 5,
+    label: "No sender authentication results",
+    test: (f) => hasFlag(f, "no_auth_results"),
+  },
+  {
+    id: "reply_to_mismatch",
+    weight: 20,
+    label: "Replies go to a different domain",
+    test: (f) => hasFlag(f, "reply_to_mismatch"),
+  },
+  {
+    id: "return_path_mismatch",
+    weight: 5,
+    label: "Bounce address on a different domain",
+    test: (f) => hasFlag(f, "return_path_mismatch"),
+  },
+  {
+    id: "display_name_spoof",
+    weight: 30,
+    label: "Sender name impersonates someone else",
+    test: (f) => hasFlag(f, "display_name_spoof"),
+  },
+  {
+    id: "received_out_of_order",
+    weight: 10,
+    label: "Forged-looking Received chain",
+    test: (f) => hasFlag(f, "received_out_of_order"),
+  },
+  {
+    id: "risky_attachment",
+    weight: 35,
+    label: "Executable or script attachment",
+    test: (f) => hasFlag(f, "risky_attachment"),
+  },
+  {
+    id: "archive_attachment",
+    weight: 10,
+    label: "Archive attachment",
+    test: (f) => hasFlag(f, "archive_attachment"),
+  },
+  {
+    id: "scam_link",
+    weight: 45,
+    label: "Contains a link rated likely scam",
+    test: (f) => linkVerdicts(f).includes("likely scam"),
+  },
+  {
+    id: "suspicious_link",
+    weight: 15,
+    label: "Contains a suspicious link",
+    test: (f) => linkVerdicts(f).includes("suspicious"),
+  },
+];
@@ -0,0 +1,212 @@
+/* -------------------- guarded server-side fetch -------------------- */
+// Every user-supplied URL goes through here. Hosts are resolved up front, each
+// address is checked against private/loopback/link-local ranges (v4, v6 and
+// v4-mapped v6), and the socket is pinned to the checked address so a second
+// DNS answer can't swap in an internal one. Redirects are re-checked per hop.
+import fetch from "node-fetch";
+import http from "http";
+import https from "https";
+import dns from "dns/promises";
+import net from "net";
+import ipaddr from "ipaddr.js";
+
+export const DEFAULT_TIMEOUT = 10_000;
+export const MAX_BODY_BYTES = Number(process.env.FETCH_MAX_BYTES) || 2_000_000;
+const MAX_FOLLOW = 8;
+
+export class FetchBlockedError extends Error {
+  constructor(reason, detail = {}) {
+    super(`Fetch blocked: ${reason}`);
+    this.name = "FetchBlockedError";
+    this.blocked = { reason, ...detail };
+  }
+}
+
+// Comma-separated hostnames ("example.com", "*.corp.example") and CIDRs
+function parseList(value = "") {
+  const hosts = [];
+  const cidrs = [];
+  for (const raw of value.split(",")) {
+    const entry = raw.trim().toLowerCase();
+    if (!entry) continue;
+    try {
+      cidrs.push(
+        entry.includes("/")
+          ? ipaddr.parseCIDR(entry)
+          : [
+              ipaddr.parse(entry),
+              ipaddr.parse(entry).kind() === "ipv4" ? 32 : 128,
+            ]
+      );
+    } catch {
+      hosts.push(entry.replace(/^\*\./, "."));
+    }
+  }
+  return { hosts, cidrs };
+}
+
+const ALLOW = parseList(process.env.FETCH_ALLOWLIST);
+const DENY = parseList(process.env.FETCH_DENYLIST);
+
+const hostInList = (host, list) =>
+  list.hosts.some((h) =>
+    h.startsWith(".") ? host.endsWith(h) || host === h.slice(1) : host === h
+  );
+
+const addrInList = (addr, list) =>
+  list.cidrs.some(([range, bits]) => {
+    try {
+      return addr.kind() === range.kind() && addr.match(range, bits);
+    } catch {
+      return false;
+    }
+  });
+
+// Returns null when the address may be contacted, otherwise the range name
+export function blockedRange(address) {
+  let addr;
+  try {
+    addr = ipaddr.process(address); // unwraps ::ffff:a.b.c.d
+  } catch {
+    return "invalid";
+  }
+  if (addrInList(addr, DENY)) return "denylisted";
+  if (addrInList(addr, ALLOW)) return null;
+  const range = addr.range();
+  return range === "unicast" ? null : range;
+}
+
+// Resolves and vets a hostname; returns the address to connect to
+export async function vetHost(hostname) {
+  const host = hostname.toLowerCase().replace(/^\[|\]$/g, "");
+  if (hostInList(host, DENY))
+    throw new FetchBlockedError("denylisted_host", { host });
+  const allowedHost = hostInList(host, ALLOW);
+
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [{ address: host, family: net.isIP(host) }];
+  } else {
+    addresses = await dns.lookup(host, { all: true, verbatim: true });
+  }
+
+  for (const { address } of addresses) {
+    const range = blockedRange(address);
+    if (range && !(allowedHost && range !== "denylisted"))
+      throw new FetchBlockedError(
+        range === "denylisted" ? "denylisted_address" : "private_address",
+        { host, address, range }
+      );
+  }
+  return addresses[0];
+}
+
+// Agent whose DNS lookup always answers with the vetted address
+function pinnedAgent(protocol, { address, family }) {
+  const lookup = (_host, opts, cb) => {
+    if (typeof opts === "function") cb = opts;
+    if (opts?.all) return cb(null, [{ address, family }]);
+    return cb(null, address, family);
+  };
+  return protocol === "https:"
+    ? new https.Agent({ lookup })
+    : new http.Agent({ lookup });
+}
+
+async function fetchOnce(url, opts, signal, maxBytes) {
+  const u = new URL(url);
+  if (!["http:", "https:"].includes(u.protocol))
+    throw new FetchBlockedError("unsupported_scheme", { url });
+  let pinned;
+  try {
+    pinned = await vetHost(u.hostname);
+  } catch (e) {
+    if (e instanceof FetchBlockedError) e.blocked.url = url;
+    throw e;
+  }
+  const res = await fetch(url, {
+    ...opts,
+    redirect: "manual",
+    agent: pinnedAgent(u.protocol, pinned),
+    signal,
+  });
+  const declared = Number(res.headers.get("content-length"));
+  if (declared && declared > maxBytes) {
+    res.body?.destroy?.();
+    throw new FetchBlockedError("body_too_large", { url, bytes: declared });
+  }
+  return res;
+}
+
+// `timeout` covers the whole exchange: the timer stays armed until the body
+// is read or discarded, so a server that drips its body still gets cut off
+export async function safeFetch(url, opts = {}) {
+  const controller = new AbortController();
+  const id = setTimeout(
+    () => controller.abort(),
+    opts.timeout ?? DEFAULT_TIMEOUT
+  );
+  id.unref?.();
+  const { redirect = "follow", timeout, maxBytes, ...rest } = opts;
+  const init = {
+    ...rest,
+    headers: {
+      "User-Agent": "TrueOrScamBot/2.0 (+https://example.com)",
+      Accept: "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8",
+      ...rest.headers,
+    },
+  };
+  try {
+    let current = url;
+    for (let hop = 0; ; hop++) {
+      const res = await fetchOnce(
+        current,
+        init,
+        controller.signal,
+        maxBytes ?? MAX_BODY_BYTES
+      );
+      const location = res.headers.get("location");
+      if (
+        redirect === "manual" ||
+        !location ||
+        res.status < 300 ||
+        res.status >= 400
+      ) {
+        if (!res.body) clearTimeout(id);
+        else res.body.once("close", () => clearTimeout(id));
+        return res;
+      }
+      if (hop >= MAX_FOLLOW) throw new Error("Too many redirects");
+      res.body?.resume?.();
+      current = new URL(location, current).toString();
+    }
+  } catch (e) {
+    clearTimeout(id);
+    throw e;
+  }
+}
+
+// Reads at most maxBytes of a response body; the rest is discarded and
+// `truncated` says there was more. A read past safeFetch's deadline throws
+// an AbortError.
+export async function readBody(res, maxBytes = MAX_BODY_BYTES) {
+  const chunks = [];
+  let size = 0;
+  let truncated = false;
+  if (!res.body) return { buffer: Buffer.alloc(0), truncated };
+  for await (const chunk of res.body) {
+    // A chunk ending exactly at the limit reads on: any further byte means
+    // the body was cut
+    const room = maxBytes - size;
+    if (chunk.length > room) {
+      chunks.push(chunk.subarray(0, room));
+      size += room;
+      truncated = true;
+      res.body.destroy?.();
+      break;
+    }
+    chunks.push(chunk);
+    size += chunk.length;
+  }
+  return { buffer: Buffer.concat(chunks, size), truncated };
+}
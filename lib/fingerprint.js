@@ -0,0 +1,341 @@
+/* -------------------- page fingerprints + kit clusters -------------------- */
+// Phishing kits are redeployed on fresh domains with the same favicon, markup,
+// title and script files. Every scanned page's fingerprint is stored:
+//   { favicon, dom, title, scripts: [...] }
+// and a page that shares at least `minShared` of those features with a page
+// on another domain joins (or starts) that page's cluster. Pages on
+// `ignoreDomains` (the brands' own sites, which kits copy) are never stored
+// or matched.
+//
+// Anyone can scan a copy of a real site, so a model verdict never makes a
+// cluster member count as a scam: only pages on the operator's block list
+// (`listed`, or `isBlocked(url)` for entries added later) do, and, once an
+// operator confirms a cluster, its members judged "likely scam".
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { hostMatches, hostOf, registrableDomain, sameSite } from "./domain.js";
+
+const sha1 = (s) => crypto.createHash("sha1").update(s).digest("hex");
+const short = (s) => sha1(s).slice(0, 16);
+
+/* ---------- features ---------- */
+const SKIP_TAGS = new Set(["script", "style", "noscript", "template", "svg"]);
+const MAX_ELEMENTS = 3000;
+const MIN_ELEMENTS = 10;
+
+// Tag/class skeleton with repeated siblings collapsed, so a kit's markup hashes
+// the same whatever text, links or number of list items it was filled with
+function domFingerprint(root) {
+  let count = 0;
+  const walk = (el, depth) => {
+    count += 1;
+    const tag = el.rawTagName?.toLowerCase() || "";
+    const classes = (el.getAttribute?.("class") || "")
+      .split(/\s+/)
+      .filter(Boolean)
+      .sort()
+      .join(".");
+    const kids = [];
+    if (depth < 40)
+      for (const c of el.childNodes) {
+        if (c.nodeType !== 1 || count >= MAX_ELEMENTS) continue;
+        if (SKIP_TAGS.has(c.rawTagName?.toLowerCase())) continue;
+        const s = walk(c, depth + 1);
+        if (kids[kids.length - 1] !== s) kids.push(s);
+      }
+    return `${tag}${classes ? "." + classes : ""}(${kids.join(",")})`;
+  };
+  const skeleton = walk(root, 0);
+  return count > MIN_ELEMENTS ? short(skeleton) : null;
+}
+
+// "Sign in to Paypa1-secure — case 48213" → "sign in to {site} — case #"
+export function titleTemplate(title, pageUrl = "") {
+  let t = String(title || "").toLowerCase();
+  const label = registrableDomain(hostOf(pageUrl)).split(".")[0];
+  if (label.length >= 3) t = t.split(label).join("{site}");
+  t = t
+    .replace(/\S+@\S+\.\S+/g, "{email}")
+    .replace(/\d+/g, "#")
+    .replace(/\s+/g, " ")
+    .trim();
+  return t.length >= 4 ? t : null;
+}
+
+// Same-site script paths and normalized inline scripts; third-party CDNs are
+// shared by unrelated sites, so they are left out
+function scriptFingerprints(root, pageUrl) {
+  const out = new Set();
+  for (const s of root.querySelectorAll("script")) {
+    const src = s.getAttribute("src");
+    if (src) {
+      try {
+        const u = new URL(src, pageUrl);
+        if (sameSite(u.hostname, hostOf(pageUrl))) out.add(short(u.pathname));
+      } catch {}
+      continue;
+    }
+    const code = s.text.replace(/\s+/g, " ").replace(/\d+/g, "0").trim();
+    if (code.length >= 100) out.add(short(code));
+  }
+  return [...out].sort().slice(0, 50);
+}
+
+// favicon is the SHA-1 of /favicon.ico, added by the caller after the fetch
+export const pageFingerprint = (root, pageUrl = "", title = null) => ({
+  favicon: null,
+  dom: domFingerprint(root),
+  title: titleTemplate(title, pageUrl),
+  scripts: scriptFingerprints(root, pageUrl),
+});
+
+const jaccard = (a, b) => {
+  const set = new Set(a);
+  const both = b.filter((x) => set.has(x)).length;
+  return both / (set.size + b.length - both);
+};
+
+// Features two fingerprints have in common
+export function sharedFeatures(a = {}, b = {}) {
+  const shared = ["favicon", "dom", "title"].filter(
+    (f) => a[f] && a[f] === b[f]
+  );
+  if (
+    a.scripts?.length &&
+    b.scripts?.length &&
+    jaccard(a.scripts, b.scripts) >= 0.6
+  )
+    shared.push("scripts");
+  return shared;
+}
+
+const hasFeatures = (fp) =>
+  !!fp && (fp.favicon || fp.dom || fp.title || fp.scripts?.length);
+
+/* ---------- store ---------- */
+export function createFingerprintStore({
+  file,
+  maxPages = 5000,
+  minShared = 2,
+  ignoreDomains = [],
+  isBlocked = () => false,
+  flushMs = 1000,
+}) {
+  const ignored = (domain) => ignoreDomains.some((d) => hostMatches(domain, d));
+  let pages = [];
+  let clusters = [];
+  try {
+    const data = JSON.parse(fs.readFileSync(file, "utf8"));
+    pages = (data.pages || []).filter(
+      (p) => p?.id && p.fingerprint && !ignored(p.domain)
+    );
+    clusters = (data.clusters || []).filter((c) => c?.id);
+  } catch (e) {
+    if (e.code !== "ENOENT")
+      console.warn(`fingerprint store ignored: ${e.message}`);
+  }
+
+  // Writes are batched: a busy instance records a page on every link scan
+  let timer = null;
+  const flush = () => {
+    timer = null;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ clusters, pages }));
+      fs.renameSync(tmp, file);
+    } catch (e) {
+      console.warn(`fingerprint store flush failed: ${e.message}`);
+    }
+  };
+  const save = () => {
+    if (!timer) timer = setTimeout(flush, flushMs);
+    timer.unref?.();
+  };
+  process.once("exit", () => timer && flush());
+
+  const confirmedScam = (p, cluster) =>
+    p.listed ||
+    isBlocked(p.url) ||
+    (!!cluster?.confirmedAt && p.verdict === "likely scam");
+
+  // Pages on other domains sharing enough features, best first; on a tie,
+  // shared markup or code beats a shared favicon or title
+  const code = (m) => m.shared.filter((f) => f === "dom" || f === "scripts");
+  const related = (fp, domain) =>
+    pages
+      .filter((p) => p.domain !== domain)
+      .map((page) => ({ page, shared: sharedFeatures(fp, page.fingerprint) }))
+      .filter((m) => m.shared.length >= minShared)
+      .sort(
+        (a, b) =>
+          b.shared.length - a.shared.length || code(b).length - code(a).length
+      );
+
+  // Every page a new page would be grouped with: its direct hits and the
+  // rest of their clusters. The oldest of those clusters absorbs the others.
+  function groupOf(hits) {
+    const ids = [...new Set(hits.map((m) => m.page.clusterId).filter(Boolean))];
+    return {
+      ids,
+      members: pages.filter(
+        (p) =>
+          (p.clusterId && ids.includes(p.clusterId)) ||
+          hits.some((m) => m.page === p)
+      ),
+      target:
+        clusters
+          .filter((c) => ids.includes(c.id))
+          .sort((a, b) => a.createdAt.localeCompare(b.createdAt))[0] || null,
+    };
+  }
+
+  function summary(cluster) {
+    const members = pages.filter((p) => p.clusterId === cluster.id);
+    const domains = new Map();
+    for (const p of members) {
+      const d = domains.get(p.domain) || {
+        domain: p.domain,
+        pages: 0,
+        verdicts: {},
+        confirmedScam: false,
+        lastSeenAt: p.seenAt,
+      };
+      d.pages += 1;
+      d.confirmedScam ||= confirmedScam(p, cluster);
+      d.verdicts[p.verdict] = (d.verdicts[p.verdict] || 0) + 1;
+      if (p.seenAt > d.lastSeenAt) d.lastSeenAt = p.seenAt;
+      domains.set(p.domain, d);
+    }
+    const list = [...domains.values()];
+    return {
+      ...cluster,
+      domainCount: list.length,
+      scamDomains: list.filter((d) => d.confirmedScam).length,
+      pageCount: members.length,
+      domains: list.sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt)),
+    };
+  }
+
+  // What a link result shows: no member domains, which would reveal other
+  // people's scans
+  const brief = (cluster, shared) => {
+    const s = summary(cluster);
+    return {
+      id: s.id,
+      label: s.label,
+      shared,
+      domainCount: s.domainCount,
+      scamDomains: s.scamDomains,
+      firstSeenAt: s.createdAt,
+    };
+  };
+
+  return {
+    // The cluster a page would join, without recording it; id is null when
+    // recording it would start a new one. Counts include the page's domain.
+    match(fingerprint, { url } = {}) {
+      if (!hasFeatures(fingerprint)) return null;
+      const domain = registrableDomain(hostOf(url));
+      if (ignored(domain)) return null;
+      const hits = related(fingerprint, domain);
+      if (!hits.length) return null;
+      const { members, target } = groupOf(hits);
+      const scam = members.filter((p) => confirmedScam(p, target));
+      return {
+        id: target?.id ?? null,
+        label: target?.label ?? null,
+        shared: hits[0].shared,
+        domainCount: new Set([domain, ...members.map((p) => p.domain)]).size,
+        scamDomains: new Set(scam.map((p) => p.domain)).size,
+        firstSeenAt: target?.createdAt ?? null,
+      };
+    },
+    // Stores the page (replacing an earlier scan of the same URL) and returns
+    // its cluster, creating or merging clusters as needed. `listed` marks a
+    // verdict that came from the operator's block list.
+    record({ url, verdict, fingerprint, listed = false }) {
+      if (!hasFeatures(fingerprint)) return null;
+      const host = hostOf(url);
+      const domain = registrableDomain(host);
+      if (!domain || ignored(domain)) return null;
+      const now = new Date().toISOString();
+      pages = pages.filter((p) => p.url !== url);
+      const hits = related(fingerprint, domain);
+
+      let clusterId = null;
+      if (hits.length) {
+        const { ids, members, target: oldest } = groupOf(hits);
+        const target = oldest || {
+          id: crypto.randomUUID(),
+          label: null,
+          note: "",
+          confirmedAt: null,
+          createdAt: now,
+          updatedAt: now,
+        };
+        if (!oldest) clusters.push(target);
+        for (const p of members) p.clusterId = target.id;
+        clusters = clusters.filter((c) => c === target || !ids.includes(c.id));
+        target.updatedAt = now;
+        clusterId = target.id;
+      }
+
+      pages.push({
+        id: crypto.randomUUID(),
+        url,
+        host,
+        domain,
+        verdict,
+        listed,
+        fingerprint,
+        clusterId,
+        seenAt: now,
+      });
+      if (pages.length > maxPages) pages = pages.slice(-maxPages);
+      const live = new Set(pages.map((p) => p.clusterId));
+      clusters = clusters.filter((c) => live.has(c.id));
+      save();
+      const cluster = clusters.find((c) => c.id === clusterId);
+      return cluster ? brief(cluster, hits[0].shared) : null;
+    },
+    clusters: ({ minDomains = 2 } = {}) =>
+      clusters
+        .map(summary)
+        .filter((c) => c.domainCount >= minDomains)
+        .sort(
+          (a, b) =>
+            b.scamDomains - a.scamDomains || b.domainCount - a.domainCount
+        ),
+    get: (id) => {
+      const c = clusters.find((x) => x.id === id);
+      return c ? summary(c) : null;
+    },
+    update(id, { label, note, confirmed }) {
+      const c = clusters.find((x) => x.id === id);
+      if (!c) return null;
+      if (label !== undefined) c.label = label || null;
+      if (note !== undefined) c.note = note;
+      if (confirmed !== undefined)
+        c.confirmedAt = confirmed
+          ? c.confirmedAt || new Date().toISOString()
+          : null;
+      c.updatedAt = new Date().toISOString();
+      save();
+      return summary(c);
+    },
+  };
+}
+
+export const fingerprintStoreFromEnv = (
+  env = process.env,
+  { brands = [], isBlocked } = {}
+) =>
+  createFingerprintStore({
+    file: env.FINGERPRINTS_FILE || ".data/fingerprints.json",
+    maxPages: Number(env.FINGERPRINTS_MAX_PAGES) || 5000,
+    minShared: Number(env.FINGERPRINT_MIN_SHARED) || 2,
+    ignoreDomains: brands.flatMap((b) => b.domains),
+    isBlocked,
+  });
@@ -0,0 +1,471 @@
+/* -------------------- local image forensics -------------------- */
+// Error-level analysis, JPEG quantization / double-compression checks,
+// metadata consistency, C2PA/XMP provenance and a perceptual hash.
+// Every check reports into `signals` as { id, severity, title, evidence }.
+import exifr from "exifr";
+import {
+  dct2d,
+  decodeImage,
+  encodeJpeg,
+  fitRgba,
+  phash,
+  sniffImageType,
+  toGray,
+} from "./imaging.js";
+
+const ELA_QUALITY = 90;
+
+// IJG reference tables (natural order) and the JPEG zig-zag scan
+const STD_LUMA = [
+  16, 11, 10, 16, 24, 40, 51, 61, 12, 12, 14, 19, 26, 58, 60, 55, 14, 13, 16,
+  24, 40, 57, 69, 56, 14, 17, 22, 29, 51, 87, 80, 62, 18, 22, 37, 56, 68, 109,
+  103, 77, 24, 35, 55, 64, 81, 104, 113, 92, 49, 64, 78, 87, 103, 121, 120, 101,
+  72, 92, 95, 98, 112, 100, 103, 99,
+];
+const STD_CHROMA = [
+  17, 18, 24, 47, 99, 99, 99, 99, 18, 21, 26, 66, 99, 99, 99, 99, 24, 26, 56,
+  99, 99, 99, 99, 99, 47, 66, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99,
+  99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99, 99,
+  99, 99, 99, 99, 99, 99, 99,
+];
+const ZIGZAG = [
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5, 12, 19, 26, 33, 40,
+  48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28, 35, 42, 49, 56, 57, 50, 43, 36, 29,
+  22, 15, 23, 30, 37, 44, 51, 58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54,
+  47, 55, 62, 63,
+];
+
+const EDITOR_RE =
+  /photoshop|gimp|lightroom|snapseed|canva|picsart|pixelmator|affinity|paint\.net|facetune|meitu|fotor|luminar|capture one|befunky|pixlr/i;
+const GENERATOR_RE =
+  /midjourney|dall[\s·-]?e|stable[\s_-]?diffusion|firefly|imagen|openai|novelai|leonardo\.ai|ideogram|flux\.1|made with (google )?ai|ai[\s-]generated|trainedalgorithmicmedia|comfyui|automatic1111/i;
+
+const SEGMENT_NAMES = {
+  0xe0: "APP0",
+  0xe1: "APP1",
+  0xe2: "APP2",
+  0xeb: "APP11",
+  0xec: "APP12",
+  0xed: "APP13",
+  0xee: "APP14",
+  0xfe: "COM",
+  0xdb: "DQT",
+  0xc0: "SOF0",
+  0xc2: "SOF2",
+  0xc4: "DHT",
+  0xdd: "DRI",
+  0xda: "SOS",
+};
+
+// Walks JPEG markers up to start-of-scan
+export function parseJpegSegments(buf) {
+  const segments = [];
+  const quantTables = [];
+  const app11 = [];
+  let i = 2;
+  while (i + 4 <= buf.length && buf[i] === 0xff) {
+    const marker = buf[i + 1];
+    if (marker === 0xd8 || (marker >= 0xd0 && marker <= 0xd7)) {
+      i += 2;
+      continue;
+    }
+    const len = buf.readUInt16BE(i + 2);
+    const body = buf.subarray(i + 4, i + 2 + len);
+    const head = body.toString("latin1", 0, 32);
+    const label =
+      marker === 0xe0 && head.startsWith("JFIF")
+        ? "JFIF"
+        : marker === 0xe1 && head.startsWith("Exif")
+        ? "Exif"
+        : marker === 0xe1 && head.includes("ns.adobe.com/xap")
+        ? "XMP"
+        : marker === 0xed && head.startsWith("Photoshop")
+        ? "Photoshop IRB"
+        : marker === 0xee && head.startsWith("Adobe")
+        ? "Adobe"
+        : marker === 0xeb
+        ? "JUMBF"
+        : null;
+    segments.push({
+      marker: SEGMENT_NAMES[marker] || `0x${marker.toString(16)}`,
+      ...(label ? { label } : {}),
+      length: len,
+    });
+    if (marker === 0xeb) app11.push(body);
+    if (marker === 0xdb) {
+      let p = 0;
+      while (p < body.length) {
+        const precision = body[p] >> 4;
+        const id = body[p] & 0x0f;
+        p++;
+        const natural = new Array(64);
+        for (let k = 0; k < 64; k++) {
+          natural[ZIGZAG[k]] = precision
+            ? body.readUInt16BE(p + 2 * k)
+            : body[p + k];
+        }
+        p += precision ? 128 : 64;
+        quantTables.push({ id, values: natural });
+      }
+    }
+    if (marker === 0xda) break;
+    i += 2 + len;
+  }
+  return { segments, quantTables, app11: Buffer.concat(app11) };
+}
+
+const scaleTable = (std, q) => {
+  const s = q < 50 ? 5000 / q : 200 - 2 * q;
+  return std.map((v) =>
+    Math.min(255, Math.max(1, Math.floor((v * s + 50) / 100)))
+  );
+};
+
+// Best-matching IJG quality and how far the table is from that scaled reference
+export function estimateQuality(values, std = STD_LUMA) {
+  let best = { quality: null, error: Infinity };
+  for (let q = 1; q <= 100; q++) {
+    const ref = scaleTable(std, q);
+    const error = ref.reduce((a, v, i) => a + Math.abs(v - values[i]), 0) / 64;
+    if (error < best.error) best = { quality: q, error };
+  }
+  return {
+    quality: best.quality,
+    standard: best.error < 0.5,
+    deviation: +best.error.toFixed(2),
+  };
+}
+
+// Share of low-frequency DCT positions whose quantized-coefficient histogram
+// shows double-compression peaks (0..1)
+export function doubleCompressionScore(img, lumaTable) {
+  if (!lumaTable) return null;
+  const gray = toGray(img);
+  const { width: w, height: h } = img;
+  const positions = [1, 8, 16, 9, 2, 3, 10, 17, 24].filter(
+    (p) => lumaTable[p] > 1
+  );
+  if (!positions.length) return null;
+  const hist = positions.map(() => new Array(24).fill(0));
+  const bw = Math.floor(w / 8);
+  const bh = Math.floor(h / 8);
+  const step = Math.max(1, Math.floor((bw * bh) / 20000));
+  const block = new Float64Array(64);
+  for (let b = 0; b < bw * bh; b += step) {
+    const bx = (b % bw) * 8;
+    const by = Math.floor(b / bw) * 8;
+    for (let y = 0; y < 8; y++)
+      for (let x = 0; x < 8; x++)
+        block[y * 8 + x] = gray[(by + y) * w + bx + x] - 128;
+    const d = dct2d(block, 8);
+    positions.forEach((p, k) => {
+      const n = Math.abs(Math.round(d[p] / lumaTable[p]));
+      if (n < 24) hist[k][n]++;
+    });
+  }
+  // A singly-compressed histogram decays; re-quantizing leaves periodic peaks
+  // on the first quantizer's grid
+  const scores = hist
+    .filter((hgram) => hgram.reduce((a, b) => a + b, 0) >= 200)
+    .map((hgram) =>
+      hgram.some((v, n) => n >= 2 && v >= 50 && v > 2 * hgram[n - 1]) ? 1 : 0
+    );
+  if (!scores.length) return null;
+  return +(scores.reduce((a, b) => a + b, 0) / scores.length).toFixed(3);
+}
+
+export function errorLevelAnalysis(img, quality = ELA_QUALITY) {
+  const resaved = decodeImage(encodeJpeg(img, quality), "jpeg");
+  if (!resaved) return null;
+  const { width, height } = img;
+  const diff = new Uint8Array(width * height);
+  let sum = 0;
+  let max = 0;
+  for (let i = 0, p = 0; i < diff.length; i++, p += 4) {
+    const e = Math.max(
+      Math.abs(img.data[p] - resaved.data[p]),
+      Math.abs(img.data[p + 1] - resaved.data[p + 1]),
+      Math.abs(img.data[p + 2] - resaved.data[p + 2])
+    );
+    diff[i] = e;
+    sum += e;
+    if (e > max) max = e;
+  }
+
+  // Mean error per cell of an 8×8 grid; edits tend to stand out as hot cells
+  const cells = [];
+  for (let cy = 0; cy < 8; cy++)
+    for (let cx = 0; cx < 8; cx++) {
+      const x0 = Math.floor((cx * width) / 8);
+      const x1 = Math.floor(((cx + 1) * width) / 8);
+      const y0 = Math.floor((cy * height) / 8);
+      const y1 = Math.floor(((cy + 1) * height) / 8);
+      let s = 0;
+      let n = 0;
+      for (let y = y0; y < y1; y++)
+        for (let x = x0; x < x1; x++) {
+          s += diff[y * width + x];
+          n++;
+        }
+      cells.push(n ? s / n : 0);
+    }
+  const sorted = [...cells].sort((a, b) => a - b);
+  const median = sorted[32];
+  const hottest = sorted[63];
+
+  // Amplified map for the UI
+  const gain = 255 / Math.max(1, Math.min(max, 40));
+  const map = {
+    width,
+    height,
+    data: new Uint8Array(width * height * 4),
+  };
+  for (let i = 0; i < diff.length; i++) {
+    const v = Math.min(255, diff[i] * gain);
+    map.data.set([v, v, v, 255], i * 4);
+  }
+  const preview = encodeJpeg(fitRgba(map, 640), 80);
+
+  return {
+    quality,
+    meanError: +(sum / diff.length).toFixed(2),
+    maxError: max,
+    hotspotRatio: +(hottest / Math.max(median, 0.5)).toFixed(2),
+    imageDataUrl: `data:image/jpeg;base64,${Buffer.from(preview).toString(
+      "base64"
+    )}`,
+  };
+}
+
+const toDate = (v) => {
+  if (!v) return null;
+  const d = v instanceof Date ? v : new Date(v);
+  return isNaN(d) ? null : d;
+};
+
+function metadataChecks(meta, rawText, signals) {
+  const software = [
+    meta?.Software,
+    meta?.CreatorTool,
+    meta?.HistorySoftwareAgent,
+  ]
+    .flat()
+    .filter(Boolean)
+    .join(" | ");
+  const created = toDate(meta?.DateTimeOriginal || meta?.CreateDate);
+  const modified = toDate(meta?.ModifyDate);
+
+  if (!meta || !Object.keys(meta).length)
+    signals.push({
+      id: "metadata_stripped",
+      severity: "low",
+      title: "No camera metadata",
+      evidence:
+        "EXIF/XMP missing (common after social-media re-upload or editing)",
+    });
+  if (EDITOR_RE.test(software))
+    signals.push({
+      id: "edited_with_software",
+      severity: "medium",
+      title: "Saved by editing software",
+      evidence: software,
+    });
+  const generator = `${software} ${rawText}`.match(GENERATOR_RE)?.[0];
+  if (generator)
+    signals.push({
+      id: "ai_generator_tag",
+      severity: "high",
+      title: "Tagged as AI-generated",
+      evidence: generator,
+    });
+  if (created && modified) {
+    const delta = modified - created;
+    if (delta < -60_000)
+      signals.push({
+        id: "dates_inconsistent",
+        severity: "medium",
+        title: "Modified before it was created",
+        evidence: `CreateDate ${created.toISOString()} > ModifyDate ${modified.toISOString()}`,
+      });
+    else if (delta > 60_000)
+      signals.push({
+        id: "modified_after_capture",
+        severity: "low",
+        title: "Modified after capture",
+        evidence: `${Math.round(delta / 60_000)} min after CreateDate`,
+      });
+  }
+  const future = [created, modified].find(
+    (d) => d && d - Date.now() > 86_400_000
+  );
+  if (future)
+    signals.push({
+      id: "future_date",
+      severity: "medium",
+      title: "Timestamp in the future",
+      evidence: future.toISOString(),
+    });
+  if (meta?.Make && !meta?.Model)
+    signals.push({
+      id: "camera_fields_partial",
+      severity: "low",
+      title: "Camera make without model",
+      evidence: String(meta.Make),
+    });
+  return { software: software || null, created, modified };
+}
+
+// C2PA manifests live in JUMBF boxes (JPEG APP11, PNG caBX); scan them as text
+function readC2pa(buf, app11) {
+  const text = (app11?.length ? app11 : buf.subarray(0, 4_000_000)).toString(
+    "latin1"
+  );
+  if (!/c2pa/.test(text)) return { present: false };
+  const printable = (re) =>
+    text.match(re)?.[1]?.replace(/[^\x20-\x7e]/g, "") || null;
+  return {
+    present: true,
+    claimGenerator: printable(
+      /claim_generator[^\x20-\x7e]{1,3}([\x20-\x7e]{3,120})/
+    ),
+    actions: [...new Set(text.match(/c2pa\.[a-z_]+(?:\.[a-z_]+)?/g) || [])]
+      .filter(
+        (a) =>
+          !/^c2pa\.(assertions|claim|signature|hash|ingredient|thumbnail)/.test(
+            a
+          )
+      )
+      .slice(0, 10),
+    digitalSourceType:
+      text.match(/digitalsourcetype\/([A-Za-z]+)/)?.[1] || null,
+  };
+}
+
+export async function analyzeImageForensics(buf) {
+  const format = sniffImageType(buf);
+  const signals = [];
+  const out = { format, signals };
+
+  let meta = null;
+  try {
+    meta = await exifr.parse(buf, { xmp: true, iptc: true, mergeOutput: true });
+  } catch {}
+  const rawText = buf.subarray(0, 512_000).toString("latin1");
+  const dates = metadataChecks(meta, rawText, signals);
+  out.metadata = {
+    software: dates.software,
+    createDate: dates.created?.toISOString() || null,
+    modifyDate: dates.modified?.toISOString() || null,
+    make: meta?.Make || null,
+    model: meta?.Model || null,
+  };
+
+  const jpegInfo = format === "jpeg" ? parseJpegSegments(buf) : null;
+  out.provenance = {
+    c2pa: readC2pa(buf, jpegInfo?.app11),
+    xmp:
+      meta?.CreatorTool || meta?.DocumentID || meta?.History
+        ? {
+            creatorTool: meta.CreatorTool || null,
+            documentId: meta.DocumentID || null,
+            originalDocumentId: meta.OriginalDocumentID || null,
+            history: meta.History
+              ? JSON.stringify(meta.History).slice(0, 500)
+              : null,
+          }
+        : null,
+  };
+  const c2pa = out.provenance.c2pa;
+  if (c2pa.present)
+    signals.push({
+      id: /trainedAlgorithmicMedia/i.test(c2pa.digitalSourceType || "")
+        ? "c2pa_ai_generated"
+        : "c2pa_present",
+      severity: /trainedAlgorithmicMedia/i.test(c2pa.digitalSourceType || "")
+        ? "high"
+        : "low",
+      title: "Content Credentials (C2PA) manifest",
+      evidence: [c2pa.claimGenerator, c2pa.digitalSourceType, ...c2pa.actions]
+        .filter(Boolean)
+        .join(", "),
+    });
+
+  if (jpegInfo) {
+    const [luma, chroma] = [0, 1].map((id) =>
+      jpegInfo.quantTables.find((t) => t.id === id)
+    );
+    const lumaQ = luma ? estimateQuality(luma.values, STD_LUMA) : null;
+    const chromaQ = chroma ? estimateQuality(chroma.values, STD_CHROMA) : null;
+    out.jpeg = {
+      segments: jpegInfo.segments.filter((s) => s.marker !== "DHT"),
+      quantization: {
+        luma: lumaQ,
+        chroma: chromaQ,
+        tables: jpegInfo.quantTables.length,
+      },
+    };
+    if (jpegInfo.segments.some((s) => s.label === "Photoshop IRB"))
+      signals.push({
+        id: "photoshop_segment",
+        severity: "medium",
+        title: "Photoshop resource block present",
+        evidence: "APP13 Photoshop 3.0",
+      });
+    if (lumaQ && !lumaQ.standard)
+      signals.push({
+        id: "custom_quantization",
+        severity: "low",
+        title: "Non-standard quantization tables",
+        evidence: `closest IJG quality ${lumaQ.quality}, deviation ${lumaQ.deviation}`,
+      });
+    if (
+      lumaQ?.standard &&
+      chromaQ?.standard &&
+      Math.abs(lumaQ.quality - chromaQ.quality) > 10
+    )
+      signals.push({
+        id: "quantization_mismatch",
+        severity: "medium",
+        title: "Luma and chroma saved at different qualities",
+        evidence: `luma q${lumaQ.quality} vs chroma q${chromaQ.quality}`,
+      });
+  }
+
+  const img = decodeImage(buf, format);
+  if (!img) {
+    out.note = format
+      ? `Pixel analysis not available for ${format}`
+      : "Unrecognized image format";
+    return out;
+  }
+  out.width = img.width;
+  out.height = img.height;
+  out.phash = phash(img);
+
+  if (jpegInfo) {
+    const luma = jpegInfo.quantTables.find((t) => t.id === 0);
+    const score = doubleCompressionScore(img, luma?.values);
+    out.jpeg.doubleCompression = {
+      score,
+      suspected: score != null && score >= 0.3,
+    };
+    if (out.jpeg.doubleCompression.suspected)
+      signals.push({
+        id: "double_compression",
+        severity: "medium",
+        title: "Signs of double JPEG compression",
+        evidence: `DCT histogram periodicity ${score}`,
+      });
+  }
+
+  out.ela = errorLevelAnalysis(img);
+  if (out.ela && out.ela.hotspotRatio >= 3 && out.ela.maxError >= 15)
+    signals.push({
+      id: "ela_hotspot",
+      severity: "medium",
+      title: "Uneven error levels (possible local edit)",
+      evidence: `hottest region ${out.ela.hotspotRatio}× the median error`,
+    });
+
+  return out;
+}
@@ -0,0 +1,333 @@
+/* -------------------- HTML page analysis -------------------- */
+// Parses fetched HTML and reports structured findings:
+// { id, severity: "low" | "medium" | "high", title, evidence }
+import { parse } from "node-html-parser";
+import { brandMention } from "./brands.js";
+import { hostMatches, hostOf, registrableDomain } from "./domain.js";
+import { pageFingerprint } from "./fingerprint.js";
+import { detectInjection } from "./prompt.js";
+
+const clip = (s = "", n = 160) => {
+  const t = String(s).replace(/\s+/g, " ").trim();
+  return t.length > n ? t.slice(0, n - 1) + "…" : t;
+};
+
+// What an input is asking for, from its type/name/id/placeholder/autocomplete
+const INPUT_KINDS = [
+  {
+    kind: "seed_phrase",
+    re: /seed|mnemonic|recovery\s*phrase|secret\s*phrase|private\s*key|12.?word|24.?word/i,
+  },
+  {
+    kind: "card",
+    re: /cc-?(number|num|csc|exp)|card.?(number|no|num)|cardnumber|cvv|cvc|security.?code|expir/i,
+  },
+  {
+    kind: "otp",
+    re: /one-time-code|\botp\b|2fa|mfa|verification.?code|sms.?code|auth.?code|passcode|\bpin\b/i,
+  },
+];
+
+function describeInput(el) {
+  const type = (el.getAttribute("type") || "text").toLowerCase();
+  const hints = ["name", "id", "placeholder", "autocomplete", "aria-label"]
+    .map((a) => el.getAttribute(a) || "")
+    .join(" ");
+  if (type === "hidden" || type === "submit" || type === "button") return null;
+  for (const { kind, re } of INPUT_KINDS) if (re.test(hints)) return kind;
+  if (type === "password") return "password";
+  return null;
+}
+
+const FORM_FINDINGS = {
+  password: ["password_form", "medium", "Asks for a password"],
+  card: ["card_form", "high", "Asks for payment card details"],
+  otp: ["otp_form", "high", "Asks for a one-time / verification code"],
+  seed_phrase: [
+    "seed_phrase_form",
+    "high",
+    "Asks for a wallet seed phrase or private key",
+  ],
+};
+
+function analyzeForms(root, pageUrl, findings) {
+  const pageHost = hostOf(pageUrl);
+  const forms = [];
+  for (const form of root.querySelectorAll("form")) {
+    const rawAction = (form.getAttribute("action") || "").trim();
+    let action = pageUrl;
+    try {
+      action = rawAction ? new URL(rawAction, pageUrl).toString() : pageUrl;
+    } catch {}
+    const kinds = [
+      ...new Set(form.querySelectorAll("input, textarea").map(describeInput)),
+    ].filter(Boolean);
+    const info = {
+      action,
+      method: (form.getAttribute("method") || "get").toLowerCase(),
+      sensitiveInputs: kinds,
+    };
+    forms.push(info);
+
+    for (const kind of kinds) {
+      const [id, severity, title] = FORM_FINDINGS[kind];
+      findings.push({
+        id,
+        severity,
+        title,
+        evidence: `form → ${clip(action)}`,
+      });
+    }
+
+    const actionHost = hostOf(action);
+    if (/^(mailto|data|javascript):/i.test(action)) {
+      findings.push({
+        id: "unusual_form_action",
+        severity: kinds.length ? "high" : "medium",
+        title: "Form submits to a non-web target",
+        evidence: clip(action),
+      });
+    } else if (
+      actionHost &&
+      pageHost &&
+      registrableDomain(actionHost) !== registrableDomain(pageHost)
+    ) {
+      findings.push({
+        id: "cross_domain_form",
+        severity: kinds.length ? "high" : "medium",
+        title: "Form sends data to a different domain",
+        evidence: `${pageHost} → ${actionHost}`,
+      });
+    }
+    if (pageUrl.startsWith("https:") && action.startsWith("http:"))
+      findings.push({
+        id: "insecure_form_action",
+        severity: "medium",
+        title: "Form on an HTTPS page submits over plain HTTP",
+        evidence: clip(action),
+      });
+  }
+  return forms;
+}
+
+function analyzeIframes(root, findings) {
+  for (const f of root.querySelectorAll("iframe")) {
+    const style = (f.getAttribute("style") || "").replace(/\s+/g, "");
+    const w = f.getAttribute("width");
+    const h = f.getAttribute("height");
+    const hidden =
+      f.hasAttribute("hidden") ||
+      /display:none|visibility:hidden|opacity:0(?![.\d])/i.test(style) ||
+      ["0", "1", "0px", "1px"].includes(w) ||
+      ["0", "1", "0px", "1px"].includes(h);
+    if (hidden)
+      findings.push({
+        id: "hidden_iframe",
+        severity: "medium",
+        title: "Hidden iframe",
+        evidence: clip(f.getAttribute("src") || f.toString()),
+      });
+  }
+}
+
+const OBFUSCATION = [
+  [/\batob\s*\(/, "atob"],
+  [/\bunescape\s*\(/, "unescape"],
+  [/\beval\s*\(/, "eval"],
+  [/String\.fromCharCode\s*\(/, "fromCharCode"],
+  [/document\.write\s*\(/, "document.write"],
+  [/new\s+Function\s*\(/, "new Function"],
+  [/(\\x[0-9a-f]{2}){20,}/i, "hex escapes"],
+  [/["'][A-Za-z0-9+/=]{300,}["']/, "long base64 string"],
+];
+
+function analyzeScripts(root, findings) {
+  const inline = root
+    .querySelectorAll("script")
+    .filter((s) => !s.getAttribute("src"))
+    .map((s) => s.rawText)
+    .join("\n");
+  const handlers = root
+    .querySelectorAll("*")
+    .flatMap((el) =>
+      Object.entries(el.attributes)
+        .filter(([k]) => /^on/i.test(k))
+        .map(([, v]) => v)
+    )
+    .join("\n");
+  const code = `${inline}\n${handlers}`;
+
+  const hits = OBFUSCATION.filter(([re]) => re.test(code)).map(([, n]) => n);
+  if (hits.length)
+    findings.push({
+      id: "obfuscated_script",
+      severity:
+        hits.length >= 2 || hits.includes("long base64 string")
+          ? "high"
+          : "medium",
+      title: "Obfuscated or self-decoding script",
+      evidence: hits.join(" + "),
+    });
+
+  const traps = [];
+  if (
+    /oncontextmenu\s*=\s*["']?\s*return\s+false/i.test(root.toString()) ||
+    /contextmenu['"]\s*,[\s\S]{0,80}preventDefault/i.test(code)
+  )
+    traps.push("right-click disabled");
+  if (/keyCode\s*===?\s*123|key\s*===?\s*["']F12["']/i.test(code))
+    traps.push("F12 blocked");
+  if (
+    /ctrlKey[\s\S]{0,60}shiftKey[\s\S]{0,60}(73|74|["']I["']|["']J["'])/i.test(
+      code
+    )
+  )
+    traps.push("Ctrl+Shift+I/J blocked");
+  if (/setInterval\s*\([\s\S]{0,60}debugger/i.test(code))
+    traps.push("debugger loop");
+  if (traps.length)
+    findings.push({
+      id: "devtools_trap",
+      severity: "medium",
+      title: "Blocks right-click or developer tools",
+      evidence: traps.join(", "),
+    });
+}
+
+// Only pages that also ask for a password, card, code or seed phrase: brand
+// names in the title or logos of reviews, resellers and news are routine
+function analyzeBranding(root, pageUrl, brands, forms, findings) {
+  const host = hostOf(pageUrl);
+  if (!host || !forms.some((f) => f.sensitiveInputs.length)) return;
+  const title = root.querySelector("title")?.text || "";
+  const logos = root
+    .querySelectorAll("img, link")
+    .map((el) =>
+      ["alt", "src", "href", "class", "id", "rel"]
+        .map((a) => el.getAttribute(a) || "")
+        .join(" ")
+    )
+    .filter((s) => /logo|icon/i.test(s));
+  const haystacks = [
+    ["title", title],
+    ["logo", logos.join(" ")],
+  ];
+  for (const brand of brands) {
+    if (brand.domains.some((d) => hostMatches(host, d))) continue;
+    for (const [where, text] of haystacks) {
+      const kw = brandMention(text, brand);
+      if (!kw) continue;
+      findings.push({
+        id: "brand_mismatch",
+        severity: "high",
+        title: `Page presents itself as ${brand.name} on a non-${brand.name} host`,
+        evidence: `${where}: ${clip(where === "title" ? title : kw)} @ ${host}`,
+        brand: brand.name,
+      });
+      break;
+    }
+  }
+}
+
+function analyzeText(text, html, findings) {
+  if (
+    /seed\s*phrase|recovery\s*phrase|connect\s+(your\s+)?wallet|crypto\s*wallet/i.test(
+      text
+    )
+  )
+    findings.push({
+      id: "crypto_bait",
+      severity: "medium",
+      title: "Crypto wallet bait",
+      evidence: clip(text.match(/.{0,40}(seed|recovery|wallet).{0,40}/i)?.[0]),
+    });
+  if (
+    /giveaway|free\s+(gift|iphone|bitcoin|crypto)|you('| ha)ve\s+won/i.test(
+      text
+    )
+  )
+    findings.push({
+      id: "giveaway_bait",
+      severity: "medium",
+      title: "Giveaway / prize bait",
+      evidence: clip(text.match(/.{0,40}(giveaway|free|won).{0,40}/i)?.[0]),
+    });
+  if (/filter\s*:\s*blur\(/i.test(html))
+    findings.push({
+      id: "css_blur",
+      severity: "low",
+      title: "Content blurred behind an overlay",
+      evidence: "CSS blur() filter",
+    });
+}
+
+const HIDDEN_STYLE =
+  /display\s*:\s*none|visibility\s*:\s*hidden|font-size\s*:\s*[01](px)?(?![.\d])|opacity\s*:\s*0(?![.\d])|(left|top|text-indent)\s*:\s*-\d{3,}px/i;
+const isHidden = (el) =>
+  el.hasAttribute("hidden") ||
+  el.getAttribute("aria-hidden") === "true" ||
+  HIDDEN_STYLE.test(el.getAttribute("style") || "");
+
+// Keep unclosed or unknown tags (e.g. "<END x>") instead of dropping their
+// parent, which would otherwise let hidden text leak into visibleText
+const PARSE_OPTIONS = { comment: false, parseNoneClosedTags: true };
+
+// What a visitor actually sees: no scripts, styles or hidden elements
+export function visibleText(root) {
+  const copy = parse(root.toString(), PARSE_OPTIONS);
+  copy
+    .querySelectorAll("script, style, noscript, template, svg")
+    .forEach((n) => n.remove());
+  copy
+    .querySelectorAll("*")
+    .filter(isHidden)
+    .forEach((n) => n.remove());
+  return copy.structuredText.replace(/\s+/g, " ").trim();
+}
+
+const SKIP_TEXT = new Set(["script", "style", "noscript", "template", "svg"]);
+
+// Text in hidden or off-screen elements: only a crawler or a model reads it
+function concealedText(root) {
+  return root
+    .querySelectorAll("*")
+    .filter((el) => !SKIP_TEXT.has(el.rawTagName?.toLowerCase()))
+    .filter(isHidden)
+    .map((el) => el.structuredText)
+    .join("\n")
+    .slice(0, 200_000);
+}
+
+// Instructions aimed at AI reviewers, planted where visitors can't see them.
+// Scripts, JSON data and visible copy are left alone.
+function analyzeInjection(root, findings) {
+  findings.push(...detectInjection(concealedText(root)));
+}
+
+export function analyzeHtml(html = "", pageUrl = "", { brands = [] } = {}) {
+  if (!html)
+    return {
+      title: null,
+      text: "",
+      forms: [],
+      findings: [],
+      fingerprint: null,
+    };
+  const root = parse(html, PARSE_OPTIONS);
+  const text = visibleText(root);
+  const findings = [];
+  const forms = analyzeForms(root, pageUrl, findings);
+  analyzeIframes(root, findings);
+  analyzeScripts(root, findings);
+  analyzeBranding(root, pageUrl, brands, forms, findings);
+  analyzeText(text, html, findings);
+  analyzeInjection(root, findings);
+  const title = root.querySelector("title")?.text || "";
+  return {
+    title: clip(title) || null,
+    text: text.slice(0, 5000),
+    forms,
+    findings,
+    fingerprint: pageFingerprint(root, pageUrl, title),
+  };
+}
@@ -0,0 +1,158 @@
+/* -------------------- pixel-level image helpers -------------------- */
+import jpeg from "jpeg-js";
+import { PNG } from "pngjs";
+
+const MAX_MP = Number(process.env.FORENSICS_MAX_MP) || 16;
+
+export function sniffImageType(buf) {
+  if (!buf || buf.length < 12) return null;
+  if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return "jpeg";
+  if (buf.readUInt32BE(0) === 0x89504e47) return "png";
+  if (buf.toString("ascii", 0, 3) === "GIF") return "gif";
+  if (
+    buf.toString("ascii", 0, 4) === "RIFF" &&
+    buf.toString("ascii", 8, 12) === "WEBP"
+  )
+    return "webp";
+  if (buf.toString("ascii", 0, 2) === "BM") return "bmp";
+  if (["II*\0", "MM\0*"].includes(buf.toString("binary", 0, 4))) return "tiff";
+  if (buf.toString("ascii", 4, 12).match(/^ftyp(heic|heix|mif1|avif)/))
+    return "heif";
+  return null;
+}
+
+// -> { width, height, data: RGBA bytes } or null for formats we can't decode
+export function decodeImage(buf, type = sniffImageType(buf)) {
+  try {
+    if (type === "jpeg")
+      return jpeg.decode(buf, {
+        useTArray: true,
+        formatAsRGBA: true,
+        maxResolutionInMP: MAX_MP,
+        maxMemoryUsageInMB: 1024,
+      });
+    if (type === "png") {
+      const png = PNG.sync.read(buf);
+      return { width: png.width, height: png.height, data: png.data };
+    }
+  } catch {}
+  return null;
+}
+
+export const encodeJpeg = ({ width, height, data }, quality) =>
+  jpeg.encode(
+    {
+      width,
+      height,
+      data: Buffer.from(data.buffer, data.byteOffset, data.byteLength),
+    },
+    quality
+  ).data;
+
+export function toGray({ width, height, data }) {
+  const out = new Float32Array(width * height);
+  for (let i = 0, p = 0; i < out.length; i++, p += 4)
+    out[i] = 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+  return out;
+}
+
+// Box-filter downscale of a grayscale plane
+export function resizeGray(gray, w, h, tw, th) {
+  const out = new Float32Array(tw * th);
+  for (let y = 0; y < th; y++) {
+    const y0 = Math.floor((y * h) / th);
+    const y1 = Math.max(y0 + 1, Math.floor(((y + 1) * h) / th));
+    for (let x = 0; x < tw; x++) {
+      const x0 = Math.floor((x * w) / tw);
+      const x1 = Math.max(x0 + 1, Math.floor(((x + 1) * w) / tw));
+      let sum = 0;
+      for (let yy = y0; yy < y1; yy++)
+        for (let xx = x0; xx < x1; xx++) sum += gray[yy * w + xx];
+      out[y * tw + x] = sum / ((y1 - y0) * (x1 - x0));
+    }
+  }
+  return out;
+}
+
+const cosTables = new Map();
+function cosTable(n) {
+  if (!cosTables.has(n)) {
+    const t = new Float64Array(n * n);
+    for (let k = 0; k < n; k++)
+      for (let i = 0; i < n; i++)
+        t[k * n + i] =
+          Math.cos(((2 * i + 1) * k * Math.PI) / (2 * n)) *
+          (k === 0 ? Math.sqrt(1 / n) : Math.sqrt(2 / n));
+    cosTables.set(n, t);
+  }
+  return cosTables.get(n);
+}
+
+// Separable orthonormal 2-D DCT-II of an n×n block (row-major)
+export function dct2d(block, n) {
+  const c = cosTable(n);
+  const tmp = new Float64Array(n * n);
+  const out = new Float64Array(n * n);
+  for (let y = 0; y < n; y++)
+    for (let k = 0; k < n; k++) {
+      let s = 0;
+      for (let x = 0; x < n; x++) s += c[k * n + x] * block[y * n + x];
+      tmp[y * n + k] = s;
+    }
+  for (let x = 0; x < n; x++)
+    for (let k = 0; k < n; k++) {
+      let s = 0;
+      for (let y = 0; y < n; y++) s += c[k * n + y] * tmp[y * n + x];
+      out[k * n + x] = s;
+    }
+  return out;
+}
+
+// 64-bit DCT perceptual hash as 16 hex chars
+export function phash(img) {
+  const small = resizeGray(toGray(img), img.width, img.height, 32, 32);
+  const d = dct2d(small, 32);
+  const coeffs = [];
+  for (let y = 0; y < 8; y++)
+    for (let x = 0; x < 8; x++) if (x || y) coeffs.push(d[y * 32 + x]);
+  const median = [...coeffs].sort((a, b) => a - b)[coeffs.length >> 1];
+  let bits = "";
+  for (let y = 0; y < 8; y++)
+    for (let x = 0; x < 8; x++)
+      bits += (x || y ? d[y * 32 + x] : median) > median ? "1" : "0";
+  return BigInt("0b" + bits)
+    .toString(16)
+    .padStart(16, "0");
+}
+
+export function hammingHex(a, b) {
+  let x = BigInt("0x" + a) ^ BigInt("0x" + b);
+  let n = 0;
+  while (x) {
+    n += Number(x & 1n);
+    x >>= 1n;
+  }
+  return n;
+}
+
+// Nearest-neighbour downscale of RGBA so the longest side is at most max
+export function fitRgba(img, max) {
+  const scale = Math.min(1, max / Math.max(img.width, img.height));
+  if (scale === 1) return img;
+  const width = Math.max(1, Math.round(img.width * scale));
+  const height = Math.max(1, Math.round(img.height * scale));
+  const data = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const sy = Math.min(img.height - 1, Math.floor(y / scale));
+    for (let x = 0; x < width; x++) {
+      const sx = Math.min(img.width - 1, Math.floor(x / scale));
+      const s = (sy * img.width + sx) * 4;
+      const d = (y * width + x) * 4;
+      data[d] = img.data[s];
+      data[d + 1] = img.data[s + 1];
+      data[d + 2] = img.data[s + 2];
+      data[d + 3] = 255;
+    }
+  }
+  return { width, height, data };
+}
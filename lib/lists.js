@@ -0,0 +1,153 @@
+/* -------------------- operator allow/block lists -------------------- */
+// Entries decide a link's verdict outright, before any analysis:
+//   { id, list: "allow"|"block", kind: "domain"|"url"|"favicon", value, note,
+//     source: "operator"|"community", communityReports, addedAt }
+// domain matches the host and its subdomains, url is a pattern with *
+// wildcards, favicon is the SHA-1 inspectPage computes for /favicon.ico.
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { hostMatches, hostOf } from "./domain.js";
+
+export const LISTS = ["allow", "block"];
+export const LIST_KINDS = ["domain", "url", "favicon"];
+
+// Canonical value for an entry, or null when it isn't valid for its kind
+export function normalizeListValue(kind, value = "") {
+  const v = String(value).trim();
+  if (kind === "domain") {
+    const host = /^[a-z][\w+.-]*:\/\//i.test(v)
+      ? hostOf(v)
+      : v
+          .toLowerCase()
+          .replace(/^\*?\./, "")
+          .split(/[/:?#]/)[0];
+    return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(host) ? host : null;
+  }
+  if (kind === "url") return v.length >= 4 && v.length <= 2000 ? v : null;
+  if (kind === "favicon")
+    return /^[0-9a-f]{40}$/i.test(v) ? v.toLowerCase() : null;
+  return null;
+}
+
+// "bit.ly/abc*" matches http(s)://bit.ly/abc…; patterns with a scheme are exact
+function patternRegex(pattern) {
+  const body = pattern
+    .replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, ".*");
+  return new RegExp(
+    /^[a-z][\w+.-]*:\/\//i.test(pattern)
+      ? `^${body}$`
+      : `^[a-z][\\w+.-]*://${body}$`,
+    "i"
+  );
+}
+
+export function createListStore({ file }) {
+  let entries = [];
+  try {
+    entries = JSON.parse(fs.readFileSync(file, "utf8")).filter(
+      (e) => LISTS.includes(e?.list) && LIST_KINDS.includes(e?.kind)
+    );
+  } catch (e) {
+    if (e.code !== "ENOENT") console.warn(`list file ignored: ${e.message}`);
+  }
+  const regexes = new Map();
+  const regexOf = (pattern) => {
+    if (!regexes.has(pattern)) regexes.set(pattern, patternRegex(pattern));
+    return regexes.get(pattern);
+  };
+
+  const save = () => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(entries, null, 2));
+    fs.renameSync(tmp, file);
+  };
+
+  // The most specific (longest) entry wins, so an allowed subdomain can sit
+  // under a blocked domain; on a tie, block beats allow
+  const pick = (hits) =>
+    hits.sort(
+      (a, b) =>
+        b.value.length - a.value.length ||
+        (b.list === "block") - (a.list === "block")
+    )[0] || null;
+
+  function matchUrl(url) {
+    const clean = String(url || "").split("#")[0];
+    const host = hostOf(clean);
+    if (!host) return null;
+    return (
+      pick(
+        entries.filter((e) => e.kind === "url" && regexOf(e.value).test(clean))
+      ) ||
+      pick(
+        entries.filter((e) => e.kind === "domain" && hostMatches(host, e.value))
+      )
+    );
+  }
+
+  return {
+    list: ({ list, kind } = {}) =>
+      entries.filter(
+        (e) => (!list || e.list === list) && (!kind || e.kind === kind)
+      ),
+    add({
+      list,
+      kind,
+      value,
+      note = "",
+      source = "operator",
+      communityReports = [],
+    }) {
+      const v = normalizeListValue(kind, value);
+      if (!v) return { error: `Invalid ${kind} value` };
+      // A lookalike site can serve the real favicon, so it never proves safety
+      if (list === "allow" && kind === "favicon")
+        return { error: "Favicon hashes can only be blocklisted" };
+      const existing = entries.find(
+        (e) => e.list === list && e.kind === kind && e.value === v
+      );
+      if (existing) return { entry: existing, existed: true };
+      const entry = {
+        id: crypto.randomUUID(),
+        list,
+        kind,
+        value: v,
+        note,
+        source,
+        communityReports,
+        addedAt: new Date().toISOString(),
+      };
+      entries.push(entry);
+      save();
+      return { entry };
+    },
+    remove(id) {
+      const before = entries.length;
+      entries = entries.filter((e) => e.id !== id);
+      if (entries.length === before) return false;
+      save();
+      return true;
+    },
+    // { entry, on: "url" | "final_url" | "favicon" } for the first hit, checked
+    // in that order (URL and domain entries before favicon ones)
+    match({ url, finalUrl, faviconHash } = {}) {
+      const byUrl = matchUrl(url);
+      if (byUrl) return { entry: byUrl, on: "url" };
+      const byFinal = finalUrl && finalUrl !== url ? matchUrl(finalUrl) : null;
+      if (byFinal) return { entry: byFinal, on: "final_url" };
+      const fav = faviconHash && String(faviconHash).toLowerCase();
+      const byFavicon = fav
+        ? entries.find(
+            (e) => e.kind === "favicon" && e.list === "block" && e.value === fav
+          )
+        : null;
+      return byFavicon ? { entry: byFavicon, on: "favicon" } : null;
+    },
+  };
+}
+
+export const listStoreFromEnv = (env = process.env) =>
+  createListStore({ file: env.LISTS_FILE || ".data/lists.json" });
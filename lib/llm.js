@@ -0,0 +1,508 @@
+/* -------------------- LLM providers + fallback chain -------------------- */
+// Providers share one shape:
+//   { name, model, timeout, retries, cost, generate({ text, images, signal })
+//     -> { text, usage: { inputTokens, outputTokens } } }
+// and throw an Error with `retryable` set for overloads / network failures.
+// Pick and order them with LLM_PROVIDERS=gemini,openai,local,mock.
+import fetch from "node-fetch";
+import { schemaIssues } from "./verdict.js";
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function httpError(provider, status, body) {
+  let msg = body;
+  try {
+    const data = JSON.parse(body);
+    msg = data?.error?.message || data?.error || body;
+  } catch {}
+  const e = new Error(`${provider} error ${status}: ${msg || "unknown"}`);
+  e.status = status;
+  e.retryable = status === 429 || status >= 500;
+  return e;
+}
+
+async function postJSON(provider, url, body, { headers = {}, signal }) {
+  let resp;
+  try {
+    resp = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+      signal,
+    });
+  } catch (e) {
+    // Only the error code: node-fetch's message repeats the full request URL
+    const err = new Error(
+      e.name === "AbortError"
+        ? `${provider} timed out`
+        : `${provider} unreachable (${e.code || e.type || "network error"})`
+    );
+    err.retryable = true;
+    err.timeout = e.name === "AbortError";
+    throw err;
+  }
+  const text = await resp.text();
+  if (!resp.ok) throw httpError(provider, resp.status, text);
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new Error(`${provider} returned non-JSON body`);
+  }
+}
+
+const dataUrlParts = (u) => ({
+  mimeType: (u.match(/^data:(.*?);base64,/) || [])[1] || "image/jpeg",
+  data: u.split(",")[1] || "",
+});
+
+// USD per million tokens, "input,output"
+export const parseCost = (v, fallback = { input: 0, output: 0 }) => {
+  const [input, output] = String(v || "")
+    .split(",")
+    .map(Number);
+  return Number.isFinite(input) && v
+    ? { input, output: Number.isFinite(output) ? output : input }
+    : fallback;
+};
+
+/* ---------- Gemini ---------- */
+export function geminiProvider({
+  apiKey,
+  model = "gemini-1.5-flash",
+  baseUrl = "https://generativelanguage.googleapis.com/v1beta",
+  timeout = 30_000,
+  retries = 2,
+  cost = { input: 0.075, output: 0.3 },
+}) {
+  return {
+    name: "gemini",
+    model,
+    timeout,
+    retries,
+    cost,
+    disabled: !apiKey || apiKey === "MOCK",
+    async generate({ text, images = [], signal }) {
+      const parts = [
+        { text },
+        ...images.map((u) => ({ inlineData: dataUrlParts(u) })),
+      ];
+      const data = await postJSON(
+        "Gemini",
+        `${baseUrl}/models/${model}:generateContent`,
+        { contents: [{ parts }] },
+        { signal, headers: { "x-goog-api-key": apiKey } }
+      );
+      return {
+        text: data.candidates?.[0]?.content?.parts?.[0]?.text || "",
+        usage: {
+          inputTokens: data.usageMetadata?.promptTokenCount || 0,
+          outputTokens: data.usageMetadata?.candidatesTokenCount || 0,
+        },
+      };
+    },
+  };
+}
+
+/* ---------- OpenAI-compatible (OpenAI, llama.cpp server, vLLM, ...) ---------- */
+export function openaiProvider({
+  name = "openai",
+  apiKey,
+  baseUrl = "https://api.openai.com/v1",
+  model = "gpt-4o-mini",
+  timeout = 30_000,
+  retries = 2,
+  cost = { input: 0.15, output: 0.6 },
+  requireKey = true,
+}) {
+  return {
+    name,
+    model,
+    timeout,
+    retries,
+    cost,
+    disabled: requireKey && !apiKey,
+    async generate({ text, images = [], signal }) {
+      const content = images.length
+        ? [
+            { type: "text", text },
+            ...images.map((url) => ({ type: "image_url", image_url: { url } })),
+          ]
+        : text;
+      const data = await postJSON(
+        name,
+        `${baseUrl.replace(/\/+$/, "")}/chat/completions`,
+        { model, messages: [{ role: "user", content }], temperature: 0 },
+        {
+          signal,
+          headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        }
+      );
+      return {
+        text: data.choices?.[0]?.message?.content || "",
+        usage: {
+          inputTokens: data.usage?.prompt_tokens || 0,
+          outputTokens: data.usage?.completion_tokens || 0,
+        },
+      };
+    },
+  };
+}
+
+/* ---------- local (Ollama native API, or llama.cpp via its OpenAI API) ---------- */
+export function localProvider({
+  baseUrl = "http://127.0.0.1:11434",
+  model = "llama3.2",
+  api = "ollama",
+  timeout = 120_000,
+  retries = 1,
+  cost = { input: 0, output: 0 },
+}) {
+  if (api === "openai")
+    return openaiProvider({
+      name: "local",
+      baseUrl,
+      model,
+      timeout,
+      retries,
+      cost,
+      requireKey: false,
+    });
+  return {
+    name: "local",
+    model,
+    timeout,
+    retries,
+    cost,
+    disabled: false,
+    async generate({ text, images = [], signal }) {
+      const data = await postJSON(
+        "local",
+        `${baseUrl.replace(/\/+$/, "")}/api/generate`,
+        {
+          model,
+          prompt: text,
+          images: images.map((u) => dataUrlParts(u).data),
+          format: "json",
+          stream: false,
+        },
+        { signal }
+      );
+      return {
+        text: data.response || "",
+        usage: {
+          inputTokens: data.prompt_eval_count || 0,
+          outputTokens: data.eval_count || 0,
+        },
+      };
+    },
+  };
+}
+
+/* ---------- mock (canned answers keyed on the prompt) ---------- */
+export function mockFromPrompt(prompt) {
+  const p = (prompt || "").toLowerCase();
+  if (p.includes("verify this claim") || p.includes("headline")) {
+    return {
+      verdict: "unverified",
+      checks: [
+        {
+          step: "Find primary source",
+          why: "Confirm original speaker/publication",
+        },
+        {
+          step: "Check date/location",
+          why: "Spot recycled or out-of-context claims",
+        },
+      ],
+      what_to_collect: ["source URL", "publication date", "speaker identity"],
+      advice: "Cross-check with at least two reputable outlets.",
+    };
+  }
+  if (p.includes("manipulative")) {
+    return {
+      summary:
+        "Message uses pressure and verification tactics common in phishing.",
+      phrases: [
+        {
+          phrase: "account is suspended",
+          tactic: "fear",
+          why: "Threatens loss of access to rush you into acting.",
+        },
+        {
+          phrase: "verify your identity",
+          tactic: "authority",
+          why: "Mimics a routine security step to harvest credentials.",
+        },
+      ],
+      advice:
+        "Open the service directly instead of using links in the message.",
+    };
+  }
+  if (p.includes("video frames")) {
+    return {
+      risk: "suspicious",
+      signals: ["No provenance for the footage", "Possible re-upload"],
+      advice: "Find the original uploader before trusting or sharing.",
+    };
+  }
+  if (p.includes("video url")) {
+    return {
+      risk: "suspicious",
+      signals: ["Clickbait title pattern", "Unknown channel"],
+      advice: "Verify channel history and corroborating sources.",
+    };
+  }
+  if (p.includes("image")) {
+    return {
+      verdict: "uncertain",
+      indicators: ["No EXIF metadata", "Slight edge artifacts"],
+      advice: "Seek original upload; reverse image search.",
+    };
+  }
+  return {
+    risk: "suspicious",
+    signals: ["Obscure domain TLD"],
+    advice: "Avoid entering credentials or payment details.",
+  };
+}
+
+export const mockProvider = () => ({
+  name: "mock",
+  model: "mock",
+  timeout: 1000,
+  retries: 0,
+  cost: { input: 0, output: 0 },
+  disabled: false,
+  async generate({ text, images = [] }) {
+    // Key on the instructions only, never on the data blocks after them
+    const instructions = text.split("<<<BEGIN")[0];
+    const prompt = images.length ? `image ${instructions}` : instructions;
+    return {
+      text: JSON.stringify(mockFromPrompt(prompt)),
+      usage: { inputTokens: 0, outputTokens: 0 },
+    };
+  },
+});
+
+/* ---------- chain ---------- */
+const parseJSONReply = (text) => {
+  const m = (text || "").match(/\{[\s\S]*\}/);
+  if (!m) return null;
+  try {
+    return JSON.parse(m[0]);
+  } catch {
+    return null;
+  }
+};
+
+// Tries each provider in order (with its own timeout + retries) and keeps
+// per-provider call, token and cost totals.
+export function createLlm(providers, { backoffMs = 1000 } = {}) {
+  const active = providers.filter((p) => !p.disabled);
+  const totals = Object.fromEntries(
+    providers.map((p) => [
+      p.name,
+      {
+        model: p.model,
+        disabled: Boolean(p.disabled),
+        calls: 0,
+        failures: 0,
+        repairs: 0,
+        inputTokens: 0,
+        outputTokens: 0,
+        costUsd: 0,
+      },
+    ])
+  );
+
+  async function attempt(p, req) {
+    const ctrl = new AbortController();
+    const timer = setTimeout(() => ctrl.abort(), p.timeout);
+    try {
+      return await p.generate({ ...req, signal: ctrl.signal });
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // onAttempt({ provider, attempt, after?, repair? }) runs before every call;
+  // `after` is the HTTP status, "timeout" or "network error" being retried
+  async function callProvider(p, req, onAttempt, repair = false) {
+    const t = totals[p.name];
+    let after;
+    for (let i = 0; ; i++) {
+      t.calls++;
+      onAttempt?.({
+        provider: p.name,
+        attempt: i + 1,
+        ...(after ? { after } : {}),
+        ...(repair ? { repair } : {}),
+      });
+      try {
+        const { text, usage } = await attempt(p, req);
+        t.inputTokens += usage.inputTokens;
+        t.outputTokens += usage.outputTokens;
+        t.costUsd +=
+          (usage.inputTokens * p.cost.input +
+            usage.outputTokens * p.cost.output) /
+          1e6;
+        const json = parseJSONReply(text);
+        if (json) return { json };
+        t.failures++;
+        return { error: `Bad/empty JSON from ${p.name}`, raw: text };
+      } catch (e) {
+        t.failures++;
+        if (e.retryable && i < p.retries) {
+          after = e.status ?? (e.timeout ? "timeout" : "network error");
+          await sleep((i + 1) * backoffMs);
+          continue;
+        }
+        return { error: e.message };
+      }
+    }
+  }
+
+  // One repair round-trip when the reply isn't JSON or fails the schema
+  async function validated(p, req, expect, onAttempt) {
+    const r = await callProvider(p, req, onAttempt);
+    if (!expect || (r.error && r.raw === undefined)) return r;
+    const first = r.json ? expect.schema.safeParse(r.json) : null;
+    if (first?.success) return { json: first.data };
+
+    const t = totals[p.name];
+    t.repairs++;
+    const problem = first
+      ? schemaIssues(first.error)
+      : "the reply was not a JSON object";
+    const fixed = await callProvider(
+      p,
+      {
+        ...req,
+        text: `${req.text}
+
+Your previous reply could not be used (${problem}).
+Previous reply: ${(r.json ? JSON.stringify(r.json) : r.raw).slice(0, 2000)}
+Reply again with only a JSON object of exactly this shape: ${expect.shape}`,
+      },
+      onAttempt,
+      true
+    );
+    if (!fixed.json) return fixed;
+    const second = expect.schema.safeParse(fixed.json);
+    if (second.success) return { json: second.data, repaired: true };
+    t.failures++;
+    return {
+      error: `${p.name} reply failed validation: ${schemaIssues(second.error)}`,
+      raw: JSON.stringify(fixed.json),
+    };
+  }
+
+  return {
+    providers: active.map((p) => p.name),
+    // -> parsed JSON with `_provider` (and `_mock` / `_fallback` /
+    // `_repaired`), or `{ _error }`. With `expect: { schema, shape }` the
+    // reply is validated (and normalized) by the zod schema.
+    async json({ text, images = [], expect, onAttempt }) {
+      const failed = [];
+      let last = { error: "No LLM provider configured" };
+      for (const p of active) {
+        last = await validated(p, { text, images }, expect, onAttempt);
+        if (last.json)
+          return {
+            ...last.json,
+            _provider: p.name,
+            ...(p.name === "mock" ? { _mock: true } : {}),
+            ...(last.repaired ? { _repaired: true } : {}),
+            ...(failed.length ? { _fallback: failed } : {}),
+          };
+        failed.push({ provider: p.name, error: last.error });
+      }
+      return {
+        _error: last.error,
+        ...(last.raw !== undefined ? { raw: last.raw } : {}),
+        ...(failed.length > 1 ? { _fallback: failed } : {}),
+      };
+    },
+    stats: () => {
+      const round = (n) => +n.toFixed(6);
+      const list = Object.entries(totals).map(([name, t]) => ({
+        name,
+        ...t,
+        costUsd: round(t.costUsd),
+      }));
+      return {
+        chain: active.map((p) => p.name),
+        providers: list,
+        totalCostUsd: round(list.reduce((s, t) => s + t.costUsd, 0)),
+      };
+    },
+  };
+}
+
+const num = (v, fallback) =>
+  Number(v) >= 0 && v !== "" && v != null ? Number(v) : fallback;
+
+function tuned(env, name, defaults) {
+  const key = name.toUpperCase();
+  return {
+    timeout: num(env[`LLM_TIMEOUT_${key}`], defaults.timeout),
+    retries: num(env[`LLM_RETRIES_${key}`], defaults.retries),
+    cost: parseCost(env[`LLM_COST_${key}`], defaults.cost),
+  };
+}
+
+export function llmFromEnv(env = process.env) {
+  const geminiKey = env.GEMINI_API_KEY;
+  const names = (
+    env.LLM_PROVIDERS ||
+    (geminiKey && geminiKey !== "MOCK" ? "gemini,mock" : "mock")
+  )
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+
+  const providers = names.map((name) => {
+    switch (name) {
+      case "gemini":
+        return geminiProvider({
+          apiKey: geminiKey,
+          model: env.GEMINI_MODEL || undefined,
+          ...tuned(env, name, {
+            timeout: 30_000,
+            retries: 2,
+            cost: { input: 0.075, output: 0.3 },
+          }),
+        });
+      case "openai":
+        return openaiProvider({
+          apiKey: env.OPENAI_API_KEY,
+          baseUrl: env.OPENAI_BASE_URL || undefined,
+          model: env.OPENAI_MODEL || undefined,
+          ...tuned(env, name, {
+            timeout: 30_000,
+            retries: 2,
+            cost: { input: 0.15, output: 0.6 },
+          }),
+        });
+      case "local":
+        return localProvider({
+          baseUrl: env.LOCAL_LLM_URL || undefined,
+          model: env.LOCAL_LLM_MODEL || undefined,
+          api: (env.LOCAL_LLM_API || "ollama").toLowerCase(),
+          ...tuned(env, name, {
+            timeout: 120_000,
+            retries: 1,
+            cost: { input: 0, output: 0 },
+          }),
+        });
+      case "mock":
+        return mockProvider();
+      default:
+        console.warn(`LLM_PROVIDERS: unknown provider "${name}" ignored`);
+        return null;
+    }
+  });
+  return createLlm(providers.filter(Boolean), {
+    backoffMs: num(env.LLM_BACKOFF_MS, 1000),
+  });
+}
@@ -0,0 +1,319 @@
+/* -------------------- pasted message (SMS / chat) analysis -------------------- */
+import { keywordsOf } from "./brands.js";
+import { hostMatches } from "./domain.js";
+import { detectInjection } from "./prompt.js";
+
+const MAX_ITEMS = 20;
+
+// Bare domains only count with a TLD scammers actually use in texts
+const BARE_TLDS = `com net org info biz io co me app xyz top site online shop
+  click link live store vip icu cc ly gl gd to in uk us ca au de fr ru cn
+  support help services`.split(/\s+/);
+const PATH = `(?:\\/[^\\s<>"']*)?`;
+// Tried in order, each on the text left after the ones before. Without a
+// scheme or "www." the TLD must be lowercase, so a missing space after a
+// full stop ("Hello.In case…", "today.To") doesn't make a link.
+const LINK_RES = [
+  /\bhttps?:\/\/[^\s<>"']+/gi,
+  new RegExp(
+    `\\bwww\\.(?:[a-z0-9-]+\\.)+(?:${BARE_TLDS.join("|")})\\b${PATH}`,
+    "gi"
+  ),
+  new RegExp(
+    `\\b(?:[A-Za-z0-9-]+\\.)+(?:${BARE_TLDS.join("|")})\\b${PATH}`,
+    "g"
+  ),
+];
+const blank = (text, re) => text.replace(re, (m) => " ".repeat(m.length));
+
+// Links in the order they appear
+function linksIn(text) {
+  const found = [];
+  for (const re of LINK_RES) {
+    found.push(...text.matchAll(re));
+    text = blank(text, re);
+  }
+  return found.sort((a, b) => a.index - b.index).map((m) => m[0]);
+}
+const withoutLinks = (text) =>
+  LINK_RES.reduce((rest, re) => rest.replace(re, " "), text);
+
+const EMAIL_RE = /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}\b/gi;
+const PHONE_RE = /(?:\+|\b)\d[\d\s().-]{6,18}\d\b/g;
+const WALLETS = [
+  ["bitcoin", /\bbc1[ac-hj-np-z02-9]{11,71}\b/g],
+  ["bitcoin", /\b[13][a-km-zA-HJ-NP-Z1-9]{25,34}\b/g],
+  ["ethereum", /\b0x[a-fA-F0-9]{40}\b/g],
+  ["tron", /\bT[1-9A-HJ-NP-Za-km-z]{33}\b/g],
+  [
+    "litecoin",
+    /\b(?:ltc1[ac-hj-np-z02-9]{11,71}|[LM][a-km-zA-HJ-NP-Z1-9]{26,33})\b/g,
+  ],
+  ["xrp", /\br[1-9A-HJ-NP-Za-km-z]{24,34}\b/g],
+];
+const HANDLES = [
+  ["cashapp", /(?:^|[\s(])(\$[A-Za-z][A-Za-z0-9_]{1,19})\b/g],
+  ["venmo", /\bvenmo\b[\s:@-]*(?:me\s+)?@?([A-Za-z0-9_-]{4,30})/gi],
+  ["paypal", /\bpaypal\.me\/([\w.-]{2,40})/gi],
+  ["revolut", /\brevolut\.me\/([\w.-]{2,40})/gi],
+  [
+    "zelle",
+    /\bzelle\b[\s:@-]*(?:to\s+)?([\w.+-]+@[\w.-]+\.[a-z]{2,}|\+?\d[\d\s().-]{7,}\d)/gi,
+  ],
+  [
+    "upi",
+    /\b([\w.-]{2,}@(?:ok(?:axis|hdfcbank|icici|sbi)|ybl|paytm|upi|apl|ibl|axl))\b/gi,
+  ],
+];
+
+const uniq = (list) => [...new Set(list)].slice(0, MAX_ITEMS);
+const withScheme = (u) => (/^https?:\/\//i.test(u) ? u : `http://${u}`);
+
+export function extractMessageItems(text = "") {
+  const emails = uniq((text.match(EMAIL_RE) || []).map((e) => e.toLowerCase()));
+  // Strip emails first so their domains don't show up as links
+  const noEmails = text.replace(EMAIL_RE, " ");
+  const urls = uniq(
+    linksIn(noEmails).map((u) => withScheme(u.replace(/[.,;:!?)\]]+$/, "")))
+  );
+
+  const wallets = [];
+  let rest = withoutLinks(noEmails);
+  for (const [chain, re] of WALLETS)
+    for (const m of rest.matchAll(re))
+      if (!wallets.some((w) => w.address === m[0]))
+        wallets.push({ chain, address: m[0] });
+  for (const w of wallets) rest = rest.split(w.address).join(" ");
+
+  const paymentHandles = [];
+  for (const [service, re] of HANDLES)
+    for (const m of text.matchAll(re))
+      paymentHandles.push({ service, handle: m[1].trim() });
+
+  const phones = uniq(
+    (rest.match(PHONE_RE) || [])
+      .map((p) => p.trim())
+      .filter((p) => {
+        const digits = p.replace(/\D/g, "");
+        // Years, amounts and dates are not phone numbers
+        return (
+          digits.length >= 8 &&
+          digits.length <= 15 &&
+          !/^\d{1,2}[./-]\d{1,2}[./-]\d{2,4}$/.test(p)
+        );
+      })
+  );
+
+  return {
+    urls,
+    phones,
+    emails,
+    wallets: wallets.slice(0, MAX_ITEMS),
+    paymentHandles: paymentHandles.slice(0, MAX_ITEMS),
+  };
+}
+
+const PATTERNS = [
+  {
+    id: "urgency",
+    severity: "medium",
+    title: "Urgency or threat",
+    re: /\b(urgent(ly)?|immediately|right away|within \d+ ?(hours?|hrs?|minutes?|mins?|days?)|today only|act now|final (notice|warning|reminder)|expires? (today|soon|tonight)|last chance|(will be|has been|is) (suspended|locked|blocked|deactivated|closed|cancell?ed)|avoid (a )?(penalty|fine|suspension))\b/i,
+  },
+  {
+    id: "credential_request",
+    severity: "high",
+    title: "Asks for codes or login details",
+    re: /\b(verify your (account|identity|details)|confirm your (details|password|account|identity)|(one[- ]time|verification|security|login|6[- ]digit) (code|pin|password)|\botp\b|send (me )?the code|update your (payment|billing|card) (details|information)|log ?in to (avoid|restore|unlock))\b/i,
+  },
+  {
+    id: "payment_request",
+    severity: "high",
+    title: "Requests payment",
+    re: /\b(gift ?cards?|itunes cards?|steam cards?|wire (the )?(money|transfer)|bank transfer|western union|moneygram|send (me )?(money|funds|payment|\$|£|€|\d)|pay (the |a |your )?(fee|fine|toll|customs|duty|outstanding|balance|redelivery)|outstanding (balance|toll|fee|payment)|(small|delivery|release|processing|shipping) fee|transfer (the )?(funds|money)|usdt|pay (via|with|by) (crypto|bitcoin|cash ?app|venmo|zelle))\b/i,
+  },
+  {
+    id: "prize_bait",
+    severity: "medium",
+    title: "Prize, refund or giveaway bait",
+    re: /\b(you('ve| have)? won|winner|claim your (prize|reward|refund|gift|bonus)|congratulations|free (gift|iphone|bitcoin|crypto|money)|giveaway|double your (money|bitcoin|crypto)|guaranteed (returns?|profit))\b/i,
+  },
+  {
+    id: "family_impersonation",
+    severity: "high",
+    title: "“New number” family or friend impersonation",
+    re: /\b((hi|hey|hello) (mum|mom|mam|dad|mummy|daddy)\b|this is my new (number|phone)|(lost|broke|dropped) my phone|new number,? (save|delete)|can'?t (talk|call) (right )?now)/i,
+  },
+  {
+    id: "authority_impersonation",
+    severity: "medium",
+    title: "Claims to be an authority or support team",
+    re: /\b(irs|hmrc|tax office|police|customs|border force|social security|medicare|fraud (department|team)|security (team|department)|support team|tech support|account (team|services)|delivery (team|attempt)|parcel|package|courier|toll (service|authority))\b/i,
+  },
+];
+
+const clip = (s, n = 120) => (s.length > n ? s.slice(0, n - 1) + "…" : s);
+const around = (text, m) =>
+  clip(
+    text.slice(Math.max(0, m.index - 30), m.index + m[0].length + 30).trim()
+  );
+
+const hostOf = (u) => {
+  try {
+    return new URL(u).hostname;
+  } catch {
+    return null;
+  }
+};
+
+// Where a message sends the reader that the brand doesn't own: links and
+// email addresses off its domains, and phone numbers, payment handles or
+// wallets, which can't be tied to the brand at all
+function foreignContacts(brand, items) {
+  const owned = (host) => brand.domains.some((d) => hostMatches(host, d));
+  const brandService = keywordsOf(brand);
+  return {
+    links: (items.urls || []).map(hostOf).filter((h) => h && !owned(h)),
+    contacts: [
+      ...(items.emails || []).filter((e) => !owned(e.split("@")[1])),
+      ...(items.phones || []),
+      ...(items.paymentHandles || [])
+        .filter((p) => !brandService.includes(p.service))
+        .map((p) => `${p.service} ${p.handle}`),
+      ...(items.wallets || []).map((w) => `${w.chain} wallet`),
+    ],
+  };
+}
+
+export function messageFindings(text = "", { brands = [], items = {} } = {}) {
+  const findings = [];
+  for (const p of PATTERNS) {
+    const m = text.match(p.re);
+    if (m)
+      findings.push({
+        id: p.id,
+        severity: p.severity,
+        title: p.title,
+        evidence: around(text, m),
+      });
+  }
+  findings.push(...detectInjection(text));
+  // Naming a brand alone is not impersonation: it takes a link or contact
+  // the brand doesn't own
+  const lower = text.toLowerCase();
+  const brand = brands.find((b) =>
+    keywordsOf(b).some(
+      (kw) => kw.length >= 4 && new RegExp(`\\b${kw}\\b`, "i").test(lower)
+    )
+  );
+  const { links, contacts } = brand
+    ? foreignContacts(brand, items)
+    : { links: [], contacts: [] };
+  if (links.length || contacts.length)
+    findings.push({
+      id: "brand_impersonation",
+      severity: links.length ? "high" : "medium",
+      title: `Mentions ${brand.name}`,
+      evidence: `${
+        links.length
+          ? `links go to ${uniq(links).join(", ")}`
+          : `contact via ${contacts.join(", ")}`
+      }, not ${brand.domains[0]}`,
+      brand: brand.name,
+    });
+  return findings;
+}
+
+const hasFinding = (f, id) => f.message.findings.some((x) => x.id === id);
+const linkVerdicts = (f) => f.links.map((l) => l.verdict);
+
+export const MESSAGE_RULES = [
+  {
+    id: "urgency",
+    weight: 15,
+    label: "Urgency or threat language",
+    test: (f) => hasFinding(f, "urgency"),
+  },
+  {
+    id: "credential_request",
+    weight: 30,
+    label: "Asks for codes, passwords or card details",
+    test: (f) => hasFinding(f, "credential_request"),
+  },
+  {
+    id: "payment_request",
+    weight: 25,
+    label: "Requests a payment, fee or gift cards",
+    test: (f) => hasFinding(f, "payment_request"),
+  },
+  {
+    id: "prize_bait",
+    weight: 15,
+    label: "Prize, refund or giveaway bait",
+    test: (f) => hasFinding(f, "prize_bait"),
+  },
+  {
+    id: "family_impersonation",
+    weight: 30,
+    label: "“Hi mum, new number” impersonation",
+    test: (f) => hasFinding(f, "family_impersonation"),
+  },
+  {
+    id: "authority_impersonation",
+    weight: 10,
+    label: "Claims to be an authority or support team",
+    test: (f) => hasFinding(f, "authority_impersonation"),
+  },
+  {
+    id: "brand_impersonation",
+    weight: 20,
+    label: "Names a brand but links or points to contacts it doesn't own",
+    test: (f) => hasFinding(f, "brand_impersonation"),
+  },
+  {
+    id: "prompt_injection",
+    weight: 30,
+    label: "Contains instructions aimed at AI scanners",
+    test: (f) => hasFinding(f, "prompt_injection"),
+  },
+  {
+    id: "crypto_wallet",
+    weight: 20,
+    label: "Contains a crypto wallet address",
+    test: (f) => f.message.items.wallets.length > 0,
+  },
+  {
+    id: "payment_handle",
+    weight: 10,
+    label: "Contains a payment handle",
+    test: (f) => f.message.items.paymentHandles.length > 0,
+  },
+  {
+    id: "scam_link",
+    weight: 45,
+    label: "Contains a link rated likely scam",
+    test: (f) => linkVerdicts(f).includes("likely scam"),
+  },
+  {
+    id: "suspicious_link",
+    weight: 15,
+    label: "Contains a suspicious link",
+    test: (f) => linkVerdicts(f).includes("suspicious"),
+  },
+];
+
+// Findings only a message aimed at the reader makes; urgency, authorities
+// ("Police confirmed…") and numbers are just as common in headlines
+const MESSAGE_ONLY = [
+  "credential_request",
+  "payment_request",
+  "family_impersonation",
+];
+
+// Worth treating as a message rather than a claim to fact-check: it links
+// somewhere, names a wallet or payment handle, or asks for secrets or money
+export const looksLikeMessage = (items, findings) =>
+  items.urls.length > 0 ||
+  items.wallets.length > 0 ||
+  items.paymentHandles.length > 0 ||
+  findings.some((f) => MESSAGE_ONLY.includes(f.id));
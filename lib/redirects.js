@@ -0,0 +1,166 @@
+/* -------------------- redirect chain analysis -------------------- */
+import { hostOf, registrableDomain } from "./domain.js";
+
+export const URL_SHORTENERS = new Set([
+  "bit.ly",
+  "bitly.com",
+  "tinyurl.com",
+  "t.co",
+  "goo.gl",
+  "ow.ly",
+  "is.gd",
+  "buff.ly",
+  "rebrand.ly",
+  "cutt.ly",
+  "shorturl.at",
+  "rb.gy",
+  "tiny.cc",
+  "s.id",
+  "t.ly",
+  "lnkd.in",
+  "bl.ink",
+  "qrco.de",
+  "shorte.st",
+  "adf.ly",
+]);
+
+export const isShortener = (host = "") =>
+  URL_SHORTENERS.has(host.toLowerCase().replace(/^www\./, ""));
+
+const resolve = (target, base) => {
+  try {
+    return new URL(target.trim(), base).toString();
+  } catch {
+    return null;
+  }
+};
+
+// <meta http-equiv="refresh" content="0;url=...">, attribute order varies
+export function findMetaRefresh(html = "", base) {
+  for (const tag of html.match(/<meta\b[^>]*>/gi) || []) {
+    if (!/http-equiv\s*=\s*["']?refresh/i.test(tag)) continue;
+    const content = (tag.match(/content\s*=\s*(["'])(.*?)\1/i) || [])[2];
+    const target = (content || "").match(/url\s*=\s*['"]?([^'"]+)/i)?.[1];
+    if (target) return resolve(target, base);
+  }
+  return null;
+}
+
+// Inline script bodies, skipping external and non-JS (JSON, template) scripts
+const JS_TYPES =
+  /^(?:|module|(?:text|application)\/(?:x-)?(?:java|ecma)script)$/i;
+function inlineScripts(html) {
+  const out = [];
+  for (const [, attrs, body] of html.matchAll(
+    /<script\b([^>]*)>([\s\S]*?)<\/script\s*>/gi
+  )) {
+    if (/\bsrc\s*=/i.test(attrs)) continue;
+    const type = (attrs.match(/\btype\s*=\s*["']?([^"'\s>]*)/i) || [])[1];
+    if (JS_TYPES.test(type || "")) out.push(body);
+  }
+  return out;
+}
+
+// The script with every block body ({ ... }) and comment blanked out, so
+// only statements that run unconditionally on load are left. String
+// literals are kept at the top level and blanked inside blocks.
+function topLevelCode(code = "") {
+  let out = "";
+  let depth = 0;
+  for (let i = 0; i < code.length; i++) {
+    const c = code[i];
+    let end;
+    if (c === "/" && code[i + 1] === "/") {
+      end = code.indexOf("\n", i);
+      if (end === -1) end = code.length;
+      out += " ".repeat(end - i);
+      i = end - 1;
+      continue;
+    }
+    if (c === "/" && code[i + 1] === "*") {
+      end = code.indexOf("*/", i + 2);
+      end = end === -1 ? code.length : end + 2;
+      out += " ".repeat(end - i);
+      i = end - 1;
+      continue;
+    }
+    if (c === '"' || c === "'" || c === "`") {
+      end = i + 1;
+      while (end < code.length && code[end] !== c)
+        end += code[end] === "\\" ? 2 : 1;
+      end = Math.min(end + 1, code.length);
+      out += depth ? " ".repeat(end - i) : code.slice(i, end);
+      i = end - 1;
+      continue;
+    }
+    if (c === "{") depth += 1;
+    out += depth ? " " : c;
+    if (c === "}") depth = Math.max(0, depth - 1);
+  }
+  return out;
+}
+
+// A top-level location = "...", location.href = '...', location.replace("...")
+// or location.assign(...) statement in an inline script. Handlers in
+// attributes and assignments inside functions or conditions don't count.
+const JS_REDIRECT_RE =
+  /(?:^|[;}\n])\s*(?:(?:window|document|top|self)\.)?location(?:\.href)?\s*(?:=(?!=)|\.replace\(|\.assign\()\s*(["'`])([^"'`]+)\1/;
+export function findJsRedirect(html = "", base) {
+  for (const script of inlineScripts(html)) {
+    const m = topLevelCode(script).match(JS_REDIRECT_RE);
+    if (m) return resolve(m[2], base);
+  }
+  return null;
+}
+
+// hops: [{ url, status, location, host, via, metaRefresh, jsRedirect }]
+export function analyzeChain(hops = [], { maxRedirects, truncated } = {}) {
+  const flags = [];
+  for (let i = 1; i < hops.length; i++) {
+    const prev = hops[i - 1];
+    const cur = hops[i];
+    if (registrableDomain(prev.host) !== registrableDomain(cur.host))
+      flags.push({
+        type: "cross_domain",
+        hop: i,
+        detail: `${prev.host} → ${cur.host}`,
+      });
+    if (prev.url.startsWith("https:") && cur.url.startsWith("http:"))
+      flags.push({
+        type: "https_downgrade",
+        hop: i,
+        detail: `${prev.url} → ${cur.url}`,
+      });
+    if (cur.via !== "http")
+      flags.push({
+        type: `${cur.via}_redirect`,
+        hop: i,
+        detail: `${prev.host} → ${cur.host}`,
+      });
+  }
+  hops.forEach((h, i) => {
+    if (isShortener(h.host))
+      flags.push({ type: "shortener", hop: i, detail: h.host });
+    // Script redirects are recorded, not followed: the page that runs them
+    // is the one analyzed
+    if (h.jsRedirect)
+      flags.push({
+        type: "js_redirect",
+        hop: i,
+        detail: `${h.host} → ${hostOf(h.jsRedirect) || h.jsRedirect}`,
+      });
+  });
+  if (truncated)
+    flags.push({
+      type: "too_many_redirects",
+      hop: hops.length - 1,
+      detail: `stopped after ${maxRedirects} redirects`,
+    });
+  return {
+    count: Math.max(0, hops.length - 1),
+    startHost: hops[0]?.host || null,
+    finalHost: hops.at(-1)?.host || null,
+    hops,
+    flags,
+  };
+}
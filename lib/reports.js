@@ -0,0 +1,194 @@
+/* -------------------- scan reports -------------------- */
+// Every scan is kept as a report (one JSON file each) under an unguessable
+// ID, so it can be reopened or shared as /r/:id until it expires.
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+const ID_RE = /^[A-Za-z0-9_-]{12}$/;
+export const isReportId = (id) => typeof id === "string" && ID_RE.test(id);
+
+/* ---------- redaction ---------- */
+export const REDACTED = "[redacted]";
+
+// Enum-like fields that can't carry user input but may collide with it
+const KEEP_KEYS = new Set([
+  "id",
+  "mode",
+  "type",
+  "detected",
+  "verdict",
+  "band",
+  "severity",
+  "source",
+  "assessment",
+  "risk",
+  "tactic",
+  "stance",
+  "provider",
+]);
+// Fields that are always input (decoded email bodies don't match the raw source)
+const INPUT_KEYS = new Set(["bodyPreview"]);
+const MIN_COPIED = 6;
+// Images derived from the upload (ELA map, video frames, thumbnails)
+const DATA_URL_RE = /^\s*data:/i;
+// Hosts, addresses and numbers quoted inside longer text ("links go to x.top")
+const IDENT_RE = /\S*[.@/\d]\S*/g;
+
+// Replaces every occurrence of the secrets, every string copied out of them
+// (extracted links, phone numbers, claim statements, hosts) and every data:
+// URL with REDACTED
+export function redactInput(value, secrets = []) {
+  const list = secrets.filter((s) => typeof s === "string" && s.trim());
+  // URLs are normalized before analysis, so compare without the scheme
+  const copied = (v) => {
+    const bare = v.replace(/^[a-z][\w+.-]*:\/\//i, "").replace(/\/$/, "");
+    return (
+      bare.length >= MIN_COPIED &&
+      list.some((s) => s.includes(v) || s.includes(bare))
+    );
+  };
+  const scrub = (v, key) => {
+    if (typeof v === "string") {
+      if (INPUT_KEYS.has(key) || DATA_URL_RE.test(v)) return REDACTED;
+      if (KEEP_KEYS.has(key)) return v;
+      if (copied(v)) return REDACTED;
+      return list
+        .reduce((s, secret) => s.split(secret).join(REDACTED), v)
+        .replace(IDENT_RE, (tok) => {
+          const core = tok.replace(/^\W+|\W+$/g, "");
+          return copied(core) ? tok.replace(core, REDACTED) : tok;
+        });
+    }
+    if (Array.isArray(v)) return v.map((x) => scrub(x, key));
+    if (v && typeof v === "object")
+      return Object.fromEntries(
+        Object.entries(v).map(([k, x]) => [k, scrub(x, k)])
+      );
+    return v;
+  };
+  return scrub(value);
+}
+
+/* ---------- store ---------- */
+export function createReportStore({
+  dir,
+  ttlMs = 30 * 86_400_000,
+  maxEntries = 10_000,
+  redactAll = false,
+  sweepMs = 3_600_000,
+}) {
+  const fileOf = (id) => path.join(dir, `${id}.json`);
+  const expiresAt = (createdAt) =>
+    ttlMs > 0 ? new Date(Date.parse(createdAt) + ttlMs).toISOString() : null;
+  const expired = (createdAt) =>
+    ttlMs > 0 && Date.now() > Date.parse(createdAt) + ttlMs;
+
+  // Expired reports go first, then the oldest ones beyond maxEntries
+  async function sweep() {
+    let names;
+    try {
+      names = (await fs.readdir(dir)).filter((n) => n.endsWith(".json"));
+    } catch (e) {
+      if (e.code === "ENOENT") return 0;
+      throw e;
+    }
+    const files = [];
+    for (const name of names) {
+      const st = await fs.stat(path.join(dir, name)).catch(() => null);
+      if (st) files.push({ name, mtime: st.mtimeMs });
+    }
+    files.sort((a, b) => b.mtime - a.mtime);
+    const drop = files.filter(
+      (f, i) => i >= maxEntries || (ttlMs > 0 && Date.now() > f.mtime + ttlMs)
+    );
+    for (const f of drop) await fs.rm(path.join(dir, f.name), { force: true });
+    return drop.length;
+  }
+
+  const timer = setInterval(
+    () =>
+      sweep().catch((e) => console.warn(`report sweep failed: ${e.message}`)),
+    sweepMs
+  );
+  timer.unref?.();
+  sweep().catch((e) => console.warn(`report sweep failed: ${e.message}`));
+
+  return {
+    ttlMs,
+    redactAll,
+    sweep,
+    // input: submitted text/URL (null for uploads); file: { name, type };
+    // secrets: extra input-bearing strings to redact (e.g. a raw email)
+    async save(
+      result,
+      {
+        input = null,
+        file = null,
+        context = null,
+        redact = false,
+        secrets = [],
+      }
+    ) {
+      const redacted = redactAll || redact;
+      const { cached, ...clean } = result;
+      const id = crypto.randomBytes(9).toString("base64url");
+      const createdAt = new Date().toISOString();
+      const report = {
+        id,
+        createdAt,
+        redacted,
+        input: redacted
+          ? { value: null, file: file && { type: file.type }, context: null }
+          : { value: input, file, context: context || null },
+        result: redacted
+          ? redactInput(clean, [input, context, file?.name, ...secrets])
+          : clean,
+      };
+      await fs.mkdir(dir, { recursive: true });
+      const tmp = `${fileOf(id)}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(report));
+      await fs.rename(tmp, fileOf(id));
+      return { ...report, expiresAt: expiresAt(createdAt) };
+    },
+    async get(id) {
+      if (!isReportId(id)) return null;
+      let report;
+      try {
+        report = JSON.parse(await fs.readFile(fileOf(id), "utf8"));
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+      if (expired(report.createdAt)) {
+        await fs.rm(fileOf(id), { force: true });
+        return null;
+      }
+      return { ...report, expiresAt: expiresAt(report.createdAt) };
+    },
+    async remove(id) {
+      if (!isReportId(id)) return false;
+      try {
+        await fs.rm(fileOf(id));
+        return true;
+      } catch (e) {
+        if (e.code === "ENOENT") return false;
+        throw e;
+      }
+    },
+  };
+}
+
+const truthy = (v) => /^(1|true|yes|on)$/i.test(String(v ?? ""));
+
+// REPORTS=off disables storage entirely (responses then carry no report link)
+export function reportStoreFromEnv(env = process.env) {
+  if (/^(0|false|no|off)$/i.test(String(env.REPORTS ?? ""))) return null;
+  const days = Number(env.REPORTS_TTL_DAYS || 30);
+  return createReportStore({
+    dir: env.REPORTS_DIR || ".data/reports",
+    ttlMs: (Number.isFinite(days) && days > 0 ? days : 0) * 86_400_000,
+    maxEntries: Number(env.REPORTS_MAX) || 10_000,
+    redactAll: truthy(env.REPORTS_REDACT_INPUT),
+  });
+}
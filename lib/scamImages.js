@@ -0,0 +1,76 @@
+/* -------------------- known-scam image library -------------------- */
+// Perceptual hashes of images already seen in scams (fake endorsements,
+// receipts, ...), persisted as a JSON array and matched by Hamming distance.
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { hammingHex } from "./imaging.js";
+
+const HASH_BITS = 64;
+export const isPhash = (v) => typeof v === "string" && /^[0-9a-f]{16}$/.test(v);
+
+export function createImageLibrary({ file, maxDistance = 10 }) {
+  let entries = [];
+  try {
+    entries = JSON.parse(fs.readFileSync(file, "utf8")).filter((e) =>
+      isPhash(e?.phash)
+    );
+  } catch (e) {
+    if (e.code !== "ENOENT")
+      console.warn(`scam image library ignored: ${e.message}`);
+  }
+
+  const save = () => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(entries, null, 2));
+    fs.renameSync(tmp, file);
+  };
+
+  return {
+    maxDistance,
+    list: () => entries,
+    add({ phash, label, notes = "", source = null }) {
+      const entry = {
+        id: crypto.randomUUID(),
+        phash,
+        label,
+        notes,
+        source,
+        addedAt: new Date().toISOString(),
+      };
+      entries.push(entry);
+      save();
+      return entry;
+    },
+    remove(id) {
+      const before = entries.length;
+      entries = entries.filter((e) => e.id !== id);
+      if (entries.length === before) return false;
+      save();
+      return true;
+    },
+    // Closest entry within maxDistance, or null
+    match(phash, limit = maxDistance) {
+      if (!isPhash(phash)) return null;
+      let best = null;
+      for (const entry of entries) {
+        const distance = hammingHex(phash, entry.phash);
+        if (distance <= limit && (!best || distance < best.distance))
+          best = { entry, distance };
+      }
+      return best
+        ? {
+            ...best,
+            similarity: +(1 - best.distance / HASH_BITS).toFixed(3),
+          }
+        : null;
+    },
+  };
+}
+
+export const imageLibraryFromEnv = (env = process.env) =>
+  createImageLibrary({
+    file: env.SCAM_IMAGES_FILE || ".data/scam-images.json",
+    maxDistance: Number(env.SCAM_IMAGE_MAX_DISTANCE) || 10,
+  });
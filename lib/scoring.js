@@ -0,0 +1,330 @@
+/* -------------------- deterministic link risk scoring -------------------- */
+// Every rule looks at the collected signals ("facts") and, when it fires, adds
+// its weight to a 0–100 score. The AI may only nudge that score by a bounded
+// amount, so the same inputs always land in the same band offline.
+
+export const BANDS = ["safe", "suspicious", "likely scam"];
+
+const hasFinding = (f, ...ids) =>
+  (f.htmlFindings || []).some((x) => ids.includes(x.id));
+
+const hasBrandTechnique = (f, ...techniques) =>
+  (f.brand?.matches || []).some((m) => techniques.includes(m.technique));
+
+const hasRedirectFlag = (f, ...types) =>
+  (f.redirects?.flags || []).some((x) => types.includes(x.type));
+
+export const DEFAULT_RULES = [
+  {
+    id: "safe_browsing",
+    weight: 100,
+    label: "Listed by Google Safe Browsing",
+    test: (f) => f.safeBrowsingFlagged === true,
+  },
+  {
+    id: "ip_host",
+    weight: 25,
+    label: "Host is a raw IP address",
+    test: (f) => f.urlSignals?.hasIpHost,
+  },
+  {
+    id: "at_in_url",
+    weight: 20,
+    label: "URL contains '@' (hides the real destination)",
+    test: (f) => f.urlSignals?.hasAt,
+  },
+  {
+    id: "many_dashes",
+    weight: 10,
+    label: "Hostname has many dashes",
+    test: (f) => f.urlSignals?.manyDashes,
+  },
+  {
+    id: "suspicious_tld",
+    weight: 15,
+    label: "Top-level domain often abused",
+    test: (f) => f.urlSignals?.suspiciousTld,
+  },
+  {
+    id: "plain_http",
+    weight: 10,
+    label: "No HTTPS",
+    test: (f) => f.urlSignals?.scheme === "http",
+  },
+  {
+    id: "long_path",
+    weight: 5,
+    label: "Unusually long path",
+    test: (f) => (f.urlSignals?.pathLen || 0) > 100,
+  },
+  {
+    id: "disguised_link",
+    weight: 15,
+    label: "Image or video link opens something else",
+    test: (f) => Boolean(f.contentTypeMismatch),
+  },
+  {
+    id: "seed_phrase_form",
+    weight: 40,
+    label: "Asks for a wallet seed phrase or private key",
+    test: (f) => hasFinding(f, "seed_phrase_form"),
+  },
+  {
+    id: "card_form",
+    weight: 15,
+    label: "Asks for payment card details",
+    test: (f) => hasFinding(f, "card_form"),
+  },
+  {
+    id: "otp_form",
+    weight: 15,
+    label: "Asks for a one-time / verification code",
+    test: (f) => hasFinding(f, "otp_form"),
+  },
+  {
+    id: "password_form",
+    weight: 5,
+    label: "Asks for a password",
+    test: (f) => hasFinding(f, "password_form"),
+  },
+  {
+    id: "cross_domain_form",
+    weight: 25,
+    label: "Form sends data to a different domain",
+    test: (f) => hasFinding(f, "cross_domain_form", "unusual_form_action"),
+  },
+  {
+    id: "insecure_form_action",
+    weight: 10,
+    label: "Form submits over plain HTTP",
+    test: (f) => hasFinding(f, "insecure_form_action"),
+  },
+  {
+    id: "brand_mismatch",
+    weight: 30,
+    label: "Page poses as a brand the host doesn't belong to",
+    test: (f) => hasFinding(f, "brand_mismatch"),
+  },
+  {
+    id: "hidden_iframe",
+    weight: 10,
+    label: "Hidden iframe",
+    test: (f) => hasFinding(f, "hidden_iframe"),
+  },
+  {
+    id: "prompt_injection",
+    weight: 40,
+    label: "Page hides instructions aimed at AI scanners",
+    test: (f) => hasFinding(f, "prompt_injection"),
+  },
+  {
+    id: "obfuscated_script",
+    weight: 15,
+    label: "Obfuscated or self-decoding script",
+    test: (f) => hasFinding(f, "obfuscated_script"),
+  },
+  {
+    id: "devtools_trap",
+    weight: 20,
+    label: "Blocks right-click or developer tools",
+    test: (f) => hasFinding(f, "devtools_trap"),
+  },
+  {
+    id: "crypto_bait",
+    weight: 15,
+    label: "Crypto wallet bait",
+    test: (f) => hasFinding(f, "crypto_bait"),
+  },
+  {
+    id: "giveaway_bait",
+    weight: 15,
+    label: "Giveaway bait",
+    test: (f) => hasFinding(f, "giveaway_bait"),
+  },
+  {
+    id: "css_blur",
+    weight: 5,
+    label: "Content blurred behind an overlay",
+    test: (f) => hasFinding(f, "css_blur"),
+  },
+  {
+    id: "brand_homoglyph",
+    weight: 45,
+    label: "Look-alike characters imitating a known brand",
+    test: (f) => hasBrandTechnique(f, "homoglyph", "lookalike_characters"),
+  },
+  {
+    id: "brand_typosquat",
+    weight: 35,
+    label: "Misspelling of a known brand's domain",
+    test: (f) => hasBrandTechnique(f, "typosquat"),
+  },
+  {
+    id: "brand_in_domain",
+    weight: 25,
+    label: "Brand name inside an unrelated domain",
+    test: (f) => hasBrandTechnique(f, "brand_in_domain"),
+  },
+  {
+    id: "brand_outside_domain",
+    weight: 40,
+    label: "Brand name placed in a subdomain of another site",
+    test: (f) => hasBrandTechnique(f, "brand_outside_domain"),
+  },
+  {
+    id: "redirect_shortener",
+    weight: 10,
+    label: "Link goes through a URL shortener",
+    test: (f) => hasRedirectFlag(f, "shortener"),
+  },
+  {
+    id: "redirect_cross_domain",
+    weight: 10,
+    label: "Redirects to a different domain",
+    test: (f) => hasRedirectFlag(f, "cross_domain"),
+  },
+  {
+    id: "redirect_downgrade",
+    weight: 15,
+    label: "Redirect drops from HTTPS to HTTP",
+    test: (f) => hasRedirectFlag(f, "https_downgrade"),
+  },
+  {
+    id: "redirect_in_page",
+    weight: 10,
+    label: "Page forwards visitors with meta-refresh or script",
+    test: (f) => hasRedirectFlag(f, "meta_redirect", "js_redirect"),
+  },
+  {
+    id: "redirect_too_many",
+    weight: 10,
+    label: "Excessively long redirect chain",
+    test: (f) => hasRedirectFlag(f, "too_many_redirects"),
+  },
+  {
+    id: "new_domain",
+    weight: 30,
+    label: "Domain registered in the last 30 days",
+    test: (f) => f.domainAge?.ageDays != null && f.domainAge.ageDays < 30,
+  },
+  {
+    id: "young_domain",
+    weight: 10,
+    label: "Domain registered in the last 6 months",
+    test: (f) =>
+      f.domainAge?.ageDays != null &&
+      f.domainAge.ageDays >= 30 &&
+      f.domainAge.ageDays < 180,
+  },
+  {
+    id: "fresh_certificate",
+    weight: 5,
+    label: "TLS certificate issued in the last 7 days",
+    test: (f) => f.tls?.daysSinceIssued != null && f.tls.daysSinceIssued < 7,
+  },
+  {
+    id: "cert_host_mismatch",
+    weight: 20,
+    label: "TLS certificate doesn't cover this host",
+    test: (f) => f.tls?.sans && !f.tls.sanMatchesHost,
+  },
+  {
+    id: "scam_kit",
+    weight: 30,
+    label: "Built from the same kit as sites confirmed as scams",
+    // scamDomains only counts blocklisted sites and confirmed clusters, never
+    // model verdicts. A shared favicon and title alone also fit a brand's
+    // lookalike pages; the markup or script code has to match too.
+    test: (f) =>
+      f.kitCluster?.scamDomains > 0 &&
+      f.kitCluster.shared.some((s) => s === "dom" || s === "scripts"),
+  },
+  {
+    id: "cert_untrusted",
+    weight: 15,
+    label: "TLS certificate is self-signed, expired or untrusted",
+    test: (f) => f.tls && !f.tls.error && !f.tls.trusted,
+  },
+];
+
+// How far (as a fraction of aiMaxAdjust) each AI risk label moves the score
+const AI_SHIFT = { safe: -1, suspicious: 0, "likely scam": 1 };
+
+const clamp = (n) => Math.max(0, Math.min(100, Math.round(n)));
+
+export function scoringConfigFromEnv(env = process.env) {
+  let weights = {};
+  try {
+    weights = env.RISK_WEIGHTS ? JSON.parse(env.RISK_WEIGHTS) : {};
+  } catch {
+    console.warn("RISK_WEIGHTS is not valid JSON; using default weights");
+  }
+  const num = (v, d) => (v != null && v !== "" && !isNaN(+v) ? +v : d);
+  return {
+    weights,
+    aiMaxAdjust: num(env.RISK_AI_MAX_ADJUST, 15),
+    suspiciousAt: num(env.RISK_SUSPICIOUS_AT, 30),
+    scamAt: num(env.RISK_SCAM_AT, 60),
+  };
+}
+
+export function bandFor(score, { suspiciousAt = 30, scamAt = 60 } = {}) {
+  if (score >= scamAt) return "likely scam";
+  if (score >= suspiciousAt) return "suspicious";
+  return "safe";
+}
+
+export function scoreSignals(
+  facts,
+  { weights = {}, rules = DEFAULT_RULES } = {}
+) {
+  const contributions = [];
+  let total = 0;
+  for (const rule of rules) {
+    let hit = false;
+    try {
+      hit = Boolean(rule.test(facts));
+    } catch {}
+    if (!hit) continue;
+    const weight = weights[rule.id] ?? rule.weight;
+    if (!weight) continue;
+    total += weight;
+    contributions.push({ id: rule.id, label: rule.label, points: weight });
+  }
+  return { score: clamp(total), contributions };
+}
+
+// Only a real model answer may move the score; mock answers don't (a real
+// provider later in the fallback chain still counts).
+export function aiAdjustment(ai, maxAdjust = 15) {
+  if (!ai || ai._mock || ai._error) return 0;
+  const shift = AI_SHIFT[String(ai.risk || "").toLowerCase()];
+  return shift ? Math.round(shift * maxAdjust) : 0;
+}
+
+// Lowest score still inside the band the rules put this score in
+function bandFloor(score, { suspiciousAt = 30, scamAt = 60 } = {}) {
+  if (score >= scamAt) return scamAt;
+  if (score >= suspiciousAt) return suspiciousAt;
+  return 0;
+}
+
+// The AI may raise the band but never lower it below the rule band, and is
+// ignored outright when the page tried to instruct it.
+export function assessLinkRisk(facts, ai, config = {}) {
+  const { score: baseScore, contributions } = scoreSignals(facts, config);
+  const injected = hasFinding(facts, "prompt_injection");
+  const nudge = injected ? 0 : aiAdjustment(ai, config.aiMaxAdjust);
+  const score = Math.max(
+    clamp(baseScore + nudge),
+    bandFloor(baseScore, config)
+  );
+  return {
+    score,
+    baseScore,
+    aiAdjustment: score - baseScore,
+    ...(injected && ai ? { aiIgnored: "prompt_injection" } : {}),
+    band: bandFor(score, config),
+    contributions,
+  };
+}
@@ -0,0 +1,72 @@
+/* -------------------- TLS certificate inspection -------------------- */
+import tls from "tls";
+import { vetHost } from "./fetcher.js";
+
+const DAY = 86_400_000;
+
+// "DNS:a.com, DNS:*.a.com, IP Address:1.2.3.4" -> ["a.com", "*.a.com"]
+const parseSans = (s = "") =>
+  s
+    .split(",")
+    .map((x) => x.trim())
+    .filter((x) => x.startsWith("DNS:"))
+    .map((x) => x.slice(4).toLowerCase());
+
+export function sanMatchesHost(sans, host) {
+  const h = host.toLowerCase();
+  return sans.some((san) => {
+    if (!san.startsWith("*.")) return san === h;
+    const rest = san.slice(1); // ".example.com"
+    return h.endsWith(rest) && !h.slice(0, -rest.length).includes(".");
+  });
+}
+
+const nameOf = (x = {}) => x.O || x.CN || null;
+
+export async function inspectCertificate(
+  host,
+  { port = 443, timeout = 5000 } = {}
+) {
+  const { address } = await vetHost(host);
+  return new Promise((resolve) => {
+    const socket = tls.connect({
+      host: address,
+      port,
+      servername: host,
+      rejectUnauthorized: false,
+      timeout,
+    });
+    const done = (out) => {
+      socket.destroy();
+      resolve(out);
+    };
+    socket.once("secureConnect", () => {
+      const cert = socket.getPeerCertificate();
+      if (!cert || !Object.keys(cert).length)
+        return done({ host, error: "No certificate presented" });
+      const validFrom = new Date(cert.valid_from);
+      const validTo = new Date(cert.valid_to);
+      const sans = parseSans(cert.subjectaltname);
+      done({
+        host,
+        issuer: nameOf(cert.issuer),
+        subject: cert.subject?.CN || null,
+        validFrom: validFrom.toISOString(),
+        validTo: validTo.toISOString(),
+        daysSinceIssued: Math.floor((Date.now() - validFrom) / DAY),
+        daysUntilExpiry: Math.floor((validTo - Date.now()) / DAY),
+        sans,
+        sanMatchesHost: sanMatchesHost(sans, host),
+        trusted: socket.authorized,
+        authorizationError: socket.authorizationError
+          ? String(socket.authorizationError)
+          : null,
+        selfSigned:
+          cert.issuer?.CN === cert.subject?.CN &&
+          nameOf(cert.issuer) === nameOf(cert.subject),
+      });
+    });
+    socket.once("timeout", () => done({ host, error: "TLS timeout" }));
+    socket.once("error", (e) => done({ host, error: String(e) }));
+  });
+}
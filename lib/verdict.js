@@ -0,0 +1,363 @@
+/* -------------------- AI reply schemas + verdict envelope -------------------- */
+// Model replies are validated per analysis type (enum synonyms are mapped to
+// the canonical values first), and every API result is given the same
+// { verdict, confidence, signals[] } envelope.
+import { z } from "zod";
+
+export const VERDICTS = [
+  "safe",
+  "suspicious",
+  "likely scam",
+  "likely true",
+  "misleading",
+  "likely false",
+  "unverified",
+];
+
+const norm = (v) =>
+  String(v ?? "")
+    .toLowerCase()
+    .replace(/[_-]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const SYNONYMS = {
+  safe: ["benign", "legit", "legitimate", "low risk", "clean", "ok", "low"],
+  suspicious: ["suspect", "caution", "medium", "medium risk", "questionable"],
+  "likely scam": [
+    "scam",
+    "fraud",
+    "fraudulent",
+    "phishing",
+    "malicious",
+    "dangerous",
+    "high risk",
+    "high",
+  ],
+  authentic: ["real", "genuine", "original", "unedited", "not manipulated"],
+  edited: [
+    "manipulated",
+    "altered",
+    "fake",
+    "deepfake",
+    "ai generated",
+    "synthetic",
+    "photoshopped",
+  ],
+  uncertain: ["unknown", "unclear", "inconclusive", "unverified"],
+  "likely true": ["true", "accurate", "correct", "supported", "mostly true"],
+  "likely false": [
+    "false",
+    "incorrect",
+    "fake news",
+    "refuted",
+    "mostly false",
+  ],
+  misleading: [
+    "partly true",
+    "half true",
+    "mixed",
+    "out of context",
+    "disputed",
+  ],
+};
+const CANONICAL = new Map(
+  Object.entries(SYNONYMS).flatMap(([canon, list]) =>
+    [canon, ...list].map((s) => [s, canon])
+  )
+);
+
+// Enum that first maps synonyms ("phishing", "Likely_Scam") onto its values;
+// with a fallback, unknown values become the fallback instead of failing
+const oneOf = (values, fallback) =>
+  z.preprocess((v) => {
+    const k = norm(v);
+    let c = values.includes(k) ? k : CANONICAL.get(k) ?? k;
+    if (c === "uncertain" && values.includes("unverified")) c = "unverified";
+    return values.includes(c) ? c : fallback ?? v;
+  }, z.enum(values));
+
+const text = z.preprocess((v) => (v == null ? "" : String(v)), z.string());
+const strList = z.preprocess(
+  (v) =>
+    (Array.isArray(v) ? v : v == null ? [] : [v])
+      .map((x) =>
+        typeof x === "string"
+          ? x
+          : x?.title || x?.signal || x?.text || x?.description || null
+      )
+      .filter(Boolean),
+  z.array(z.string())
+);
+// 0..1; percentages ("85%", 85) are scaled down, anything else dropped
+const confidence = z.preprocess((v) => {
+  const n = parseFloat(v);
+  if (!Number.isFinite(n) || n < 0) return undefined;
+  return n > 1 && n <= 100 ? n / 100 : n;
+}, z.number().min(0).max(1).optional());
+
+// Copies the first alias present onto the canonical key (e.g. verdict → risk)
+const aliased = (schema, aliases) =>
+  z.preprocess((v) => {
+    if (!v || typeof v !== "object") return v;
+    const out = { ...v };
+    for (const [key, names] of Object.entries(aliases))
+      if (out[key] == null) {
+        const hit = names.find((n) => out[n] != null);
+        if (hit) out[key] = out[hit];
+      }
+    return out;
+  }, schema);
+
+const riskReply = aliased(
+  z.object({
+    risk: oneOf(["safe", "suspicious", "likely scam"]),
+    signals: strList,
+    advice: text,
+    confidence,
+  }),
+  { risk: ["verdict", "label", "classification"], signals: ["indicators"] }
+);
+const RISK_SHAPE =
+  '{"risk":"safe|suspicious|likely scam","signals":["..."],"advice":"...","confidence":0.0-1.0}';
+
+export const AI_SCHEMAS = {
+  link: { schema: riskReply, shape: RISK_SHAPE },
+  video: { schema: riskReply, shape: RISK_SHAPE },
+  image: {
+    schema: aliased(
+      z.object({
+        verdict: oneOf(["authentic", "edited", "uncertain"]),
+        indicators: strList,
+        advice: text,
+        confidence,
+      }),
+      { verdict: ["risk", "label"], indicators: ["signals"] }
+    ),
+    shape:
+      '{"verdict":"authentic|edited|uncertain","indicators":["..."],"advice":"...","confidence":0.0-1.0}',
+  },
+  claim: {
+    schema: aliased(
+      z.object({
+        verdict: oneOf([
+          "unverified",
+          "likely true",
+          "likely false",
+          "misleading",
+        ]),
+        checks: z.preprocess(
+          (v) =>
+            (Array.isArray(v) ? v : []).map((c) =>
+              typeof c === "string" ? { step: c, why: "" } : c
+            ),
+          z.array(z.object({ step: text, why: text }))
+        ),
+        what_to_collect: strList,
+        advice: text,
+        confidence,
+      }),
+      { verdict: ["rating", "label"], checks: ["steps"] }
+    ),
+    shape:
+      '{"verdict":"unverified|likely true|likely false|misleading","checks":[{"step":"...","why":"..."}],"what_to_collect":["..."],"advice":"...","confidence":0.0-1.0}',
+  },
+  explain: {
+    schema: z.object({
+      summary: text,
+      phrases: z.array(
+        z.object({
+          phrase: z.string().min(1),
+          tactic: oneOf(
+            ["urgency", "fear", "authority", "reward", "secrecy", "other"],
+            "other"
+          ),
+          why: text,
+        })
+      ),
+      advice: text,
+    }),
+    shape:
+      '{"summary":"...","phrases":[{"phrase":"...","tactic":"urgency|fear|authority|reward|secrecy|other","why":"..."}],"advice":"..."}',
+  },
+};
+
+// Short, readable list of what failed, for the repair prompt
+export const schemaIssues = (error) =>
+  error.issues
+    .slice(0, 8)
+    .map((i) => `${i.path.join(".") || "(root)"}: ${i.message}`)
+    .join("; ");
+
+/* ---------- envelope ---------- */
+const IMAGE_VERDICT = {
+  authentic: "safe",
+  edited: "suspicious",
+  uncertain: "unverified",
+};
+
+export function normalizeVerdict(v) {
+  const k = norm(v);
+  const c = CANONICAL.get(k) ?? k;
+  if (VERDICTS.includes(c)) return c;
+  return IMAGE_VERDICT[c] || "unverified";
+}
+
+// Deterministic high-severity findings set a minimum the model can't go
+// below (for verdicts that come from the model alone)
+export function floorVerdict(verdict, signals = []) {
+  const v = normalizeVerdict(verdict);
+  return (v === "safe" || v === "unverified") &&
+    signals.some((s) => s.severity === "high")
+    ? "suspicious"
+    : v;
+}
+
+const round2 = (n) => +n.toFixed(2);
+
+// Further from a band threshold → more certain (0.5 on the line, 1 at 30+ points away)
+export function scoreConfidence(
+  score,
+  { suspiciousAt = 30, scamAt = 60 } = {}
+) {
+  const dist = Math.min(
+    Math.abs(score - suspiciousAt),
+    Math.abs(score - scamAt)
+  );
+  return round2(0.5 + 0.5 * Math.min(1, dist / 30));
+}
+
+function confidenceOf(out, verdict, config) {
+  if (out.listMatch) return 1;
+  if (out.knownMatch) return out.knownMatch.similarity;
+  if (out.safeBrowsing === "flagged" || out.safeBrowsing?.flagged) return 0.95;
+  if (out.risk?.score != null) return scoreConfidence(out.risk.score, config);
+  if (out.statements) {
+    const known = out.statements.filter((s) => s.assessment !== "unverified");
+    return known.length && verdict !== "unverified"
+      ? round2(known.reduce((n, s) => n + s.confidence, 0) / known.length)
+      : 0;
+  }
+  const ai = out.ai;
+  if (!ai || ai._error) return 0;
+  if (ai._mock) return 0.1;
+  return ai.confidence ?? 0.5;
+}
+
+const severityOf = (points) =>
+  points >= 25 ? "high" : points >= 10 ? "medium" : "low";
+const STATEMENT_SEVERITY = { refuted: "high", disputed: "medium" };
+
+const from = (source) => (s) => ({
+  id: s.id,
+  severity: s.severity,
+  title: s.title,
+  evidence: s.evidence ?? "",
+  source,
+});
+
+function aiSignals(ai) {
+  if (!ai || ai._error) return [];
+  const source = ai._mock ? "mock" : "ai";
+  return [
+    ...[...(ai.signals || []), ...(ai.indicators || [])].map((title) => ({
+      id: "ai_observation",
+      severity: "low",
+      title,
+      evidence: "",
+      source,
+    })),
+    ...(ai.phrases || []).map((p) => ({
+      id: "manipulative_phrase",
+      severity: "medium",
+      title: p.tactic,
+      evidence: p.phrase,
+      source,
+    })),
+  ];
+}
+
+// Built only from the result's own fields, so re-applying it is harmless
+const LIST_ON = {
+  url: "URL",
+  final_url: "redirect target",
+  favicon: "favicon",
+};
+
+export function signalsOf(out) {
+  const m = out.knownMatch;
+  const l = out.listMatch;
+  return [
+    ...(l
+      ? [
+          {
+            id: l.list === "block" ? "blocklisted" : "allowlisted",
+            severity: l.list === "block" ? "high" : "low",
+            title:
+              l.list === "block"
+                ? "On the operator blocklist"
+                : "On the operator allowlist",
+            evidence: `${l.kind} ${l.value} (${LIST_ON[l.on] || l.on}, ${
+              l.source
+            })${l.note ? ` — ${l.note}` : ""}`,
+            source: "list",
+          },
+        ]
+      : []),
+    ...(m
+      ? [
+          {
+            id: "known_scam_image",
+            severity: "high",
+            title: "Matches a known scam image",
+            evidence: `${m.label} (${Math.round(m.similarity * 100)}% similar)`,
+            source: "library",
+          },
+        ]
+      : []),
+    ...(out.safeBrowsing === "flagged" || out.safeBrowsing?.flagged
+      ? [
+          {
+            id: "safe_browsing",
+            severity: "high",
+            title: "Flagged by Google Safe Browsing",
+            evidence: "",
+            source: "safe_browsing",
+          },
+        ]
+      : []),
+    ...(out.risk?.contributions || []).map((c) => ({
+      id: c.id,
+      severity: severityOf(c.points),
+      title: c.label,
+      evidence: `+${c.points} points`,
+      source: "rules",
+    })),
+    // Findings not already counted as a rule contribution
+    ...(out.findings || [])
+      .filter((f) => !out.risk?.contributions?.some((c) => c.id === f.id))
+      .map(from("rules")),
+    ...(out.forensics?.signals || []).map(from("forensics")),
+    ...(out.metadataSignals || out.video?.signals || []).map(from("metadata")),
+    ...(out.statements || [])
+      .filter((s) => s.assessment !== "unverified")
+      .map((s) => ({
+        id: `statement_${s.assessment}`,
+        severity: STATEMENT_SEVERITY[s.assessment] || "low",
+        title: `Statement ${s.assessment}`,
+        evidence: s.text,
+        source: "evidence",
+      })),
+    ...aiSignals(out.ai),
+  ];
+}
+
+export function envelope(out, config = {}) {
+  const verdict = normalizeVerdict(out.verdict);
+  return {
+    ...out,
+    verdict,
+    confidence: confidenceOf(out, verdict, config),
+    signals: signalsOf(out),
+  };
+}
@@ -0,0 +1,452 @@
+/* -------------------- video analysis -------------------- */
+// Platform links → oEmbed + page metadata; direct files and uploads →
+// ffprobe container metadata + ffmpeg frames (locally installed binaries).
+import { spawn } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { parse as parseHtml } from "node-html-parser";
+import { FetchBlockedError, readBody, safeFetch } from "./fetcher.js";
+import { decodeImage, phash } from "./imaging.js";
+import { detectInjection } from "./prompt.js";
+
+export const VIDEO_MAX_BYTES =
+  Number(process.env.VIDEO_MAX_BYTES) || 50 * 1024 * 1024;
+const FFMPEG = process.env.FFMPEG_PATH || "ffmpeg";
+const FFPROBE = process.env.FFPROBE_PATH || "ffprobe";
+const FRAME_COUNT = Number(process.env.VIDEO_FRAMES) || 4;
+
+const VIDEO_EXT_RE = /\.(mp4|m4v|mov|webm|mkv|avi|3gp)(\?|#|$)/i;
+export const isDirectVideoUrl = (u) => VIDEO_EXT_RE.test(u);
+export const isVideoUpload = (file) =>
+  Boolean(file) &&
+  (/^video\//.test(file.mimetype || "") ||
+    VIDEO_EXT_RE.test(file.originalname || ""));
+
+// Containers handed to ffprobe/ffmpeg; anything else (playlists, concat
+// scripts, exotic demuxers) is refused before a binary sees it
+export const VIDEO_FORMATS = ["mp4", "webm", "mov"];
+
+export function sniffVideoType(buf) {
+  if (!buf || buf.length < 12) return null;
+  if (buf.toString("ascii", 4, 8) === "ftyp")
+    return /^qt/.test(buf.toString("ascii", 8, 10)) ? "mov" : "mp4";
+  if (buf.readUInt32BE(0) === 0x1a45dfa3) return "webm";
+  if (
+    buf.toString("ascii", 0, 4) === "RIFF" &&
+    buf.toString("ascii", 8, 11) === "AVI"
+  )
+    return "avi";
+  return null;
+}
+
+/* ---------- platform links ---------- */
+const YT_ID = /^[\w-]{11}$/;
+// Only a valid video id makes a YouTube video
+const youtube = (id, kind) =>
+  YT_ID.test(id || "")
+    ? {
+        platform: "youtube",
+        id,
+        kind,
+        canonicalUrl: `https://www.youtube.com/watch?v=${id}`,
+        thumbnailUrl: `https://img.youtube.com/vi/${id}/hqdefault.jpg`,
+      }
+    : null;
+
+// YouTube (watch, Shorts, embed, live, youtu.be), Vimeo, TikTok, X. Other
+// YouTube pages, /redirect?q= included, are links like any other.
+export function platformOf(u) {
+  let x;
+  try {
+    x = new URL(u);
+  } catch {
+    return null;
+  }
+  const host = x.hostname.toLowerCase().replace(/^(www|m|mobile|music)\./, "");
+  const seg = x.pathname.split("/").filter(Boolean);
+
+  if (host === "youtu.be") return youtube(seg[0], "short_link");
+  if (host === "youtube.com" || host === "youtube-nocookie.com") {
+    if (seg[0] === "watch") return youtube(x.searchParams.get("v"), "watch");
+    if (["shorts", "embed", "live", "v"].includes(seg[0]))
+      return youtube(seg[1], seg[0] === "v" ? "embed" : seg[0]);
+    return null;
+  }
+  if (host === "vimeo.com" || host === "player.vimeo.com") {
+    const id = seg.find((s) => /^\d+$/.test(s)) || null;
+    return {
+      platform: "vimeo",
+      id,
+      kind: host === "player.vimeo.com" ? "embed" : "watch",
+      canonicalUrl: id ? `https://vimeo.com/${id}` : u,
+    };
+  }
+  if (host === "tiktok.com" || host.endsWith(".tiktok.com")) {
+    const i = seg.indexOf("video");
+    const id = i >= 0 ? seg[i + 1] || null : null;
+    return {
+      platform: "tiktok",
+      id,
+      kind: /^v[mt]\./.test(host)
+        ? "short_link"
+        : seg[0] === "embed"
+        ? "embed"
+        : "video",
+      author: seg[0]?.startsWith("@") ? seg[0] : null,
+      canonicalUrl: u,
+    };
+  }
+  if (host === "x.com" || host === "twitter.com") {
+    const i = seg.indexOf("status");
+    if (i < 1 || !/^\d+$/.test(seg[i + 1] || "")) return null;
+    return {
+      platform: "x",
+      id: seg[i + 1],
+      kind: "status",
+      author: seg[0],
+      canonicalUrl: `https://x.com/${seg[0]}/status/${seg[i + 1]}`,
+    };
+  }
+  return null;
+}
+
+const OEMBED = {
+  youtube: "https://www.youtube.com/oembed?format=json&url=",
+  vimeo: "https://vimeo.com/api/oembed.json?url=",
+  tiktok: "https://www.tiktok.com/oembed?url=",
+  x: "https://publish.twitter.com/oembed?omit_script=1&url=",
+};
+
+async function fetchText(url, maxBytes = 500_000) {
+  try {
+    const r = await safeFetch(url, { redirect: "follow" });
+    if (!r.ok) return { error: `HTTP ${r.status}` };
+    const { buffer } = await readBody(r, maxBytes);
+    return { text: buffer.toString("utf8"), finalUrl: r.url || url };
+  } catch (e) {
+    if (e instanceof FetchBlockedError)
+      return { error: `blocked: ${e.blocked.reason}` };
+    return { error: String(e) };
+  }
+}
+
+// OpenGraph / Twitter-card tags from a fetched page
+export function pageMetadata(html) {
+  const root = parseHtml(html || "");
+  const meta = (...names) => {
+    for (const n of names) {
+      const el = root.querySelector(`meta[property="${n}"], meta[name="${n}"]`);
+      if (el?.getAttribute("content")) return el.getAttribute("content").trim();
+    }
+    return null;
+  };
+  return {
+    title:
+      meta("og:title", "twitter:title") ||
+      root.querySelector("title")?.text.trim() ||
+      null,
+    description: meta("og:description", "twitter:description", "description"),
+    image: meta("og:image", "twitter:image"),
+    video: meta("og:video:url", "og:video", "twitter:player"),
+    siteName: meta("og:site_name"),
+    author: meta("author"),
+  };
+}
+
+export async function platformMetadata(url, info) {
+  const target = info.canonicalUrl || url;
+  const [oembedRes, pageRes] = await Promise.all([
+    OEMBED[info.platform]
+      ? fetchText(OEMBED[info.platform] + encodeURIComponent(target))
+      : { error: "no oEmbed endpoint" },
+    fetchText(url),
+  ]);
+  let oembed = null;
+  try {
+    oembed = oembedRes.text ? JSON.parse(oembedRes.text) : null;
+  } catch {
+    oembedRes.error = "invalid oEmbed JSON";
+  }
+  const page = pageRes.text ? pageMetadata(pageRes.text) : null;
+  return {
+    title: oembed?.title || page?.title || null,
+    author: oembed?.author_name || page?.author || info.author || null,
+    authorUrl: oembed?.author_url || null,
+    provider: oembed?.provider_name || page?.siteName || null,
+    description: page?.description?.slice(0, 500) || null,
+    // X returns the post as an HTML blockquote
+    text: oembed?.html
+      ? parseHtml(oembed.html).text.trim().slice(0, 500)
+      : null,
+    thumbnailUrl:
+      oembed?.thumbnail_url || page?.image || info.thumbnailUrl || null,
+    finalUrl: pageRes.finalUrl || null,
+    sources: {
+      oembed: oembed ? "ok" : oembedRes.error || "empty",
+      page: page ? "ok" : pageRes.error || "empty",
+    },
+  };
+}
+
+/* ---------- files (ffprobe / ffmpeg) ---------- */
+// Runs a binary with a hard timeout; a missing binary rejects with ENOENT
+function run(bin, args, { timeout = 30_000 } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(bin, args, { stdio: ["ignore", "pipe", "pipe"] });
+    const out = [];
+    let err = "";
+    const timer = setTimeout(() => child.kill("SIGKILL"), timeout);
+    child.stdout.on("data", (d) => out.push(d));
+    child.stderr.on("data", (d) => (err = (err + d).slice(-4000)));
+    child.on("error", (e) => {
+      clearTimeout(timer);
+      reject(e);
+    });
+    child.on("close", (code, signal) => {
+      clearTimeout(timer);
+      resolve({ code, signal, stdout: Buffer.concat(out), stderr: err });
+    });
+  });
+}
+
+const lowerKeys = (o = {}) =>
+  Object.fromEntries(Object.entries(o).map(([k, v]) => [k.toLowerCase(), v]));
+const fraction = (s) => {
+  const [a, b] = String(s || "")
+    .split("/")
+    .map(Number);
+  return b ? +(a / b).toFixed(2) : a || null;
+};
+
+// Inputs may only be read from local files, never fetched over the network
+const LOCAL_ONLY = ["-protocol_whitelist", "file,pipe"];
+
+export async function probeVideo(file) {
+  const r = await run(FFPROBE, [
+    "-v",
+    "error",
+    ...LOCAL_ONLY,
+    "-print_format",
+    "json",
+    "-show_format",
+    "-show_streams",
+    file,
+  ]);
+  if (r.code !== 0)
+    return { error: r.stderr.trim() || `ffprobe exited ${r.code}` };
+  const j = JSON.parse(r.stdout.toString("utf8") || "{}");
+  const fmt = j.format || {};
+  const v = (j.streams || []).find((s) => s.codec_type === "video");
+  const a = (j.streams || []).find((s) => s.codec_type === "audio");
+  const tags = { ...lowerKeys(v?.tags), ...lowerKeys(fmt.tags) };
+  const tag = (...keys) => keys.map((k) => tags[k]).find(Boolean) || null;
+  return {
+    container: fmt.format_name || null,
+    duration: Number(fmt.duration) || null,
+    bitRate: Number(fmt.bit_rate) || null,
+    encoder: tag("encoder", "com.apple.quicktime.software", "software"),
+    creationTime: tag("creation_time", "com.apple.quicktime.creationdate"),
+    make: tag("com.apple.quicktime.make", "make"),
+    model: tag("com.apple.quicktime.model", "model"),
+    location: tag("com.apple.quicktime.location.iso6709", "location"),
+    comment: tag("comment", "description", "title"),
+    handler: tags.handler_name || null,
+    video: v
+      ? {
+          codec: v.codec_name,
+          width: v.width,
+          height: v.height,
+          fps: fraction(v.avg_frame_rate),
+        }
+      : null,
+    audio: a
+      ? {
+          codec: a.codec_name,
+          sampleRate: Number(a.sample_rate) || null,
+          channels: a.channels,
+        }
+      : null,
+  };
+}
+
+// Evenly spaced frames; input seeking lands on the nearest keyframe
+export async function extractFrames(
+  file,
+  duration,
+  { count = FRAME_COUNT, width = 512 } = {}
+) {
+  const times = duration
+    ? Array.from({ length: count }, (_, i) => (duration * (i + 0.5)) / count)
+    : [0];
+  const frames = [];
+  for (const t of times) {
+    const r = await run(FFMPEG, [
+      "-v",
+      "error",
+      ...LOCAL_ONLY,
+      "-ss",
+      t.toFixed(2),
+      "-i",
+      file,
+      "-frames:v",
+      "1",
+      "-vf",
+      `scale='min(${width},iw)':-2`,
+      "-f",
+      "image2pipe",
+      "-vcodec",
+      "mjpeg",
+      "-q:v",
+      "4",
+      "-",
+    ]);
+    if (r.code === 0 && r.stdout.length) {
+      const img = decodeImage(r.stdout, "jpeg");
+      frames.push({
+        time: +t.toFixed(2),
+        phash: img ? phash(img) : null,
+        dataUrl: `data:image/jpeg;base64,${r.stdout.toString("base64")}`,
+      });
+    }
+  }
+  return frames;
+}
+
+const EDITOR_RE =
+  /premiere|after effects|final cut|davinci|capcut|imovie|inshot|kinemaster|filmora|vn video|handbrake|clipchamp/i;
+const GENERATOR_RE =
+  /\bsora\b|runway|pika|kling|\bveo\b|synthesia|heygen|\bd-id\b|deepfacelab|faceswap|hailuo|dream machine|invideo ai/i;
+const GIVEAWAY_RE =
+  /giveaway|double (your )?(btc|eth|crypto|bitcoin)|send \d+(\.\d+)? ?(btc|eth)|free (btc|eth|bitcoin|crypto)|\blive\b.{0,40}\b(btc|eth|bitcoin|crypto|xrp)\b/i;
+
+// { id, severity, title, evidence } like image forensics
+export function videoSignals({ metadata, platform } = {}) {
+  const signals = [];
+  // Titles, descriptions and container tags all end up in the prompt
+  signals.push(
+    ...detectInjection(
+      [
+        metadata?.comment,
+        platform?.title,
+        platform?.description,
+        platform?.text,
+      ]
+        .filter(Boolean)
+        .join("\n")
+    )
+  );
+  if (metadata && !metadata.error) {
+    const text = [metadata.encoder, metadata.handler, metadata.comment]
+      .filter(Boolean)
+      .join(" | ");
+    const generator = text.match(GENERATOR_RE)?.[0];
+    if (generator)
+      signals.push({
+        id: "ai_generator_tag",
+        severity: "high",
+        title: "Tagged by an AI video / avatar generator",
+        evidence: generator,
+      });
+    if (EDITOR_RE.test(text))
+      signals.push({
+        id: "edited_with_software",
+        severity: "low",
+        title: "Exported by editing software",
+        evidence: text,
+      });
+    const created = metadata.creationTime
+      ? new Date(metadata.creationTime)
+      : null;
+    if (!created || isNaN(created))
+      signals.push({
+        id: "metadata_stripped",
+        severity: "low",
+        title: "No creation time",
+        evidence: "Container has no creation_time (re-encoded or stripped)",
+      });
+    else if (created - Date.now() > 86_400_000)
+      signals.push({
+        id: "future_date",
+        severity: "medium",
+        title: "Creation time in the future",
+        evidence: created.toISOString(),
+      });
+  }
+  if (platform) {
+    const text = [platform.title, platform.description, platform.text]
+      .filter(Boolean)
+      .join(" ");
+    const bait = text.match(GIVEAWAY_RE)?.[0];
+    if (bait)
+      signals.push({
+        id: "crypto_giveaway",
+        severity: "high",
+        title: "Crypto giveaway / livestream bait",
+        evidence: bait,
+      });
+  }
+  return signals;
+}
+
+function sniffFile(file) {
+  const fd = fs.openSync(file, "r");
+  try {
+    const head = Buffer.alloc(16);
+    return sniffVideoType(head.subarray(0, fs.readSync(fd, head, 0, 16, 0)));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Probe + frames for a file on disk. Missing binaries are reported, not thrown.
+export async function analyzeVideoFile(file) {
+  let metadata;
+  let frames = [];
+  try {
+    if (!VIDEO_FORMATS.includes(sniffFile(file)))
+      metadata = { error: "Unsupported video format" };
+    else metadata = await probeVideo(file);
+    if (!metadata.error) frames = await extractFrames(file, metadata.duration);
+  } catch (e) {
+    metadata = {
+      error: e.code === "ENOENT" ? "ffmpeg/ffprobe not installed" : String(e),
+    };
+  }
+  return { metadata, signals: videoSignals({ metadata }), frames };
+}
+
+// A full-size video takes longer than a page; the timeout covers the body
+const DOWNLOAD_TIMEOUT = 60_000;
+
+// Downloads a direct video URL to a temp file; caller removes `dir`
+export async function downloadVideo(url, maxBytes = VIDEO_MAX_BYTES) {
+  try {
+    const r = await safeFetch(url, {
+      redirect: "follow",
+      maxBytes,
+      timeout: DOWNLOAD_TIMEOUT,
+    });
+    if (!r.ok) return { error: `HTTP ${r.status}` };
+    const contentType = (r.headers.get("content-type") || "")
+      .split(";")[0]
+      .trim()
+      .toLowerCase();
+    const { buffer, truncated } = await readBody(r, maxBytes);
+    const format = sniffVideoType(buffer);
+    if (!format) return { notVideo: true, contentType };
+    if (!VIDEO_FORMATS.includes(format))
+      return { error: "Unsupported video format", contentType };
+    if (truncated) return { error: "Video too large", contentType };
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "tos-video-"));
+    const file = path.join(dir, `input.${format}`);
+    fs.writeFileSync(file, buffer);
+    return { dir, file, contentType, format, bytes: buffer.length };
+  } catch (e) {
+    if (e instanceof FetchBlockedError)
+      return e.blocked.reason === "body_too_large"
+        ? { error: "Video too large" }
+        : { blocked: e.blocked };
+    return { error: String(e) };
+  }
+}
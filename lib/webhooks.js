@@ -0,0 +1,340 @@
+/* -------------------- inbound webhooks + chat adapters -------------------- */
+// Adapters share one shape:
+//   { name, verify(req) -> bool, handshake?(req) -> string|null,
+//     parse(body, req) -> { challenge?, error?, messages: [{ text, target }] },
+//     send?(target, result, reportUrl) }
+// Adapters without `send` (generic) answer inline; chat adapters acknowledge
+// at once and post the verdict back through the platform API. API base URLs
+// are configurable so adapters can run against local stand-in servers.
+import crypto from "crypto";
+import fetch from "node-fetch";
+
+const SEND_TIMEOUT = 10_000;
+const MAX_SKEW_S = 300;
+
+export const hmacHex = (secret, data) =>
+  crypto.createHmac("sha256", secret).update(data).digest("hex");
+
+// Constant-time compare of two strings of any length (as in requireAdmin)
+export function safeEqual(a, b) {
+  const x = crypto.createHash("sha256").update(String(a)).digest();
+  const y = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(x, y);
+}
+
+const rawOf = (req) => req.rawBody || Buffer.alloc(0);
+
+const isFresh = (ts, now = Date.now()) =>
+  Number.isFinite(ts) && ts > 0 && Math.abs(now / 1000 - ts) <= MAX_SKEW_S;
+
+// Ids seen within the last MAX_SKEW_S; anything older already fails isFresh,
+// so a signed request or message can only be delivered once
+function createReplayGuard() {
+  const seen = new Map(); // id -> expiresAt
+  return {
+    // true the first time an id is seen
+    first(id, now = Date.now()) {
+      // Insertion order is expiry order
+      for (const [k, exp] of seen) {
+        if (exp > now) break;
+        seen.delete(k);
+      }
+      if (seen.has(id)) return false;
+      seen.set(id, now + MAX_SKEW_S * 1000);
+      return true;
+    },
+  };
+}
+
+async function postJSON(name, url, body, headers = {}) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), SEND_TIMEOUT);
+  try {
+    const resp = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+      signal: ctrl.signal,
+    });
+    const text = await resp.text();
+    if (!resp.ok)
+      throw new Error(`${name} reply failed ${resp.status}: ${text}`);
+    return text;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/* ---------- reply text ---------- */
+// Same verdict vocabulary as the web UI (lib/verdict.js)
+const TONE = {
+  safe: "🟢",
+  "likely true": "🟢",
+  suspicious: "🟡",
+  misleading: "🟡",
+  unverified: "⚪",
+  "likely scam": "🔴",
+  "likely false": "🔴",
+};
+const escHtml = (s) =>
+  String(s).replace(
+    /[&<>]/g,
+    (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;" }[c])
+  );
+
+// style: "plain", "markdown" (WhatsApp *bold*), "slack" (*bold*, with &, <
+// and > escaped as Slack's mrkdwn requires) or "html" (Telegram)
+export function formatReply(result, { style = "plain", reportUrl } = {}) {
+  const esc = style === "html" || style === "slack" ? escHtml : String;
+  const bold = (s) =>
+    style === "html"
+      ? `<b>${esc(s)}</b>`
+      : style === "markdown" || style === "slack"
+      ? `*${esc(s)}*`
+      : s;
+  const verdict = result.verdict || "unverified";
+  const lines = [
+    `${TONE[verdict] || "🟡"} ${bold(
+      verdict[0].toUpperCase() + verdict.slice(1)
+    )}${
+      result.confidence != null
+        ? ` (${Math.round(result.confidence * 100)}% confidence)`
+        : ""
+    }`,
+    ...(result.signals || [])
+      .filter((s) => s.severity !== "low")
+      .slice(0, 5)
+      .map((s) => `• ${esc(s.title)}`),
+  ];
+  const advice = result.ai?.advice;
+  if (advice) lines.push("", `${bold("Advice:")} ${esc(advice)}`);
+  if (reportUrl) lines.push("", `Full report: ${esc(reportUrl)}`);
+  return lines.join("\n");
+}
+
+/* ---------- generic ---------- */
+// POST { text } or { messages: [{ text }] } (at most maxMessages), signed with
+// X-TrueOrScam-Signature: sha256=HMAC-SHA256(secret, "<timestamp>.<raw body>")
+// where X-TrueOrScam-Timestamp is in Unix seconds. Each signature is
+// accepted once.
+export function genericAdapter({ secret, maxMessages = 20 }) {
+  const replays = createReplayGuard();
+  return {
+    name: "generic",
+    verify(req) {
+      const ts = req.get("x-trueorscam-timestamp") || "";
+      if (!/^\d+$/.test(ts) || !isFresh(Number(ts))) return false;
+      const sig = req.get("x-trueorscam-signature") || "";
+      const base = Buffer.concat([Buffer.from(`${ts}.`), rawOf(req)]);
+      return (
+        safeEqual(sig, `sha256=${hmacHex(secret, base)}`) && replays.first(sig)
+      );
+    },
+    parse(body = {}) {
+      const list = Array.isArray(body.messages) ? body.messages : [body];
+      if (list.length > maxMessages)
+        return {
+          error: `Too many messages (at most ${maxMessages})`,
+          messages: [],
+        };
+      return {
+        messages: list
+          .map((m) => ({
+            text: String(m?.text || "").trim(),
+            target: m?.id ?? null,
+          }))
+          .filter((m) => m.text),
+      };
+    },
+  };
+}
+
+/* ---------- Slack (Events API) ---------- */
+// <https://x.example|x.example> → https://x.example
+const slackText = (t) =>
+  String(t || "").replace(/<((?:https?|mailto):[^|>]+)(?:\|[^>]*)?>/g, "$1");
+
+export function slackAdapter({
+  signingSecret,
+  botToken,
+  apiUrl = "https://slack.com/api",
+}) {
+  return {
+    name: "slack",
+    verify(req) {
+      const ts = Number(req.get("x-slack-request-timestamp"));
+      if (!isFresh(ts)) return false;
+      const base = Buffer.concat([Buffer.from(`v0:${ts}:`), rawOf(req)]);
+      return safeEqual(
+        req.get("x-slack-signature") || "",
+        `v0=${hmacHex(signingSecret, base)}`
+      );
+    },
+    parse(body = {}, req) {
+      if (body.type === "url_verification")
+        return { challenge: body.challenge, messages: [] };
+      // Every event is acknowledged at once, so retries would double-reply
+      if (req?.get("x-slack-retry-num")) return { messages: [] };
+      const e = body.event;
+      // Skip edits, joins and bot posts (including our own replies)
+      if (body.type !== "event_callback" || e?.type !== "message")
+        return { messages: [] };
+      if (e.subtype || e.bot_id) return { messages: [] };
+      const text = slackText(e.text).trim();
+      return {
+        messages: text
+          ? [
+              {
+                text,
+                target: { channel: e.channel, thread_ts: e.thread_ts || e.ts },
+              },
+            ]
+          : [],
+      };
+    },
+    send: (target, result, reportUrl) =>
+      postJSON(
+        "slack",
+        `${apiUrl}/chat.postMessage`,
+        {
+          ...target,
+          text: formatReply(result, { style: "slack", reportUrl }),
+          unfurl_links: false,
+        },
+        { Authorization: `Bearer ${botToken}` }
+      ),
+  };
+}
+
+/* ---------- Telegram (Bot API) ---------- */
+// Verified by the secret_token given to setWebhook, echoed in
+// X-Telegram-Bot-Api-Secret-Token
+export function telegramAdapter({
+  secretToken,
+  botToken,
+  apiUrl = "https://api.telegram.org",
+}) {
+  return {
+    name: "telegram",
+    verify: (req) =>
+      safeEqual(req.get("x-telegram-bot-api-secret-token") || "", secretToken),
+    parse(body = {}) {
+      const m = body.message || body.channel_post;
+      if (!m || m.from?.is_bot) return { messages: [] };
+      // Links hidden behind text (text_link entities) are appended
+      const hidden = [...(m.entities || []), ...(m.caption_entities || [])]
+        .filter((e) => e.type === "text_link" && e.url)
+        .map((e) => e.url);
+      const text = [m.text || m.caption || "", ...hidden].join("\n").trim();
+      return {
+        messages: text
+          ? [
+              {
+                text,
+                target: {
+                  chat_id: m.chat.id,
+                  reply_to_message_id: m.message_id,
+                },
+              },
+            ]
+          : [],
+      };
+    },
+    send: (target, result, reportUrl) =>
+      postJSON("telegram", `${apiUrl}/bot${botToken}/sendMessage`, {
+        ...target,
+        text: formatReply(result, { style: "html", reportUrl }),
+        parse_mode: "HTML",
+        disable_web_page_preview: true,
+      }),
+  };
+}
+
+/* ---------- WhatsApp (Cloud API) ---------- */
+// X-Hub-Signature-256: sha256=HMAC-SHA256(app secret, raw body); the GET
+// subscription handshake echoes hub.challenge for the right verify token.
+// Meta signs no timestamp, so each message's own timestamp must be recent
+// and its id new.
+export function whatsappAdapter({
+  appSecret,
+  verifyToken,
+  accessToken,
+  apiUrl = "https://graph.facebook.com/v20.0",
+}) {
+  const replays = createReplayGuard();
+  return {
+    name: "whatsapp",
+    verify: (req) =>
+      safeEqual(
+        req.get("x-hub-signature-256") || "",
+        `sha256=${hmacHex(appSecret, rawOf(req))}`
+      ),
+    handshake: (req) =>
+      req.query["hub.mode"] === "subscribe" &&
+      verifyToken &&
+      safeEqual(req.query["hub.verify_token"] || "", verifyToken)
+        ? String(req.query["hub.challenge"] ?? "")
+        : null,
+    parse: (body = {}) => ({
+      messages: (body.entry || [])
+        .flatMap((e) => e.changes || [])
+        .flatMap(({ value }) =>
+          (value?.messages || [])
+            .filter((m) => isFresh(Number(m.timestamp)))
+            .map((m) => ({
+              text: String(m.text?.body || m.image?.caption || "").trim(),
+              target: {
+                phoneNumberId: value.metadata?.phone_number_id,
+                to: m.from,
+                messageId: m.id,
+              },
+            }))
+        )
+        .filter((m) => m.text && m.target.phoneNumberId)
+        .filter((m) => replays.first(String(m.target.messageId))),
+    }),
+    send: ({ phoneNumberId, to, messageId }, result, reportUrl) =>
+      postJSON(
+        "whatsapp",
+        `${apiUrl}/${phoneNumberId}/messages`,
+        {
+          messaging_product: "whatsapp",
+          to,
+          type: "text",
+          context: { message_id: messageId },
+          text: { body: formatReply(result, { style: "markdown", reportUrl }) },
+        },
+        { Authorization: `Bearer ${accessToken}` }
+      ),
+  };
+}
+
+// Only adapters whose secrets are set are enabled
+export function webhooksFromEnv(env = process.env) {
+  const hooks = {};
+  if (env.WEBHOOK_SECRET)
+    hooks.generic = genericAdapter({
+      secret: env.WEBHOOK_SECRET,
+      maxMessages: Number(env.WEBHOOK_MAX_MESSAGES) || undefined,
+    });
+  if (env.SLACK_SIGNING_SECRET && env.SLACK_BOT_TOKEN)
+    hooks.slack = slackAdapter({
+      signingSecret: env.SLACK_SIGNING_SECRET,
+      botToken: env.SLACK_BOT_TOKEN,
+      apiUrl: env.SLACK_API_URL || undefined,
+    });
+  if (env.TELEGRAM_WEBHOOK_SECRET && env.TELEGRAM_BOT_TOKEN)
+    hooks.telegram = telegramAdapter({
+      secretToken: env.TELEGRAM_WEBHOOK_SECRET,
+      botToken: env.TELEGRAM_BOT_TOKEN,
+      apiUrl: env.TELEGRAM_API_URL || undefined,
+    });
+  if (env.WHATSAPP_APP_SECRET && env.WHATSAPP_TOKEN)
+    hooks.whatsapp = whatsappAdapter({
+      appSecret: env.WHATSAPP_APP_SECRET,
+      verifyToken: env.WHATSAPP_VERIFY_TOKEN,
+      accessToken: env.WHATSAPP_TOKEN,
+      apiUrl: env.WHATSAPP_API_URL || undefined,
+    });
+  return hooks;
+}
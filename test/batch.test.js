@@ -0,0 +1,71 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  createItemBudget,
+  createJobStore,
+  mapLimit,
+  toCsv,
+} from "../lib/batch.js";
+
+test("CSV cells that a spreadsheet would evaluate get a leading quote", () => {
+  const csv = toCsv(
+    [
+      { input: '=HYPERLINK("https://evil.example","x")' },
+      { input: "+1" },
+      { input: "-2+3" },
+      { input: "@SUM(A1)" },
+      { input: "\tcmd" },
+      { input: "https://ok.example/?a=1" },
+    ],
+    [["input", (r) => r.input]]
+  );
+  assert.deepEqual(csv.split("\r\n"), [
+    "input",
+    '"\'=HYPERLINK(""https://evil.example"",""x"")"',
+    "'+1",
+    "'-2+3",
+    "'@SUM(A1)",
+    "'\tcmd",
+    "https://ok.example/?a=1",
+  ]);
+});
+
+test("mapLimit keeps input order with bounded parallelism", async () => {
+  let running = 0;
+  let peak = 0;
+  const out = await mapLimit([30, 10, 20, 5], 2, async (ms, i) => {
+    peak = Math.max(peak, ++running);
+    await new Promise((r) => setTimeout(r, ms));
+    running--;
+    return i;
+  });
+  assert.deepEqual(out, [0, 1, 2, 3]);
+  assert.equal(peak, 2);
+});
+
+test("job store caps unfinished jobs per owner and overall", () => {
+  const jobs = createJobStore({ maxActive: 3, maxPerOwner: 2 });
+  const a1 = jobs.create(1, "a");
+  assert.ok(jobs.create(1, "a"));
+  assert.equal(jobs.create(1, "a"), null);
+  assert.ok(jobs.create(1, "b"));
+  assert.equal(jobs.create(1, "c"), null);
+  a1.finishedAt = Date.now();
+  assert.ok(jobs.create(1, "a"));
+  assert.equal(jobs.get(a1.id), a1);
+});
+
+test("finished jobs are dropped after ttlMs", () => {
+  const jobs = createJobStore({ ttlMs: 0 });
+  const j = jobs.create(1, "a");
+  j.finishedAt = Date.now() - 1;
+  assert.equal(jobs.get(j.id), null);
+});
+
+test("item budget spends per item within the window", () => {
+  const budget = createItemBudget({ windowMs: 60_000 });
+  assert.equal(budget.take("key:1", 50, 60), true);
+  assert.equal(budget.take("key:1", 11, 60), false);
+  assert.equal(budget.take("key:1", 10, 60), true);
+  assert.equal(budget.take("key:2", 60, 60), true);
+});
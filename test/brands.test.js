@@ -0,0 +1,75 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { brandMention, brandSignals, DEFAULT_BRANDS } from "../lib/brands.js";
+
+const techniques = (url) =>
+  brandSignals(url).matches.map((m) => `${m.brand}:${m.technique}`);
+
+test("official domains and their subdomains match nothing", () => {
+  assert.deepEqual(techniques("https://www.paypal.com/signin"), []);
+  assert.deepEqual(techniques("https://login.microsoftonline.com/"), []);
+});
+
+test("brands inside another domain or its subdomains are reported", () => {
+  assert.deepEqual(techniques("https://paypal-secure-login.xyz/"), [
+    "PayPal:brand_in_domain",
+  ]);
+  assert.deepEqual(techniques("https://paypal.com.account-check.xyz/"), [
+    "PayPal:brand_outside_domain",
+  ]);
+});
+
+test("paths and queries naming a brand are not impersonation", () => {
+  assert.deepEqual(
+    techniques("https://reviews.example/compare/paypal-vs-stripe?q=chase"),
+    []
+  );
+});
+
+test("look-alike characters and punycode homoglyphs are reported", () => {
+  assert.deepEqual(techniques("https://paypa1.com/"), [
+    "PayPal:lookalike_characters",
+  ]);
+  assert.deepEqual(techniques("https://xn--pypal-4ve.com/"), [
+    "PayPal:homoglyph",
+  ]);
+});
+
+test("typosquats: swapped, doubled, dropped and look-alike letters", () => {
+  for (const [url, brand] of [
+    ["https://paypla.com/", "PayPal"],
+    ["https://gooogle.net/", "Google"],
+    ["https://facebok.com/", "Facebook"],
+    ["https://netfilx.co/", "Netflix"],
+    ["https://appie.com/", "Apple"],
+    ["https://arnazon.shop/", "Amazon"],
+  ])
+    assert.deepEqual(
+      brandSignals(url).matches.map((m) => m.brand),
+      [brand],
+      url
+    );
+});
+
+test("ordinary words next to a brand name are not typosquats", () => {
+  for (const url of [
+    "https://whatsup.com/",
+    "https://coinage.com/",
+    "https://cease.com/",
+    "https://chasse.fr/",
+    "https://applet.dev/",
+    "https://apply.com/",
+    "https://finance-news.org/",
+    "https://goggle.shop/",
+    "https://chaise.example/",
+  ])
+    assert.deepEqual(techniques(url), [], url);
+});
+
+test("brand mentions match whole words only", () => {
+  const chase = DEFAULT_BRANDS.find((b) => b.name === "Chase");
+  const wells = DEFAULT_BRANDS.find((b) => b.name === "Wells Fargo");
+  assert.equal(brandMention("Your Chase account is locked", chase), "chase");
+  assert.equal(brandMention("Complete your purchase", chase), null);
+  assert.equal(brandMention("wells-fargo alert", wells), "wellsfargo");
+});
@@ -0,0 +1,76 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { createFileCache, createMemoryCache } from "../lib/cache.js";
+
+const tmpDir = () => fs.mkdtempSync(path.join(os.tmpdir(), "cache-"));
+const result = { verdict: "safe", ela: { map: "data:image/png;base64,AAAA" } };
+
+test("memory cache is an LRU with TTLs", async () => {
+  const cache = createMemoryCache({ maxEntries: 2 });
+  await cache.set("a", 1);
+  await cache.set("b", 2);
+  await cache.get("a");
+  await cache.set("c", 3);
+  assert.equal(await cache.get("b"), null);
+  assert.equal(await cache.get("a"), 1);
+  await cache.set("gone", 1, -1);
+  assert.equal(await cache.get("gone"), null);
+});
+
+test("cached values leave out data: URLs", async () => {
+  for (const cache of [
+    createMemoryCache(),
+    createFileCache({ dir: tmpDir() }),
+  ]) {
+    await cache.set("image:x", result);
+    assert.deepEqual(await cache.get("image:x"), {
+      verdict: "safe",
+      ela: { map: null },
+    });
+  }
+  assert.equal(result.ela.map.startsWith("data:"), true);
+});
+
+test("file caches on one directory share writes, deletes and purges", async () => {
+  const dir = tmpDir();
+  const a = createFileCache({ dir });
+  const b = createFileCache({ dir });
+  await a.set("url:1", { n: 1 });
+  await a.set("url:2", { n: 2 });
+  await a.set("claim:1", { n: 3 });
+  assert.deepEqual(await b.get("url:1"), { n: 1 });
+
+  assert.equal(await b.delete("url:1"), true);
+  assert.equal(await a.get("url:1"), null);
+
+  assert.equal(await b.purge("url:"), 1);
+  assert.equal(await a.get("url:2"), null);
+  assert.deepEqual(
+    (await a.list()).map((e) => e.key),
+    ["claim:1"]
+  );
+});
+
+test("the file cache trims expired and oldest entries to its caps", async () => {
+  const dir = tmpDir();
+  const cache = createFileCache({ dir, maxBytes: 150, trimMs: 0 });
+  await cache.set("old", { pad: "x".repeat(60) });
+  await new Promise((r) => setTimeout(r, 20));
+  await cache.set("expired", { n: 1 }, -1);
+  await cache.set("new", { pad: "y".repeat(60) });
+  await cache.settled();
+  // A write during a running trim skips its own; this one sees every file
+  await cache.set("new", { pad: "y".repeat(60) });
+  await cache.settled();
+  assert.equal(await cache.get("old"), null);
+  assert.deepEqual(
+    (await cache.list()).map((e) => e.key),
+    ["new"]
+  );
+  const stats = await cache.stats();
+  assert.equal(stats.size, 1);
+  assert.ok(stats.bytes <= 150);
+});
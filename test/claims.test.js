@@ -0,0 +1,102 @@
+import assert from "node:assert/strict";
+import http from "node:http";
+import { after, before, test } from "node:test";
+
+// The stand-in Fact Check server is on loopback, which safeFetch refuses
+// unless allowlisted before the module loads
+process.env.FETCH_ALLOWLIST = "127.0.0.1";
+const { claimVerdict, factCheckProvider, fixtureProvider, verifyClaim } =
+  await import("../lib/claims.js");
+
+let server;
+let baseUrl;
+let lastRequest;
+before(async () => {
+  server = http.createServer((req, res) => {
+    lastRequest = req;
+    res.setHeader("content-type", "application/json");
+    res.end(
+      JSON.stringify({
+        claims: [
+          {
+            text: "Drinking hot water kills the coronavirus",
+            claimReview: [{ textualRating: "False", url: "https://fc/1" }],
+          },
+          {
+            text: "Vitamin C pills cure the flu overnight",
+            claimReview: [{ textualRating: "False", url: "https://fc/2" }],
+          },
+        ],
+      })
+    );
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  baseUrl = `http://127.0.0.1:${server.address().port}/claims:search`;
+});
+after(() => server.close());
+
+test("the fixture provider answers offline from fixtures/evidence.json", async () => {
+  const out = await verifyClaim("Drinking hot water kills the coronavirus.", {
+    providers: [fixtureProvider("fixtures/evidence.json")],
+  });
+  assert.equal(out.verdict, "likely false");
+  assert.equal(out.statements[0].assessment, "refuted");
+  assert.equal(out.statements[0].sources[0].provider, "fixture");
+  assert.deepEqual(out.providers, [{ name: "fixture", status: "ok" }]);
+});
+
+test("fact checks about a different claim are dropped", async () => {
+  const provider = factCheckProvider({ apiKey: "k", baseUrl });
+  const sources = await provider.search({
+    text: "Drinking hot water kills the coronavirus",
+  });
+  assert.deepEqual(
+    sources.map((s) => s.url),
+    ["https://fc/1"]
+  );
+  assert.equal(lastRequest.headers["x-goog-api-key"], "k");
+  assert.doesNotMatch(lastRequest.url, /key=/);
+
+  const loose = await verifyClaim("The flu season started early this year.", {
+    providers: [provider],
+  });
+  assert.equal(loose.statements[0].sources.length, 0);
+  assert.equal(loose.verdict, "unverified");
+});
+
+test("provider failures become short statuses", async () => {
+  const out = await verifyClaim("Bitcoin was launched in January 2009.", {
+    providers: [
+      factCheckProvider({ apiKey: "k", baseUrl: "http://10.0.0.1/x" }),
+    ],
+  });
+  assert.equal(out.providers[0].status, "error: blocked (private_address)");
+  assert.equal(out.verdict, "unverified");
+});
+
+test("likely false and likely true need medium or high confidence", () => {
+  assert.equal(
+    claimVerdict([{ assessment: "refuted", confidence: 0.3 }]),
+    "unverified"
+  );
+  assert.equal(
+    claimVerdict([{ assessment: "refuted", confidence: 0.5 }]),
+    "likely false"
+  );
+  assert.equal(
+    claimVerdict([
+      { assessment: "supported", confidence: 0.8 },
+      { assessment: "supported", confidence: 0.2 },
+    ]),
+    "unverified"
+  );
+  assert.equal(
+    claimVerdict([{ assessment: "supported", confidence: 0.75 }]),
+    "likely true"
+  );
+  assert.equal(
+    claimVerdict([{ assessment: "disputed", confidence: 0.3 }]),
+    "misleading"
+  );
+  assert.equal(claimVerdict([]), "unverified");
+});
@@ -0,0 +1,105 @@
+import assert from "node:assert/strict";
+import http from "node:http";
+import { after, before, test } from "node:test";
+
+// The stand-in RDAP server is on loopback, which safeFetch refuses unless
+// allowlisted before the module loads
+process.env.FETCH_ALLOWLIST = "127.0.0.1";
+const { domainAge, domainAgeProviderFromEnv, fixtureProvider, rdapProvider } =
+  await import("../lib/domainAge.js");
+const { DEFAULT_RULES } = await import("../lib/scoring.js");
+
+const DAY = 86_400_000;
+const daysAgo = (n) => new Date(Date.now() - n * DAY).toISOString();
+
+let server;
+let baseUrl;
+before(async () => {
+  server = http.createServer((req, res) => {
+    if (req.url === "/domain/unknown.example") {
+      res.statusCode = 404;
+      return res.end();
+    }
+    if (req.url === "/domain/broken.example") {
+      res.statusCode = 503;
+      return res.end();
+    }
+    res.setHeader("content-type", "application/rdap+json");
+    res.end(
+      JSON.stringify({
+        events: [
+          { eventAction: "last changed", eventDate: daysAgo(1) },
+          { eventAction: "registration", eventDate: daysAgo(3) },
+        ],
+        entities: [
+          {
+            roles: ["registrar"],
+            handle: "1234",
+            vcardArray: ["vcard", [["fn", {}, "text", "Example Registrar"]]],
+          },
+        ],
+      })
+    );
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  baseUrl = `http://127.0.0.1:${server.address().port}/domain/`;
+});
+after(() => server.close());
+
+test("the fixture provider answers offline from fixtures/domain-age.json", async () => {
+  const provider = fixtureProvider("fixtures/domain-age.json");
+  const old = await domainAge("PayPal.com", provider);
+  assert.equal(old.registered, "1999-07-15T05:32:11.000Z");
+  assert.equal(old.registrar, "MarkMonitor Inc.");
+  assert.equal(old.source, "fixture");
+  assert.ok(old.ageDays > 9000);
+
+  const unknown = await domainAge("not-in-fixture.example", provider);
+  assert.equal(unknown.registered, null);
+  assert.equal(unknown.ageDays, null);
+});
+
+test("RDAP registration date and registrar are read from the response", async () => {
+  const out = await domainAge("new.example", rdapProvider({ baseUrl }));
+  assert.equal(out.ageDays, 3);
+  assert.equal(out.registrar, "Example Registrar");
+  assert.equal(out.source, "rdap");
+});
+
+test("an unregistered domain has no age, a failing server an error", async () => {
+  const provider = rdapProvider({ baseUrl });
+  const missing = await domainAge("unknown.example", provider);
+  assert.equal(missing.ageDays, null);
+  assert.equal(missing.error, undefined);
+  assert.match((await domainAge("broken.example", provider)).error, /503/);
+});
+
+test("DOMAIN_AGE_PROVIDER picks the provider", async () => {
+  assert.equal(domainAgeProviderFromEnv({}).name, "rdap");
+  assert.equal(
+    domainAgeProviderFromEnv({ DOMAIN_AGE_PROVIDER: "fixture" }).name,
+    "fixture"
+  );
+  const none = domainAgeProviderFromEnv({ DOMAIN_AGE_PROVIDER: "NONE" });
+  assert.deepEqual(await domainAge("example.com", none), {
+    domain: "example.com",
+    registered: null,
+    ageDays: null,
+    registrar: null,
+    source: "none",
+    disabled: true,
+  });
+});
+
+test("new_domain fires under 30 days, young_domain under 180", () => {
+  const rule = (id) => DEFAULT_RULES.find((r) => r.id === id).test;
+  const facts = (ageDays) => ({ domainAge: { ageDays } });
+  assert.equal(rule("new_domain")(facts(3)), true);
+  assert.equal(rule("young_domain")(facts(3)), false);
+  assert.equal(rule("new_domain")(facts(90)), false);
+  assert.equal(rule("young_domain")(facts(90)), true);
+  for (const ageDays of [2000, null]) {
+    assert.equal(rule("new_domain")(facts(ageDays)), false);
+    assert.equal(rule("young_domain")(facts(ageDays)), false);
+  }
+});
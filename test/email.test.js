@@ -0,0 +1,82 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { DEFAULT_BRANDS } from "../lib/brands.js";
+import { analyzeEmail, parseAuthResults } from "../lib/email.js";
+
+// Our receiving server adds its header on top; the one below came with the
+// message and claims everything passed
+const OURS =
+  "Authentication-Results: mx.ours.example; spf=fail smtp.mailfrom=paypa1.example; dkim=none; dmarc=fail header.from=paypal.com";
+const FORGED =
+  "Authentication-Results: mx.google.com; spf=pass; dkim=pass; dmarc=pass";
+
+const eml = (headers, body = "Please log in at https://paypa1.example/login") =>
+  Buffer.from(
+    [
+      ...headers,
+      "From: PayPal Service <service@paypa1.example>",
+      "To: you@example.com",
+      "Subject: Account limited",
+      "Date: Mon, 12 Oct 2026 09:00:00 +0000",
+      "Content-Type: text/plain",
+      "",
+      body,
+    ].join("\r\n")
+  );
+const flagIds = (out) => out.flags.map((f) => f.id);
+
+test("only the topmost Authentication-Results header counts", () => {
+  assert.deepEqual(parseAuthResults([OURS, FORGED]), {
+    spf: "fail",
+    dkim: "none",
+    dmarc: "fail",
+    authservId: "mx.ours.example",
+  });
+  // A forged header underneath can't turn a fail into a pass
+  assert.equal(parseAuthResults([FORGED, OURS]).dmarc, "pass");
+});
+
+test("with authserv-ids configured, the first matching header counts", () => {
+  const opts = { authservIds: ["mx.ours.example"] };
+  assert.equal(parseAuthResults([FORGED, OURS], opts).dmarc, "fail");
+  assert.equal(
+    parseAuthResults([FORGED, OURS], opts).authservId,
+    "mx.ours.example"
+  );
+  assert.deepEqual(parseAuthResults([FORGED], opts), {
+    spf: null,
+    dkim: null,
+    dmarc: null,
+    authservId: null,
+  });
+});
+
+test("an uploaded message is judged by the trusted header", async () => {
+  const out = await analyzeEmail(eml([OURS, FORGED]), {
+    brands: DEFAULT_BRANDS,
+  });
+  assert.equal(out.auth.authservId, "mx.ours.example");
+  const ids = flagIds(out);
+  assert.ok(ids.includes("spf_fail"));
+  assert.ok(ids.includes("dmarc_fail"));
+  assert.ok(!ids.includes("dkim_fail"), "dkim=none is not a failure");
+});
+
+test("a message carrying only someone else's header has no auth results", async () => {
+  const out = await analyzeEmail(eml([FORGED]), {
+    authservIds: ["mx.ours.example"],
+  });
+  const flag = out.flags.find((f) => f.id === "no_auth_results");
+  assert.equal(
+    flag.detail,
+    "No Authentication-Results header from mx.ours.example"
+  );
+  assert.ok(!flagIds(out).includes("dmarc_fail"));
+});
+
+test("a brand in the display name on a foreign domain is a spoof", async () => {
+  const out = await analyzeEmail(eml([OURS]), { brands: DEFAULT_BRANDS });
+  const flag = out.flags.find((f) => f.id === "display_name_spoof");
+  assert.equal(flag.brand, "PayPal");
+  assert.deepEqual(out.links, ["https://paypa1.example/login"]);
+});
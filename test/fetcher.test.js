@@ -0,0 +1,119 @@
+import assert from "node:assert/strict";
+import http from "node:http";
+import { after, before, test } from "node:test";
+
+// Only the stand-in server's hostname is allowlisted; loopback addresses
+// stay blocked
+process.env.FETCH_ALLOWLIST = "localhost";
+const { blockedRange, FetchBlockedError, readBody, safeFetch, vetHost } =
+  await import("../lib/fetcher.js");
+
+let server;
+let base;
+before(async () => {
+  server = http.createServer((req, res) => {
+    const [, route, arg] = req.url.split("/");
+    if (route === "bytes") return res.end(Buffer.alloc(Number(arg), 97));
+    if (route === "to") {
+      res.writeHead(302, { location: decodeURIComponent(arg) });
+      return res.end();
+    }
+    if (route === "drip") {
+      res.writeHead(200, { "content-type": "text/html" });
+      const t = setInterval(() => res.write("a"), 50);
+      return res.on("close", () => clearInterval(t));
+    }
+    res.end("ok");
+  });
+  await new Promise((r) => server.listen(0, r));
+  base = `http://localhost:${server.address().port}`;
+});
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+const blockedReason = (promise) =>
+  promise.then(
+    () => null,
+    (e) => (e instanceof FetchBlockedError ? e.blocked.reason : e.name)
+  );
+
+test("private, loopback, link-local and mapped addresses are blocked", () => {
+  for (const addr of [
+    "127.0.0.1",
+    "10.1.2.3",
+    "172.16.0.1",
+    "192.168.1.1",
+    "169.254.169.254",
+    "0.0.0.0",
+    "::1",
+    "fc00::1",
+    "fe80::1",
+    "::ffff:127.0.0.1",
+    "::ffff:169.254.169.254",
+  ])
+    assert.notEqual(blockedRange(addr), null, addr);
+  assert.equal(blockedRange("93.184.216.34"), null);
+  assert.equal(blockedRange("2606:4700::1111"), null);
+});
+
+test("hosts are vetted by every address they resolve to", async () => {
+  assert.equal(await blockedReason(vetHost("127.0.0.1")), "private_address");
+  assert.equal(await blockedReason(vetHost("[::1]")), "private_address");
+  assert.ok((await vetHost("localhost")).address);
+});
+
+test("only http and https are fetched", async () => {
+  assert.equal(
+    await blockedReason(safeFetch("file:///etc/passwd")),
+    "unsupported_scheme"
+  );
+  assert.equal(
+    await blockedReason(safeFetch("gopher://localhost/")),
+    "unsupported_scheme"
+  );
+});
+
+test("redirects are vetted hop by hop", async () => {
+  const metadata = encodeURIComponent("http://169.254.169.254/latest/");
+  assert.equal(
+    await blockedReason(safeFetch(`${base}/to/${metadata}`)),
+    "private_address"
+  );
+  const r = await safeFetch(`${base}/to/${encodeURIComponent(`${base}/x`)}`);
+  assert.equal((await readBody(r)).buffer.toString(), "ok");
+});
+
+test("declared bodies over maxBytes are refused up front", async () => {
+  assert.equal(
+    await blockedReason(safeFetch(`${base}/bytes/2000`, { maxBytes: 1000 })),
+    "body_too_large"
+  );
+});
+
+test("readBody reports truncation, including at an exact chunk boundary", async () => {
+  const exact = await readBody(await safeFetch(`${base}/bytes/1000`), 1000);
+  assert.equal(exact.buffer.length, 1000);
+  assert.equal(exact.truncated, false);
+
+  const over = await readBody(await safeFetch(`${base}/bytes/1001`), 1000);
+  assert.equal(over.buffer.length, 1000);
+  assert.equal(over.truncated, true);
+
+  // A stream whose first chunk fills the limit exactly, with more to come
+  async function* chunks() {
+    yield Buffer.alloc(10);
+    yield Buffer.alloc(1);
+  }
+  const split = await readBody({ body: chunks() }, 10);
+  assert.equal(split.buffer.length, 10);
+  assert.equal(split.truncated, true);
+});
+
+test("the timeout also covers reading the body", async () => {
+  const r = await safeFetch(`${base}/drip`, { timeout: 300 });
+  const started = Date.now();
+  await assert.rejects(readBody(r, 1_000_000), { name: "AbortError" });
+  assert.ok(Date.now() - started < 2000);
+});
@@ -0,0 +1,99 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { test } from "node:test";
+import { createFingerprintStore } from "../lib/fingerprint.js";
+
+const kit = {
+  favicon: "f1",
+  dom: "d1",
+  title: "sign in to {site}",
+  scripts: [],
+};
+const tmpFile = () =>
+  path.join(fs.mkdtempSync(path.join(os.tmpdir(), "fp-")), "fp.json");
+
+test("model verdicts alone don't make a kit a scam kit", () => {
+  const store = createFingerprintStore({ file: tmpFile() });
+  store.record({
+    url: "https://clone.example/",
+    verdict: "likely scam",
+    fingerprint: kit,
+  });
+  const m = store.match(kit, { url: "https://real-shop.example/" });
+  assert.equal(m.domainCount, 2);
+  assert.equal(m.scamDomains, 0);
+});
+
+test("blocklisted members count as scams, recorded or added later", () => {
+  const blocked = new Set(["https://late.example/"]);
+  const store = createFingerprintStore({
+    file: tmpFile(),
+    isBlocked: (url) => blocked.has(url),
+  });
+  store.record({
+    url: "https://listed.example/",
+    verdict: "likely scam",
+    fingerprint: kit,
+    listed: true,
+  });
+  store.record({
+    url: "https://late.example/",
+    verdict: "suspicious",
+    fingerprint: kit,
+  });
+  assert.equal(
+    store.match(kit, { url: "https://new.example/" }).scamDomains,
+    2
+  );
+});
+
+test("confirming a cluster counts its members judged likely scam", () => {
+  const store = createFingerprintStore({ file: tmpFile() });
+  store.record({
+    url: "https://a.example/",
+    verdict: "likely scam",
+    fingerprint: kit,
+  });
+  const cluster = store.record({
+    url: "https://b.example/",
+    verdict: "safe",
+    fingerprint: kit,
+  });
+  assert.equal(cluster.scamDomains, 0);
+  assert.equal(store.update(cluster.id, { confirmed: true }).scamDomains, 1);
+  assert.equal(store.match(kit, { url: "https://c.example/" }).scamDomains, 1);
+  assert.equal(store.update(cluster.id, { confirmed: false }).scamDomains, 0);
+});
+
+test("brand domains are never stored or matched", () => {
+  const store = createFingerprintStore({
+    file: tmpFile(),
+    ignoreDomains: ["paypal.com"],
+  });
+  assert.equal(
+    store.record({
+      url: "https://www.paypal.com/",
+      verdict: "safe",
+      fingerprint: kit,
+    }),
+    null
+  );
+  assert.equal(store.match(kit, { url: "https://x.example/" }), null);
+});
+
+test("writes are batched and land on disk after flushMs", async () => {
+  const file = tmpFile();
+  const store = createFingerprintStore({ file, flushMs: 20 });
+  for (const n of [1, 2, 3])
+    store.record({
+      url: `https://s${n}.example/`,
+      verdict: "safe",
+      fingerprint: kit,
+    });
+  assert.equal(fs.existsSync(file), false);
+  await new Promise((r) => setTimeout(r, 60));
+  assert.equal(JSON.parse(fs.readFileSync(file, "utf8")).pages.length, 3);
+  assert.equal(createFingerprintStore({ file }).clusters().length, 1);
+});
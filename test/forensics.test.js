@@ -0,0 +1,47 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  analyzeImageForensics,
+  estimateQuality,
+  parseJpegSegments,
+} from "../lib/forensics.js";
+import { encodeJpeg } from "../lib/imaging.js";
+
+// A smooth 64×64 gradient; content doesn't matter to the table checks
+const gradient = () => {
+  const data = Buffer.alloc(64 * 64 * 4);
+  for (let i = 0; i < 64 * 64; i++)
+    data.set([(i % 64) * 4, Math.floor(i / 64) * 4, 128, 255], i * 4);
+  return { width: 64, height: 64, data };
+};
+
+test("quantization tables read back as the quality they were saved at", () => {
+  for (const quality of [50, 75, 90]) {
+    const { quantTables } = parseJpegSegments(encodeJpeg(gradient(), quality));
+    const [luma, chroma] = [0, 1].map(
+      (id) => quantTables.find((t) => t.id === id).values
+    );
+    assert.deepEqual(estimateQuality(luma), {
+      quality,
+      standard: true,
+      deviation: 0,
+    });
+    assert.equal(estimateQuality(chroma).standard, false);
+  }
+});
+
+test("an IJG-encoded JPEG reports standard luma and chroma tables", async () => {
+  const out = await analyzeImageForensics(encodeJpeg(gradient(), 80));
+  assert.equal(out.format, "jpeg");
+  const { luma, chroma, tables } = out.jpeg.quantization;
+  assert.equal(tables, 2);
+  assert.equal(luma.quality, 80);
+  assert.equal(chroma.quality, 80);
+  assert.equal(chroma.standard, true);
+  assert.ok(!out.signals.some((s) => s.id === "custom_quantization"));
+});
+
+test("a hand-made table is flagged as non-standard", () => {
+  const odd = Array.from({ length: 64 }, (_, i) => 1 + (i % 7) * 9);
+  assert.equal(estimateQuality(odd).standard, false);
+});
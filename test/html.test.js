@@ -0,0 +1,110 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { parse } from "node-html-parser";
+import { DEFAULT_BRANDS } from "../lib/brands.js";
+import { analyzeHtml, visibleText } from "../lib/html.js";
+
+const PAGE = "https://login-check.example/account";
+const ids = (html, url = PAGE) =>
+  analyzeHtml(html, url, { brands: DEFAULT_BRANDS }).findings.map((f) => f.id);
+
+test("sensitive inputs are classified from their hints", () => {
+  const { forms } = analyzeHtml(
+    `<form method="POST">
+      <input type="email" name="user">
+      <input type="password" name="pw">
+      <input name="cc-number" placeholder="Card number">
+      <input autocomplete="one-time-code">
+      <textarea name="mnemonic" placeholder="12 word recovery phrase"></textarea>
+      <input type="hidden" name="otp_token">
+    </form>`,
+    PAGE
+  );
+  assert.equal(forms[0].method, "post");
+  assert.equal(forms[0].action, PAGE);
+  assert.deepEqual(forms[0].sensitiveInputs.sort(), [
+    "card",
+    "otp",
+    "password",
+    "seed_phrase",
+  ]);
+});
+
+test("a form posting elsewhere is cross-domain, high when it asks for secrets", () => {
+  const html = (input) =>
+    `<form action="https://collect.evil.example/p">${input}</form>`;
+  const withPassword = analyzeHtml(html('<input type="password">'), PAGE);
+  const f = withPassword.findings.find((x) => x.id === "cross_domain_form");
+  assert.equal(f.severity, "high");
+  assert.equal(f.evidence, "login-check.example → collect.evil.example");
+
+  const search = analyzeHtml(html('<input name="q">'), PAGE);
+  assert.equal(
+    search.findings.find((x) => x.id === "cross_domain_form").severity,
+    "medium"
+  );
+  // Same registrable domain is not cross-domain
+  assert.ok(
+    !ids('<form action="https://auth.login-check.example/p"></form>').includes(
+      "cross_domain_form"
+    )
+  );
+});
+
+test("mailto and plain-HTTP form targets are flagged", () => {
+  assert.ok(
+    ids(
+      '<form action="mailto:drop@example.com"><input type="password"></form>'
+    ).includes("unusual_form_action")
+  );
+  assert.ok(
+    ids('<form action="http://login-check.example/p"></form>').includes(
+      "insecure_form_action"
+    )
+  );
+});
+
+test("brand mismatch needs a brand in the title and a form asking for secrets", () => {
+  const page = (form) =>
+    `<title>PayPal - Log in to your account</title>${form}`;
+  assert.ok(
+    ids(page('<form><input type="password"></form>')).includes("brand_mismatch")
+  );
+  assert.ok(
+    !ids(page('<form><input name="q"></form>')).includes("brand_mismatch")
+  );
+  assert.ok(!ids(page("")).includes("brand_mismatch"));
+  // On the brand's own host
+  assert.ok(
+    !ids(
+      page('<form><input type="password"></form>'),
+      "https://www.paypal.com/signin"
+    ).includes("brand_mismatch")
+  );
+  // "Purchase" is not Chase
+  assert.ok(
+    !ids(
+      '<title>Purchase history</title><form><input type="password"></form>'
+    ).includes("brand_mismatch")
+  );
+});
+
+test("hidden iframes, obfuscated scripts and devtools traps", () => {
+  const found = ids(`
+    <iframe src="https://track.example" width="1" height="1"></iframe>
+    <script>eval(atob("YWxlcnQoMSk="))</script>
+    <body oncontextmenu="return false">
+    <script>document.onkeydown = (e) => { if (e.keyCode == 123) return false }</script>
+  `);
+  for (const id of ["hidden_iframe", "obfuscated_script", "devtools_trap"])
+    assert.ok(found.includes(id), id);
+  assert.deepEqual(ids("<p>Plain page</p><script>var x = 1</script>"), []);
+});
+
+test("visible text leaves out scripts, styles and hidden elements", () => {
+  const root = parse(
+    `<p>Shown</p><script>var x</script><style>p{}</style>
+     <div style="display:none">Hidden</div><span hidden>Also hidden</span>`
+  );
+  assert.equal(visibleText(root), "Shown");
+});
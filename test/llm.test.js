@@ -0,0 +1,129 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { z } from "zod";
+import { createLlm } from "../lib/llm.js";
+
+const usage = { inputTokens: 100, outputTokens: 10 };
+const retryable = (status) =>
+  Object.assign(new Error(`HTTP ${status}`), { retryable: true, status });
+
+// A provider that plays back `replies` in order: strings are returned as the
+// model's text, Errors are thrown
+function scripted(name, replies, extra = {}) {
+  const calls = [];
+  return {
+    name,
+    model: `${name}-model`,
+    timeout: 1000,
+    retries: 2,
+    cost: { input: 1, output: 2 },
+    calls,
+    async generate(req) {
+      calls.push(req.text);
+      const next = replies.shift();
+      if (next instanceof Error) throw next;
+      return { text: next ?? "", usage };
+    },
+    ...extra,
+  };
+}
+
+const verdict = {
+  schema: z.object({
+    risk: z.enum(["safe", "suspicious", "likely scam"]),
+    signals: z.array(z.string()),
+  }),
+  shape: '{ "risk": "safe|suspicious|likely scam", "signals": [string] }',
+};
+
+test("the first provider's JSON reply wins", async () => {
+  const a = scripted("a", ['{"risk":"safe","signals":[]}']);
+  const b = scripted("b", ['{"risk":"likely scam","signals":[]}']);
+  const llm = createLlm([a, b], { backoffMs: 0 });
+  const out = await llm.json({ text: "check", expect: verdict });
+  assert.equal(out.risk, "safe");
+  assert.equal(out._provider, "a");
+  assert.equal(out._fallback, undefined);
+  assert.equal(b.calls.length, 0);
+});
+
+test("retryable errors are retried, then the chain falls back", async () => {
+  const a = scripted("a", [retryable(503), retryable(503), retryable(503)]);
+  const b = scripted("b", ['{"risk":"suspicious","signals":["x"]}']);
+  const attempts = [];
+  const llm = createLlm([a, b], { backoffMs: 0 });
+  const out = await llm.json({
+    text: "check",
+    expect: verdict,
+    onAttempt: (x) => attempts.push(x),
+  });
+  assert.equal(out._provider, "b");
+  assert.equal(out.risk, "suspicious");
+  assert.equal(a.calls.length, 3);
+  assert.deepEqual(out._fallback, [{ provider: "a", error: "HTTP 503" }]);
+  assert.deepEqual(attempts, [
+    { provider: "a", attempt: 1 },
+    { provider: "a", attempt: 2, after: 503 },
+    { provider: "a", attempt: 3, after: 503 },
+    { provider: "b", attempt: 1 },
+  ]);
+});
+
+test("non-retryable errors skip straight to the next provider", async () => {
+  const a = scripted("a", [new Error("HTTP 401")]);
+  const b = scripted("b", ['{"risk":"safe","signals":[]}']);
+  const out = await createLlm([a, b], { backoffMs: 0 }).json({ text: "x" });
+  assert.equal(a.calls.length, 1);
+  assert.equal(out._provider, "b");
+});
+
+test("an invalid reply gets one repair prompt from the same provider", async () => {
+  const a = scripted("a", [
+    '{"risk":"maybe","signals":[]}',
+    'Sure! {"risk":"likely scam","signals":["fake login"]}',
+  ]);
+  const llm = createLlm([a], { backoffMs: 0 });
+  const out = await llm.json({ text: "check", expect: verdict });
+  assert.equal(out.risk, "likely scam");
+  assert.equal(out._repaired, true);
+  assert.equal(a.calls.length, 2);
+  assert.match(a.calls[1], /could not be used/);
+  assert.match(a.calls[1], /"risk":"maybe"/);
+  assert.equal(llm.stats().providers[0].repairs, 1);
+});
+
+test("a failed repair moves on to the next provider", async () => {
+  const a = scripted("a", ["not json", '{"risk":"unknown"}']);
+  const b = scripted("b", ['{"risk":"safe","signals":[]}']);
+  const out = await createLlm([a, b], { backoffMs: 0 }).json({
+    text: "check",
+    expect: verdict,
+  });
+  assert.equal(out._provider, "b");
+  assert.equal(out._fallback.length, 1);
+  assert.match(out._fallback[0].error, /failed validation/);
+});
+
+test("when every provider fails the last error is returned", async () => {
+  const a = scripted("a", [new Error("HTTP 400")]);
+  const b = scripted("b", ["still not json", "nope"]);
+  const out = await createLlm([a, b], { backoffMs: 0 }).json({
+    text: "check",
+    expect: verdict,
+  });
+  assert.equal(out._error, "Bad/empty JSON from b");
+  assert.equal(out.raw, "nope");
+  assert.equal(out._fallback.length, 2);
+});
+
+test("disabled providers are skipped and cost is tracked", async () => {
+  const off = scripted("off", [], { disabled: true });
+  const a = scripted("a", ['{"risk":"safe","signals":[]}']);
+  const llm = createLlm([off, a], { backoffMs: 0 });
+  await llm.json({ text: "x" });
+  const stats = llm.stats();
+  assert.deepEqual(stats.chain, ["a"]);
+  // 100 input tokens at 1 $/M + 10 output tokens at 2 $/M
+  assert.equal(stats.totalCostUsd, 0.00012);
+  assert.equal(off.calls.length, 0);
+});
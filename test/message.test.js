@@ -0,0 +1,87 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { DEFAULT_BRANDS } from "../lib/brands.js";
+import { extractMessageItems, messageFindings } from "../lib/message.js";
+
+const findings = (text) =>
+  messageFindings(text, {
+    brands: DEFAULT_BRANDS,
+    items: extractMessageItems(text),
+  });
+const impersonation = (text) =>
+  findings(text).find((f) => f.id === "brand_impersonation");
+
+test("links with a scheme or www. match in any case", () => {
+  assert.deepEqual(
+    extractMessageItems(
+      "Go to HTTPS://Example.com/a now, or WWW.PAYPAL-HELP.COM."
+    ).urls,
+    ["HTTPS://Example.com/a", "http://WWW.PAYPAL-HELP.COM"]
+  );
+});
+
+test("bare hosts need a lowercase TLD", () => {
+  const { urls } = extractMessageItems(
+    "Pay at usps-redelivery.co/fee or PAYPAL-VERIFY.com today."
+  );
+  assert.deepEqual(urls, [
+    "http://usps-redelivery.co/fee",
+    "http://PAYPAL-VERIFY.com",
+  ]);
+});
+
+test("a missing space after a full stop is not a link", () => {
+  for (const text of [
+    "Hello.In case you missed it, the meeting moved.",
+    "See you later.To be honest I forgot.",
+    "That was for Me.Us too.",
+    "Great deal.Co-workers agree.",
+  ])
+    assert.deepEqual(extractMessageItems(text).urls, [], text);
+});
+
+test("emails don't show up as links", () => {
+  const items = extractMessageItems("Write to help@paypal-support.com");
+  assert.deepEqual(items.emails, ["help@paypal-support.com"]);
+  assert.deepEqual(items.urls, []);
+});
+
+test("naming a brand alone is not impersonation", () => {
+  assert.equal(
+    impersonation("I paid with PayPal for the Netflix gift."),
+    undefined
+  );
+  assert.equal(
+    impersonation("Your PayPal receipt: https://www.paypal.com/activity"),
+    undefined
+  );
+  assert.equal(
+    impersonation("Questions? Email service@paypal.com about PayPal."),
+    undefined
+  );
+});
+
+test("a brand with a foreign link is impersonation", () => {
+  const f = impersonation(
+    "PayPal: your account is limited, verify at https://paypa1-secure.top/login"
+  );
+  assert.equal(f.severity, "high");
+  assert.equal(f.brand, "PayPal");
+  assert.equal(f.evidence, "links go to paypa1-secure.top, not paypal.com");
+});
+
+test("a brand with a contact it doesn't own is impersonation", () => {
+  const phone = impersonation(
+    "Amazon security: unusual order. Call +1 (844) 555-0199 to cancel."
+  );
+  assert.equal(phone.severity, "medium");
+  assert.match(
+    phone.evidence,
+    /^contact via \+1 \(844\) 555-0199, not amazon\.com/
+  );
+
+  const mail = impersonation(
+    "Netflix billing failed, reply to netflix@billing-help.xyz"
+  );
+  assert.match(mail.evidence, /netflix@billing-help\.xyz/);
+});
@@ -0,0 +1,80 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  analyzeChain,
+  findJsRedirect,
+  findMetaRefresh,
+} from "../lib/redirects.js";
+
+const base = "https://start.example/login";
+const page = (body) => `<html><body>${body}</body></html>`;
+
+test("meta refresh targets resolve against the page URL", () => {
+  assert.equal(
+    findMetaRefresh('<meta content="0; url=/next" http-equiv="refresh">', base),
+    "https://start.example/next"
+  );
+  assert.equal(
+    findMetaRefresh('<meta name="refresh" content="5">', base),
+    null
+  );
+});
+
+test("top-level location statements in inline scripts are redirects", () => {
+  for (const code of [
+    'window.location = "https://evil.example/a";',
+    "location.href='https://evil.example/a'",
+    'var x = 1; top.location.replace("https://evil.example/a")',
+    "document.location.assign(`https://evil.example/a`);",
+  ])
+    assert.equal(
+      findJsRedirect(page(`<script>${code}</script>`), base),
+      "https://evil.example/a",
+      code
+    );
+});
+
+test("attributes, handlers and function bodies are not redirects", () => {
+  for (const body of [
+    '<div data-location="/store/42"></div>',
+    `<button onclick="location.href='https://www.paypal.com/'">PayPal</button>`,
+    '<script>function back(){ window.location = "/home" }</script>',
+    '<script>if (ok) { location.replace("/done"); }</script>',
+    '<script>// location = "/old"\n</script>',
+    "<script>var msg = \"location = '/x'\";</script>",
+    '<script>if (location == "/a") go();</script>',
+    '<script type="application/ld+json">{"location":"/x"}</script>',
+    '<script src="/app.js">location = "/x"</script>',
+  ])
+    assert.equal(findJsRedirect(page(body), base), null, body);
+});
+
+test("a script redirect is flagged on its hop, not followed", () => {
+  const chain = analyzeChain([
+    {
+      url: base,
+      status: 200,
+      host: "start.example",
+      via: "http",
+      jsRedirect: "https://bit.ly/x",
+    },
+  ]);
+  assert.equal(chain.count, 0);
+  assert.equal(chain.finalHost, "start.example");
+  assert.deepEqual(chain.flags, [
+    { type: "js_redirect", hop: 0, detail: "start.example → bit.ly" },
+  ]);
+});
+
+test("HTTP hops are flagged for domain jumps, downgrades and shorteners", () => {
+  const chain = analyzeChain([
+    { url: "https://bit.ly/x", status: 301, host: "bit.ly", via: "http" },
+    { url: "http://a.example/", status: 200, host: "a.example", via: "meta" },
+  ]);
+  assert.deepEqual(chain.flags.map((f) => f.type).sort(), [
+    "cross_domain",
+    "https_downgrade",
+    "meta_redirect",
+    "shortener",
+  ]);
+});
@@ -0,0 +1,146 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  DEFAULT_RULES,
+  aiAdjustment,
+  assessLinkRisk,
+  bandFor,
+  scoreSignals,
+} from "../lib/scoring.js";
+
+// One rule per weight, so a test picks its base score by listing rule ids
+const rules = [10, 20, 30, 40].map((weight) => ({
+  id: `w${weight}`,
+  weight,
+  label: `${weight} points`,
+  test: (f) => f.hits?.includes(`w${weight}`),
+}));
+const facts = (...hits) => ({ hits, htmlFindings: [] });
+const realAi = (risk) => ({ risk, _provider: "gemini" });
+
+test("bands switch at 30 and 60 by default", () => {
+  assert.equal(bandFor(0), "safe");
+  assert.equal(bandFor(29), "safe");
+  assert.equal(bandFor(30), "suspicious");
+  assert.equal(bandFor(59), "suspicious");
+  assert.equal(bandFor(60), "likely scam");
+  assert.equal(bandFor(100), "likely scam");
+});
+
+test("band thresholds are configurable", () => {
+  const config = { suspiciousAt: 20, scamAt: 50 };
+  assert.equal(bandFor(19, config), "safe");
+  assert.equal(bandFor(20, config), "suspicious");
+  assert.equal(bandFor(50, config), "likely scam");
+});
+
+test("fired rules add their weights, capped at 100", () => {
+  const { score, contributions } = scoreSignals(facts("w10", "w30"), {
+    rules,
+  });
+  assert.equal(score, 40);
+  assert.deepEqual(
+    contributions.map((c) => c.id),
+    ["w10", "w30"]
+  );
+  assert.equal(
+    scoreSignals(facts("w10", "w20", "w30", "w40", "w40"), {
+      rules: [...rules, { ...rules[3], id: "again" }],
+    }).score,
+    100
+  );
+});
+
+test("weight overrides replace and disable rules", () => {
+  const config = { rules, weights: { w10: 25, w30: 0 } };
+  const { score, contributions } = scoreSignals(facts("w10", "w30"), config);
+  assert.equal(score, 25);
+  assert.deepEqual(
+    contributions.map((c) => c.id),
+    ["w10"]
+  );
+});
+
+test("a rule that throws counts as not fired", () => {
+  const broken = { id: "broken", weight: 50, label: "x", test: () => null.x };
+  assert.equal(scoreSignals({}, { rules: [broken] }).score, 0);
+});
+
+test("the AI nudges the score by at most aiMaxAdjust", () => {
+  const risk = assessLinkRisk(facts("w10"), realAi("likely scam"), {
+    rules,
+    aiMaxAdjust: 15,
+  });
+  assert.equal(risk.baseScore, 10);
+  assert.equal(risk.score, 25);
+  assert.equal(risk.aiAdjustment, 15);
+  assert.equal(risk.band, "safe");
+});
+
+test("the AI can raise the band but never lower it", () => {
+  const up = assessLinkRisk(facts("w20"), realAi("likely scam"), { rules });
+  assert.equal(up.band, "suspicious");
+
+  const down = assessLinkRisk(facts("w30"), realAi("safe"), { rules });
+  assert.equal(down.baseScore, 30);
+  assert.equal(down.score, 30);
+  assert.equal(down.band, "suspicious");
+
+  const inside = assessLinkRisk(facts("w40"), realAi("safe"), { rules });
+  assert.equal(inside.score, 30);
+  assert.equal(inside.band, "suspicious");
+});
+
+test("mock, failed and unknown AI answers don't move the score", () => {
+  assert.equal(aiAdjustment({ risk: "likely scam", _mock: true }), 0);
+  assert.equal(aiAdjustment({ risk: "likely scam", _error: "down" }), 0);
+  assert.equal(aiAdjustment({ risk: "phishing?" }), 0);
+  assert.equal(aiAdjustment(null), 0);
+});
+
+test("a prompt injection finding drops the AI nudge", () => {
+  const injected = {
+    hits: ["w10"],
+    htmlFindings: [{ id: "prompt_injection", severity: "high" }],
+  };
+  const risk = assessLinkRisk(injected, realAi("safe"), {
+    rules: [
+      ...rules,
+      {
+        id: "prompt_injection",
+        weight: 30,
+        label: "Injection",
+        test: (f) => f.htmlFindings.length > 0,
+      },
+    ],
+  });
+  assert.equal(risk.score, 40);
+  assert.equal(risk.aiAdjustment, 0);
+  assert.equal(risk.aiIgnored, "prompt_injection");
+});
+
+test("default rules: a plain page is safe, a typosquat is a likely scam", () => {
+  assert.equal(assessLinkRisk({}, null).band, "safe");
+  const typo = assessLinkRisk(
+    {
+      brand: {
+        matches: [{ technique: "typosquat" }, { technique: "homoglyph" }],
+      },
+    },
+    null
+  );
+  assert.equal(typo.score, 80);
+  assert.equal(typo.band, "likely scam");
+});
+
+test("scam_kit needs shared markup or scripts", () => {
+  const rule = DEFAULT_RULES.find((r) => r.id === "scam_kit");
+  const cluster = (shared) => ({ kitCluster: { scamDomains: 1, shared } });
+  assert.equal(rule.test(cluster(["favicon", "title"])), false);
+  assert.equal(rule.test(cluster(["favicon", "dom"])), true);
+  assert.equal(rule.test(cluster(["title", "scripts"])), true);
+  assert.equal(
+    rule.test({ kitCluster: { scamDomains: 0, shared: ["dom"] } }),
+    false
+  );
+});
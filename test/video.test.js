@@ -0,0 +1,54 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { platformOf, sniffVideoType } from "../lib/video.js";
+
+const ID = "dQw4w9WgXcQ";
+
+test("YouTube watch, Shorts, embed, live and youtu.be links are videos", () => {
+  for (const [url, kind] of [
+    [`https://www.youtube.com/watch?v=${ID}`, "watch"],
+    [`https://m.youtube.com/shorts/${ID}`, "shorts"],
+    [`https://www.youtube-nocookie.com/embed/${ID}`, "embed"],
+    [`https://youtube.com/live/${ID}`, "live"],
+    [`https://youtu.be/${ID}`, "short_link"],
+  ]) {
+    const p = platformOf(url);
+    assert.equal(p?.platform, "youtube", url);
+    assert.equal(p.kind, kind, url);
+    assert.equal(p.canonicalUrl, `https://www.youtube.com/watch?v=${ID}`);
+  }
+});
+
+test("other YouTube pages go through the link pipeline", () => {
+  for (const url of [
+    "https://www.youtube.com/redirect?q=https%3A%2F%2Fpaypa1.example",
+    "https://www.youtube.com/@SomeChannel",
+    "https://www.youtube.com/",
+    "https://www.youtube.com/watch?v=bad",
+    "https://youtu.be/",
+  ])
+    assert.equal(platformOf(url), null, url);
+});
+
+test("Vimeo, TikTok and X posts are platform videos", () => {
+  assert.equal(platformOf("https://vimeo.com/123456").id, "123456");
+  assert.equal(
+    platformOf("https://www.tiktok.com/@someone/video/7300000000000000000")
+      .author,
+    "@someone"
+  );
+  assert.equal(platformOf("https://x.com/someone/status/1234").kind, "status");
+  assert.equal(platformOf("https://x.com/someone"), null);
+});
+
+test("container types are sniffed from the bytes", () => {
+  const ftyp = (brand) =>
+    Buffer.concat([Buffer.from([0, 0, 0, 24]), Buffer.from(`ftyp${brand}`)]);
+  assert.equal(sniffVideoType(ftyp("isom0000")), "mp4");
+  assert.equal(sniffVideoType(ftyp("qt  0000")), "mov");
+  assert.equal(
+    sniffVideoType(Buffer.from("1a45dfa3000000000000000000", "hex")),
+    "webm"
+  );
+  assert.equal(sniffVideoType(Buffer.from("not a video at all")), null);
+});
@@ -0,0 +1,251 @@
+import assert from "node:assert/strict";
+import http from "node:http";
+import { after, before, test } from "node:test";
+import {
+  formatReply,
+  genericAdapter,
+  hmacHex,
+  slackAdapter,
+  telegramAdapter,
+  whatsappAdapter,
+} from "../lib/webhooks.js";
+
+// Just enough of an Express request for verify() and handshake()
+const request = ({ body = "", headers = {}, query = {} } = {}) => {
+  const lower = Object.fromEntries(
+    Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v])
+  );
+  return {
+    rawBody: Buffer.from(body),
+    query,
+    get: (name) => lower[name.toLowerCase()],
+  };
+};
+const body = JSON.stringify({ text: "is https://paypa1.example legit?" });
+
+// Replies posted by the chat adapters land here
+let server;
+let apiUrl;
+const posted = [];
+before(async () => {
+  server = http.createServer((req, res) => {
+    let data = "";
+    req.on("data", (c) => (data += c));
+    req.on("end", () => {
+      posted.push({
+        url: req.url,
+        auth: req.headers.authorization,
+        body: JSON.parse(data),
+      });
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify({ ok: true }));
+    });
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  apiUrl = `http://127.0.0.1:${server.address().port}`;
+});
+after(() => server.close());
+
+const now = () => Math.floor(Date.now() / 1000);
+const result = {
+  verdict: "likely scam",
+  confidence: 0.9,
+  signals: [{ title: "Uses <script> & forms", severity: "high" }],
+};
+
+const signGeneric = (b, { ts = now(), secret = "s3cret" } = {}) => ({
+  "X-TrueOrScam-Timestamp": String(ts),
+  "X-TrueOrScam-Signature": `sha256=${hmacHex(secret, `${ts}.${b}`)}`,
+});
+
+test("generic: only the HMAC of the timestamp and exact raw body verifies", () => {
+  const hook = genericAdapter({ secret: "s3cret" });
+  assert.equal(
+    hook.verify(request({ body, headers: signGeneric(body) })),
+    true
+  );
+  assert.equal(
+    hook.verify(request({ body: body + " ", headers: signGeneric(body) })),
+    false
+  );
+  assert.equal(
+    hook.verify(request({ body, headers: signGeneric(body, { secret: "x" }) })),
+    false
+  );
+  assert.equal(hook.verify(request({ body })), false);
+});
+
+test("generic: stale timestamps and replayed signatures fail", () => {
+  const hook = genericAdapter({ secret: "s3cret" });
+  const stale = signGeneric(body, { ts: now() - 600 });
+  assert.equal(hook.verify(request({ body, headers: stale })), false);
+
+  // Re-signing an old body with a fresh timestamp needs the secret
+  const moved = { ...stale, "X-TrueOrScam-Timestamp": String(now()) };
+  assert.equal(hook.verify(request({ body, headers: moved })), false);
+
+  const headers = signGeneric(body);
+  assert.equal(hook.verify(request({ body, headers })), true);
+  assert.equal(hook.verify(request({ body, headers })), false);
+});
+
+test("generic: messages are capped per request", () => {
+  const hook = genericAdapter({ secret: "s3cret", maxMessages: 2 });
+  const many = (n) =>
+    hook.parse({
+      messages: Array.from({ length: n }, (_, i) => ({ id: i, text: "hi" })),
+    });
+  assert.equal(many(2).messages.length, 2);
+  assert.equal(many(2).error, undefined);
+  assert.match(many(3).error, /at most 2/);
+  assert.deepEqual(many(3).messages, []);
+});
+
+test("formatReply escapes &, < and > for Slack and HTML, not WhatsApp", () => {
+  const slack = formatReply(result, { style: "slack" });
+  assert.match(slack, /^🔴 \*Likely scam\* \(90% confidence\)/);
+  assert.match(slack, /Uses &lt;script&gt; &amp; forms/);
+  assert.match(formatReply(result, { style: "html" }), /&lt;script&gt;/);
+  assert.match(
+    formatReply(result, { style: "markdown" }),
+    /Uses <script> & forms/
+  );
+});
+
+test("slack: signature covers the timestamp, and stale requests fail", () => {
+  const hook = slackAdapter({ signingSecret: "slk", botToken: "xoxb" });
+  const signed = (ts, b = body) =>
+    request({
+      body: b,
+      headers: {
+        "X-Slack-Request-Timestamp": String(ts),
+        "X-Slack-Signature": `v0=${hmacHex("slk", `v0:${ts}:${b}`)}`,
+      },
+    });
+  const now = Math.floor(Date.now() / 1000);
+  assert.equal(hook.verify(signed(now)), true);
+  assert.equal(hook.verify(signed(now - 600)), false);
+
+  const replayed = signed(now);
+  replayed.rawBody = Buffer.from(body.replace("legit", "safe"));
+  assert.equal(hook.verify(replayed), false);
+  assert.equal(hook.verify(request({ body })), false);
+});
+
+test("telegram: the secret token header must match", () => {
+  const hook = telegramAdapter({ secretToken: "tg-token", botToken: "1:x" });
+  const withToken = (t) =>
+    request({ body, headers: { "X-Telegram-Bot-Api-Secret-Token": t } });
+  assert.equal(hook.verify(withToken("tg-token")), true);
+  assert.equal(hook.verify(withToken("tg-token ")), false);
+  assert.equal(hook.verify(request({ body })), false);
+});
+
+test("whatsapp: X-Hub-Signature-256 and the subscribe handshake", () => {
+  const hook = whatsappAdapter({
+    appSecret: "app",
+    verifyToken: "vt",
+    accessToken: "at",
+  });
+  const sig = (secret) => ({
+    "X-Hub-Signature-256": `sha256=${hmacHex(secret, body)}`,
+  });
+  assert.equal(hook.verify(request({ body, headers: sig("app") })), true);
+  assert.equal(hook.verify(request({ body, headers: sig("nope") })), false);
+
+  const handshake = (token) =>
+    hook.handshake(
+      request({
+        query: {
+          "hub.mode": "subscribe",
+          "hub.verify_token": token,
+          "hub.challenge": "1234",
+        },
+      })
+    );
+  assert.equal(handshake("vt"), "1234");
+  assert.equal(handshake("wrong"), null);
+});
+
+test("whatsapp: old messages and repeated message ids are skipped", () => {
+  const hook = whatsappAdapter({ appSecret: "app", accessToken: "at" });
+  const payload = (...messages) => ({
+    entry: [
+      {
+        changes: [
+          { value: { metadata: { phone_number_id: "15550" }, messages } },
+        ],
+      },
+    ],
+  });
+  const msg = (id, ts = now()) => ({
+    id,
+    from: "4915",
+    timestamp: String(ts),
+    text: { body: "is this real?" },
+  });
+  const ids = (p) => hook.parse(p).messages.map((m) => m.target.messageId);
+
+  assert.deepEqual(ids(payload(msg("wamid.1"), msg("wamid.2", now() - 600))), [
+    "wamid.1",
+  ]);
+  assert.deepEqual(ids(payload(msg("wamid.1"), msg("wamid.3"))), ["wamid.3"]);
+  assert.deepEqual(ids(payload({ ...msg("wamid.4"), timestamp: "" })), []);
+});
+
+test("slack: replies are posted to chat.postMessage with the bot token", async () => {
+  const hook = slackAdapter({ signingSecret: "slk", botToken: "xoxb", apiUrl });
+  posted.length = 0;
+  await hook.send(
+    { channel: "C1", thread_ts: "1.2" },
+    result,
+    "https://x/r?a=1&b=2"
+  );
+  const [p] = posted;
+  assert.equal(p.url, "/chat.postMessage");
+  assert.equal(p.auth, "Bearer xoxb");
+  assert.equal(p.body.channel, "C1");
+  assert.equal(p.body.thread_ts, "1.2");
+  assert.match(p.body.text, /Full report: https:\/\/x\/r\?a=1&amp;b=2/);
+});
+
+test("telegram: replies go to sendMessage as HTML", async () => {
+  const hook = telegramAdapter({ secretToken: "t", botToken: "1:x", apiUrl });
+  posted.length = 0;
+  await hook.send({ chat_id: 7, reply_to_message_id: 3 }, result, null);
+  const [p] = posted;
+  assert.equal(p.url, "/bot1:x/sendMessage");
+  assert.equal(p.body.parse_mode, "HTML");
+  assert.equal(p.body.reply_to_message_id, 3);
+  assert.match(p.body.text, /<b>Likely scam<\/b>/);
+});
+
+test("whatsapp: replies quote the message they answer", async () => {
+  const hook = whatsappAdapter({ appSecret: "a", accessToken: "at", apiUrl });
+  posted.length = 0;
+  await hook.send(
+    { phoneNumberId: "15550", to: "4915", messageId: "wamid.9" },
+    result,
+    null
+  );
+  const [p] = posted;
+  assert.equal(p.url, "/15550/messages");
+  assert.equal(p.auth, "Bearer at");
+  assert.equal(p.body.context.message_id, "wamid.9");
+  assert.match(p.body.text.body, /^🔴 \*Likely scam\*/);
+});
+
+test("a failed platform reply rejects with the status", async () => {
+  const down = http.createServer((req, res) => {
+    res.statusCode = 503;
+    res.end("unavailable");
+  });
+  await new Promise((r) => down.listen(0, "127.0.0.1", r));
+  const hook = telegramAdapter({
+    secretToken: "t",
+    botToken: "1:x",
+    apiUrl: `http://127.0.0.1:${down.address().port}`,
+  });
+  await assert.rejects(hook.send({ chat_id: 1 }, result, null), /503/);
+  down.close();
+});